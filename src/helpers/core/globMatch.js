@@ -0,0 +1,102 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+/**
+ * Convert a Redis-style glob pattern into a regular expression.
+ * 
+ * Supported syntax:
+ *      *      → any sequence of characters (including none)
+ *      ?      → any single character
+ *      [abc]  → one of the listed characters (ranges like [a-z] and negation like [^a] are supported)
+ *      \x     → the literal character x
+ * 
+ * @param {string} pattern - The glob pattern.
+ * @returns {RegExp} A regular expression matching the whole string against the pattern.
+ * 
+ * @example
+ * globToRegExp("user:*").test("user:42"); // → true
+ * globToRegExp("thread:4?").test("thread:42"); // → true
+ */
+export function globToRegExp(pattern) {
+    let src = "";
+
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+
+        if (ch === "\\" && i + 1 < pattern.length) {
+            src += escapeRegExp(pattern[++i]);
+        } else if (ch === "*") {
+            src += "[\\s\\S]*";
+        } else if (ch === "?") {
+            src += "[\\s\\S]";
+        } else if (ch === "[") {
+            const end = pattern.indexOf("]", i + 2);
+
+            if (end === -1) {
+                src += "\\[";
+                continue;
+            }
+
+            let body = pattern.slice(i + 1, end);
+            const negate = body[0] === "^" || body[0] === "!";
+            if (negate) body = body.slice(1);
+
+            src += `[${negate ? "^" : ""}${body.replace(/[\\\]^]/g, "\\$&")}]`;
+            i = end;
+        } else {
+            src += escapeRegExp(ch);
+        }
+    }
+
+    return new RegExp(`^${src}$`);
+}
+
+/**
+ * Check whether a string matches a Redis-style glob pattern.
+ * 
+ * @param {string} pattern - The glob pattern (see {@link globToRegExp}).
+ * @param {string} value - The string to test.
+ * @returns {boolean} True if the string matches, false if not.
+ * 
+ * @example
+ * globMatch("thread:42:*", "thread:42:typing"); // → true
+ * globMatch("thread:42:*", "thread:7:typing"); // → false
+ */
+export function globMatch(pattern, value) {
+    return globToRegExp(pattern).test(value);
+}
+
+/**
+ * Escape glob special characters so a string matches itself literally.
+ * 
+ * @param {string} s - The string to escape.
+ * @returns {string} The escaped string, safe for inclusion in a glob pattern.
+ * 
+ * @example
+ * globEscape("sessions:[1]") + "*";
+ * // → "sessions:\[1\]*"
+ */
+export function globEscape(s) {
+    return s.replace(/[*?[\]\\]/g, "\\$&");
+}
+
+/**
+ * Escape special characters in a string so it can be safely inserted
+ * into a regular expression pattern.
+ * 
+ * @param {string} s - The string to escape for regex use.
+ * @returns {string} The escaped string, safe for inclusion in a RegExp.
+ */
+const escapeRegExp = (s) => {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+};
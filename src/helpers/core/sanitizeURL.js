@@ -0,0 +1,56 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+/**
+ * Check a user-supplied URL before using it in a link or image, rejecting dangerous schemes
+ * such as `javascript:`, `vbscript:` and `data:`.
+ * 
+ * Control characters and whitespace are removed first, since browsers ignore them inside a scheme
+ * (e.g., "java\tscript:"). The result still needs to be escaped for the context it is used in.
+ * 
+ * @param {string} url - The URL to check.
+ * @param {Object} [options={}] - Options for checking.
+ * @param {string[]} [options.protocols=["http", "https", "mailto"]] - Schemes that are allowed.
+ * @param {boolean} [options.allowRelative=true] - True to allow relative URLs (e.g., "/thread/42" or "#post-7").
+ * @returns {string|null} The cleaned URL, or null if it is not allowed.
+ * 
+ * @example
+ * sanitizeURL("https://example.com/a b"); // → "https://example.com/a%20b"
+ * sanitizeURL("JaVaScRiPt:alert(1)"); // → null
+ * sanitizeURL("/thread/42"); // → "/thread/42"
+ * sanitizeURL("/thread/42", { allowRelative: false }); // → null
+ */
+export function sanitizeURL(url, options = {}) {
+    if (typeof url !== 'string') return null;
+
+    const { protocols = ["http", "https", "mailto"], allowRelative = true } = options;
+
+    const cleaned = url.trim().replace(/[\u0000-\u001F\u007F]/g, "").replace(/\s/g, "%20");
+    if (cleaned === "") return null;
+
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(cleaned);
+
+    if (scheme) {
+        return protocols.includes(scheme[1].toLowerCase()) ? cleaned : null;
+    }
+
+    // A colon before any "/", "?" or "#" would make browsers read a scheme we did not recognize
+    if (/^[^/?#]*:/.test(cleaned)) return null;
+
+    // Protocol-relative URLs ("//host/path", and "\\host" which browsers treat the same) take the page's scheme
+    if (/^[\\/]{2}/.test(cleaned)) {
+        return allowRelative && (protocols.includes("https") || protocols.includes("http")) ? cleaned : null;
+    }
+
+    return allowRelative ? cleaned : null;
+}
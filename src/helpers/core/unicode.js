@@ -0,0 +1,110 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+/**
+ * Split a string into grapheme clusters (user-perceived characters).
+ * 
+ * @param {string} text - The text to split.
+ * @returns {string[]} The grapheme clusters.
+ * 
+ * @example
+ * graphemes("é👍🏽"); // → ["é", "👍🏽"]
+ */
+export function graphemes(text) {
+    return Array.from(segmenter.segment(text), (s) => s.segment);
+}
+
+/**
+ * Count the grapheme clusters (user-perceived characters) in a string.
+ * Unlike `text.length`, an emoji or a letter with combining accents counts as one.
+ * 
+ * @param {string} text - The text to measure.
+ * @returns {number} The number of grapheme clusters.
+ * 
+ * @example
+ * "👨‍👩‍👧".length; // → 8
+ * graphemeLength("👨‍👩‍👧"); // → 1
+ */
+export function graphemeLength(text) {
+    let count = 0;
+    for (const _ of segmenter.segment(text)) count++;
+    return count;
+}
+
+/**
+ * Get the scripts used in a string. Characters shared between scripts (digits, punctuation,
+ * combining marks, emoji) are ignored.
+ * 
+ * @param {string} text - The text to inspect.
+ * @returns {Set<string>} The script names (e.g., "Latin", "Cyrillic", "Han").
+ * 
+ * @example
+ * getScripts("pаypal"); // → Set { "Latin", "Cyrillic" } (the first "а" is Cyrillic)
+ */
+export function getScripts(text) {
+    const scripts = new Set();
+
+    for (const ch of text) {
+        if (/[\p{Script=Common}\p{Script=Inherited}]/u.test(ch)) continue;
+
+        const script = SCRIPTS.find(([, re]) => re.test(ch));
+        scripts.add(script ? script[0] : "Other");
+    }
+
+    return scripts;
+}
+
+/**
+ * Check if a string mixes scripts in a way that is unusual for real names, which is a common
+ * sign of a lookalike (homoglyph) attack. Latin may be combined with the Chinese, Japanese
+ * and Korean scripts, since those are routinely written together.
+ * 
+ * @param {string} text - The text to inspect.
+ * @returns {boolean} True if the scripts are mixed, false if not.
+ * 
+ * @example
+ * isMixedScript("admin"); // → false
+ * isMixedScript("аdmin"); // → true (the first "а" is Cyrillic)
+ * isMixedScript("東京tokyoとうきょう"); // → false
+ */
+export function isMixedScript(text) {
+    const scripts = [...getScripts(text)];
+    if (scripts.length <= 1) return false;
+
+    return !ALLOWED_SCRIPT_SETS.some((set) => scripts.every((s) => set.includes(s)));
+}
+
+/**
+ * Shared grapheme segmenter.
+ */
+const segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+/**
+ * Scripts recognized by {@link getScripts}, with a pattern matching one character of each.
+ */
+const SCRIPTS = [
+    "Latin", "Cyrillic", "Greek", "Armenian", "Georgian", "Hebrew", "Arabic", "Syriac", "Thaana",
+    "Devanagari", "Bengali", "Gurmukhi", "Gujarati", "Tamil", "Telugu", "Kannada", "Malayalam", "Sinhala",
+    "Thai", "Lao", "Tibetan", "Myanmar", "Khmer", "Ethiopic", "Cherokee", "Mongolian",
+    "Han", "Hiragana", "Katakana", "Hangul", "Bopomofo",
+].map((name) => [name, new RegExp(`\\p{Script=${name}}`, "u")]);
+
+/**
+ * Combinations of scripts that are commonly written together (following the
+ * "highly restrictive" profile of Unicode Technical Standard #39).
+ */
+const ALLOWED_SCRIPT_SETS = [
+    ["Latin", "Han", "Hiragana", "Katakana"],
+    ["Latin", "Han", "Bopomofo"],
+    ["Latin", "Han", "Hangul"],
+];
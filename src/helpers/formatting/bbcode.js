@@ -0,0 +1,477 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { escapeHTML } from '../validation/escapeHTML.js';
+import { sanitizeURL } from '../core/sanitizeURL.js';
+
+/**
+ * @typedef {Object} BBCodeNode
+ * @property {"root"|"tag"|"text"} type - The kind of node.
+ * @property {string} [name] - The lowercase tag name (tag nodes only).
+ * @property {string|null} [attr] - The tag's "=" attribute, without quotes (tag nodes only).
+ * @property {string} [value] - The text (text nodes only).
+ * @property {BBCodeNode[]} [children] - The child nodes (root and tag nodes only).
+ * 
+ * @typedef {Object} BBCodeTag
+ * @property {(node: BBCodeNode, content: string, ctx: BBCodeContext) => string|null} render - Render the tag to HTML.
+ *           `content` is the already rendered (and escaped) children. Return null to drop the tag and keep its content,
+ *           e.g., when an attribute is invalid.
+ * @property {boolean} [inline=false] - A formatting tag that is reopened when a mis-nested tag closes it early.
+ * @property {boolean} [block=false] - A block tag; a line break directly after its opening or closing tag is ignored.
+ * @property {boolean} [raw=false] - The contents are not parsed for tags (e.g., code).
+ * @property {boolean} [link=false] - The tag renders a link. Links cannot nest, so a link tag inside another
+ *                                    one renders only its content.
+ * @property {string} [parent] - The tag may only appear inside this tag, and implicitly closes its
+ *                               previous sibling (e.g., "*" inside "list").
+ * 
+ * @typedef {Object} BBCodeContext
+ * @property {(text: string) => string} escape - Escape text for HTML.
+ * @property {(url: string, options?: Object) => string|null} url - Check a URL (see {@link sanitizeURL}).
+ * @property {(node: BBCodeNode) => string} text - Get the plain text inside a node.
+ * @property {(node: BBCodeNode) => string} render - Render a node to HTML.
+ * 
+ * @typedef {Object} BBCodeOptions
+ * @property {Object<string, BBCodeTag|false>} [tags] - Custom tags, merged with {@link BBCODE_TAGS} (false disables a tag).
+ * @property {number} [maxDepth=20] - Tags nested deeper than this are left as text.
+ * @property {boolean} [breaks=true] - Convert line breaks to `<br>`.
+ */
+
+/**
+ * The built-in BBCode tags.
+ * 
+ * @type {Readonly<Object<string, BBCodeTag>>}
+ */
+export const BBCODE_TAGS = Object.freeze({
+    b: { inline: true, render: (node, content) => `<strong>${content}</strong>` },
+    i: { inline: true, render: (node, content) => `<em>${content}</em>` },
+    u: { inline: true, render: (node, content) => `<u>${content}</u>` },
+    s: { inline: true, render: (node, content) => `<s>${content}</s>` },
+
+    url: {
+        link: true,
+        render: (node, content, ctx) => {
+            const href = ctx.url(node.attr ?? ctx.text(node));
+            if (!href) return null;
+            return `<a href="${ctx.escape(href)}" rel="nofollow ugc noopener">${content}</a>`;
+        },
+    },
+
+    img: {
+        raw: true,
+        render: (node, content, ctx) => {
+            const src = ctx.url(ctx.text(node), { protocols: ["http", "https"], allowRelative: false });
+            if (!src) return null;
+
+            const size = /^(\d{1,4})x(\d{1,4})$/.exec(node.attr ?? "");
+            const dims = size ? ` width="${size[1]}" height="${size[2]}"` : "";
+            return `<img src="${ctx.escape(src)}" alt=""${dims} loading="lazy">`;
+        },
+    },
+
+    quote: {
+        block: true,
+        render: (node, content, ctx) => {
+            const cite = node.attr ? `<cite>${ctx.escape(node.attr)}</cite>` : "";
+            return `<blockquote class="bbcode-quote">${cite}${trimBreaks(content)}</blockquote>`;
+        },
+    },
+
+    code: {
+        raw: true,
+        block: true,
+        render: (node, content, ctx) => {
+            const lang = /^[\w+#-]{1,20}$/.test(node.attr ?? "") ? ` class="language-${ctx.escape(node.attr)}"` : "";
+            return `<pre><code${lang}>${content}</code></pre>`;
+        },
+    },
+
+    list: {
+        block: true,
+        render: (node, content, ctx) => {
+            const items = node.children
+                .filter((child) => child.type === "tag" && child.name === "*")
+                .map((child) => ctx.render(child))
+                .join("");
+
+            const type = LIST_TYPES[node.attr ?? ""];
+            if (type === undefined) return `<ul>${items}</ul>`;
+            return `<ol${type ? ` type="${type}"` : ""}>${items}</ol>`;
+        },
+    },
+
+    "*": {
+        parent: "list",
+        render: (node, content) => `<li>${trimBreaks(content)}</li>`,
+    },
+
+    color: {
+        inline: true,
+        render: (node, content) => {
+            const color = parseColor(node.attr);
+            return color ? `<span style="color: ${color}">${content}</span>` : null;
+        },
+    },
+
+    size: {
+        inline: true,
+        render: (node, content) => {
+            const size = parseSize(node.attr);
+            return size ? `<span style="font-size: ${size}%">${content}</span>` : null;
+        },
+    },
+
+    spoiler: {
+        block: true,
+        render: (node, content, ctx) => {
+            const summary = ctx.escape(node.attr || "Spoiler");
+            return `<details class="bbcode-spoiler"><summary>${summary}</summary>${trimBreaks(content)}</details>`;
+        },
+    },
+});
+
+/**
+ * Parse BBCode into a tree of nodes.
+ * 
+ * Parsing never fails: unknown tags and stray closing tags are kept as text, unclosed tags are
+ * closed at the end, and formatting tags closed out of order are reopened, so
+ * "[b][i]x[/b]y[/i]" parses as "[b][i]x[/i][/b][i]y[/i]".
+ * 
+ * @param {string} input - The BBCode.
+ * @param {BBCodeOptions} [options={}] - Options for parsing.
+ * @returns {BBCodeNode} The root node.
+ * 
+ * @example
+ * parseBBCode("[b]Hi[/b] there");
+ * // → { type: "root", children: [
+ * //      { type: "tag", name: "b", attr: null, children: [{ type: "text", value: "Hi" }] },
+ * //      { type: "text", value: " there" },
+ * //   ] }
+ */
+export function parseBBCode(input, options = {}) {
+    const root = { type: "root", children: [] };
+    if (typeof input !== 'string') return root;
+
+    const tags = resolveTags(options.tags);
+    const { maxDepth = 20 } = options;
+    const stack = [root];
+    const re = /\[(\/?)(\*|[a-z][a-z0-9]*)(?:=("[^"\]]*"|'[^']*'|[^\]]*))?\]/gi;
+
+    let pos = 0;
+    let skipBreak = false;
+    let match;
+
+    const top = () => stack[stack.length - 1];
+
+    const addText = (value) => {
+        if (skipBreak) value = value.replace(/^\r?\n/, "");
+        skipBreak = false;
+        if (!value) return;
+
+        const siblings = top().children;
+        const last = siblings[siblings.length - 1];
+
+        if (last && last.type === "text") last.value += value;
+        else siblings.push({ type: "text", value });
+    };
+
+    const open = (node) => {
+        top().children.push(node);
+        stack.push(node);
+    };
+
+    while ((match = re.exec(input)) !== null) {
+        const [source, slash, rawName, rawAttr] = match;
+        const name = rawName.toLowerCase();
+        const def = tags[name];
+
+        addText(input.slice(pos, match.index));
+        pos = re.lastIndex;
+
+        // Unknown tags are left as text
+        if (!def) {
+            addText(source);
+            continue;
+        }
+
+        if (slash) {
+            const index = findOpen(stack, name);
+
+            if (index === -1) {
+                addText(source);
+                continue;
+            }
+
+            const reopen = [];
+
+            while (stack.length - 1 > index) {
+                const node = stack.pop();
+                if (tags[node.name].inline) reopen.unshift(node);
+            }
+
+            stack.pop();
+            for (const node of reopen) open({ type: "tag", name: node.name, attr: node.attr, children: [] });
+
+            skipBreak = Boolean(def.block);
+            continue;
+        }
+
+        if (stack.length > maxDepth) {
+            addText(source);
+            continue;
+        }
+
+        if (def.parent) {
+            const index = findOpen(stack, def.parent);
+
+            if (index === -1) {
+                addText(source);
+                continue;
+            }
+
+            stack.length = index + 1;
+        }
+
+        const node = { type: "tag", name, attr: unquote(rawAttr), children: [] };
+
+        if (def.raw) {
+            // Search the original string, since lowercasing can change its length (e.g., "İ")
+            const closeRe = new RegExp(`\\[/${escapeRegExp(name)}\\]`, "gi");
+            closeRe.lastIndex = pos;
+            const closeMatch = closeRe.exec(input);
+            const close = closeMatch ? closeMatch.index : -1;
+            const end = close === -1 ? input.length : close;
+            let content = input.slice(pos, end);
+            if (def.block) content = content.replace(/^\r?\n/, "");
+
+            if (content) node.children.push({ type: "text", value: content });
+            top().children.push(node);
+
+            pos = close === -1 ? input.length : closeRe.lastIndex;
+            re.lastIndex = pos;
+            skipBreak = Boolean(def.block);
+            continue;
+        }
+
+        open(node);
+        skipBreak = Boolean(def.block);
+    }
+
+    addText(input.slice(pos));
+    return root;
+}
+
+/**
+ * Render BBCode (or a tree from {@link parseBBCode}) to HTML. All text is escaped with
+ * {@link escapeHTML}, and URLs and colors are validated before they are used.
+ * 
+ * @param {string|BBCodeNode} input - The BBCode, or a parsed tree.
+ * @param {BBCodeOptions} [options={}] - Options for parsing and rendering.
+ * @returns {string} The HTML.
+ * 
+ * @example
+ * renderBBCode("[b]Hello[/b] <world>");
+ * // → "<strong>Hello</strong> &lt;world&gt;"
+ * 
+ * renderBBCode("[url=javascript:alert(1)]click[/url]");
+ * // → "click"
+ * 
+ * renderBBCode("[mention]sam[/mention]", {
+ *      tags: { mention: { render: (node, content) => `<a href="/user/${content}">@${content}</a>` } },
+ * });
+ * // → '<a href="/user/sam">@sam</a>'
+ */
+export function renderBBCode(input, options = {}) {
+    const tree = typeof input === 'string' ? parseBBCode(input, options) : input;
+    if (!tree || !Array.isArray(tree.children)) return "";
+
+    const tags = resolveTags(options.tags);
+    const { breaks = true } = options;
+
+    const ctx = {
+        escape: (text) => escapeHTML(String(text), { preventDoubleEscape: false }),
+        url: (url, opts) => sanitizeURL(url, opts),
+        text: (node) => plainText(node),
+        render: (node) => render(node, false),
+    };
+
+    // How many link tags enclose the node being rendered
+    let links = 0;
+
+    const render = (node, raw) => {
+        if (node.type === "text") {
+            const text = ctx.escape(node.value);
+            return breaks && !raw ? text.replace(/\r?\n/g, "<br>\n") : text;
+        }
+
+        const def = node.type === "tag" ? tags[node.name] : null;
+        if (def?.inline && node.children.length === 0) return "";
+
+        if (def?.link) links++;
+        const content = node.children.map((child) => render(child, raw || Boolean(def?.raw))).join("");
+        if (def?.link) links--;
+
+        if (!def || (def.link && links > 0)) return content;
+
+        const html = def.render(node, content, ctx);
+        return html ?? content;
+    };
+
+    return render(tree, false);
+}
+
+/**
+ * Create a reusable BBCode renderer bound to a specific configuration.
+ * 
+ * @param {BBCodeOptions} [options={}] - Same options as {@link renderBBCode}.
+ * @returns {(input: string) => string} A function that renders BBCode to HTML.
+ * 
+ * @example
+ * const render = createBBCodeRenderer({ tags: { img: false } });
+ * render("[img]https://example.com/cat.png[/img]");
+ * // → "[img]https://example.com/cat.png[/img]"
+ */
+export function createBBCodeRenderer(options = {}) {
+    return (input) => renderBBCode(input, options);
+}
+
+/**
+ * List types for the `[list=...]` attribute, mapped to the `type` of the ordered list
+ * ("" for plain numbers). Lists with any other attribute are unordered.
+ */
+const LIST_TYPES = { "1": "", "a": "a", "A": "A", "i": "i", "I": "I" };
+
+/**
+ * Named colors allowed in `[color=...]`.
+ */
+const NAMED_COLORS = new Set([
+    "black", "silver", "gray", "grey", "white", "maroon", "red", "purple", "fuchsia", "green", "lime",
+    "olive", "yellow", "navy", "blue", "teal", "aqua", "orange", "pink", "brown", "gold", "indigo",
+    "violet", "crimson", "darkred", "darkgreen", "darkblue", "skyblue", "lightblue", "lightgreen",
+]);
+
+/**
+ * Legacy `[size=1]` to `[size=7]` values, mapped to percentages.
+ */
+const LEGACY_SIZES = [63, 82, 100, 113, 150, 200, 300];
+
+/**
+ * Merge custom tags with the built-in tags.
+ * 
+ * @param {Object<string, BBCodeTag|false>} [custom] - The custom tags.
+ * @returns {Object<string, BBCodeTag>} The tags, keyed by lowercase name.
+ */
+const resolveTags = (custom) => {
+    if (!custom) return BBCODE_TAGS;
+
+    const tags = { ...BBCODE_TAGS };
+
+    for (const [name, def] of Object.entries(custom)) {
+        if (def === false) {
+            delete tags[name.toLowerCase()];
+            continue;
+        }
+
+        if (!def || typeof def.render !== 'function') {
+            throw new TypeError(`BBCode tag "${name}" needs a render function`);
+        }
+
+        tags[name.toLowerCase()] = def;
+    }
+
+    return tags;
+};
+
+/**
+ * Find the innermost open tag with a name.
+ * 
+ * @param {BBCodeNode[]} stack - The open nodes.
+ * @param {string} name - The tag name.
+ * @returns {number} The position in the stack, or -1 if the tag is not open.
+ */
+const findOpen = (stack, name) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) return i;
+    }
+
+    return -1;
+};
+
+/**
+ * Escape a string for use in a regular expression.
+ * 
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Remove the quotes around a tag attribute.
+ * 
+ * @param {string|undefined} attr - The raw attribute.
+ * @returns {string|null} The attribute, or null if there is none.
+ */
+const unquote = (attr) => {
+    if (attr === undefined) return null;
+
+    const trimmed = attr.trim();
+    if (/^(["']).*\1$/.test(trimmed)) return trimmed.slice(1, -1);
+    return trimmed;
+};
+
+/**
+ * Get the plain text inside a node.
+ * 
+ * @param {BBCodeNode} node - The node.
+ * @returns {string} The text.
+ */
+const plainText = (node) => {
+    if (node.type === "text") return node.value;
+    return node.children.map(plainText).join("");
+};
+
+/**
+ * Remove line breaks at the start and end of rendered block content.
+ * 
+ * @param {string} html - The rendered content.
+ * @returns {string} The trimmed content.
+ */
+const trimBreaks = (html) => {
+    return html.replace(/^(?:\s*<br>\n?)+/, "").replace(/(?:<br>\n?\s*)+$/, "");
+};
+
+/**
+ * Validate a `[color=...]` value.
+ * 
+ * @param {string|null} value - The color.
+ * @returns {string|null} The color as a safe CSS value, or null if it is not allowed.
+ */
+const parseColor = (value) => {
+    const color = String(value ?? "").trim().toLowerCase();
+    if (/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/.test(color)) return color;
+    return NAMED_COLORS.has(color) ? color : null;
+};
+
+/**
+ * Validate a `[size=...]` value: 1 to 7 for the legacy sizes, or a percentage from 50 to 300.
+ * 
+ * @param {string|null} value - The size.
+ * @returns {number|null} The size as a percentage, or null if it is not allowed.
+ */
+const parseSize = (value) => {
+    const str = String(value ?? "").trim().replace(/%$/, "");
+    if (!/^\d{1,3}$/.test(str)) return null;
+
+    const n = Number(str);
+    if (n >= 1 && n <= 7) return LEGACY_SIZES[n - 1];
+    return n >= 50 && n <= 300 ? n : null;
+};
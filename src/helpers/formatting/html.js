@@ -0,0 +1,191 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { escapeHTML, escapeAttr, escapeURL, escapeJSString, escapeCSS, escapeJSON } from '../validation/escapeHTML.js';
+
+/**
+ * A piece of HTML that is known to be safe, and is therefore not escaped again when
+ * interpolated into an {@link html} template.
+ */
+export class SafeHTML {
+    /**
+     * @param {string} html - The HTML.
+     */
+    constructor(html) {
+        this._html = String(html);
+    }
+
+    /**
+     * Get the HTML.
+     * 
+     * @returns {string} The HTML.
+     */
+    toString() {
+        return this._html;
+    }
+}
+
+/**
+ * Tagged template literal that builds HTML, escaping each interpolated value for the place it appears in:
+ * 
+ * - Text content: {@link escapeHTML}. Arrays are joined, and null, undefined and false render nothing.
+ * - Attribute values: {@link escapeHTML} in quoted values, {@link escapeAttr} in unquoted ones. URL attributes
+ *   (`href`, `src`, ...) go through {@link escapeURL} first, event handlers through {@link escapeJSString}
+ *   and `style` through {@link escapeCSS}.
+ * - Inside `<script>`: {@link escapeJSON}, so values become JavaScript literals and must not be quoted.
+ * - Inside `<style>`: {@link escapeCSS}.
+ * 
+ * Values that are {@link SafeHTML} (including the result of another `html` template) are inserted as-is in text content.
+ * 
+ * @param {TemplateStringsArray} strings - The literal parts.
+ * @param {...*} values - The interpolated values.
+ * @returns {SafeHTML} The HTML.
+ * @throws {TypeError} If a value is interpolated into a tag or attribute name.
+ * 
+ * @example
+ * const name = '<img src=x onerror=alert(1)>';
+ * const url = "javascript:alert(1)";
+ * String(html`<a href="${url}" title="${name}">${name}</a>`);
+ * // → '<a href="about:invalid" title="&lt;img src=x onerror=alert(1)&gt;">&lt;img src=x onerror=alert(1)&gt;</a>'
+ * 
+ * const items = ["a", "<b>"];
+ * String(html`<ul>${items.map((item) => html`<li>${item}</li>`)}</ul>`);
+ * // → "<ul><li>a</li><li>&lt;b&gt;</li></ul>"
+ */
+export function html(strings, ...values) {
+    let out = strings[0];
+
+    for (let i = 0; i < values.length; i++) {
+        // Interpolated values are escaped, so only the literal parts decide the context
+        const source = strings.slice(0, i + 1).join("_");
+        out += escapeValue(values[i], source) + strings[i + 1];
+    }
+
+    return new SafeHTML(out);
+}
+
+/**
+ * Mark HTML as safe so {@link html} inserts it without escaping, e.g., the output of
+ * `sanitizeHTML` or `renderMarkdown`. Never use this on untrusted input.
+ * 
+ * @param {string} value - The trusted HTML.
+ * @returns {SafeHTML} The HTML.
+ * 
+ * @example
+ * String(html`<div class="post">${rawHTML(renderMarkdown(post.body))}</div>`);
+ */
+export function rawHTML(value) {
+    return new SafeHTML(value);
+}
+
+/**
+ * Attributes whose value is a URL.
+ */
+const URL_ATTRIBUTES = new Set([
+    "href", "src", "action", "formaction", "cite", "poster", "background", "data", "longdesc", "xlink:href",
+]);
+
+/**
+ * Escape an interpolated value for the context at the end of the template source before it.
+ * 
+ * @param {*} value - The value.
+ * @param {string} source - The template source up to the value.
+ * @returns {string} The escaped value.
+ */
+const escapeValue = (value, source) => {
+    const lower = source.toLowerCase();
+
+    for (const [tag, escaper] of [["script", escapeJSON], ["style", (v) => escapeCSS(toText(v))]]) {
+        const start = lower.lastIndexOf(`<${tag}`);
+
+        if (start > lower.lastIndexOf(`</${tag}`) && lower.indexOf(">", start) !== -1) {
+            return escaper(value);
+        }
+    }
+
+    const tag = openTag(source);
+
+    if (tag !== null) {
+        const attr = /([^\s"'<>/=]+)\s*=\s*(?:(")[^"]*|(')[^']*|[^\s"'>]*)$/.exec(tag);
+
+        if (!attr) {
+            throw new TypeError("Values can only be interpolated into attribute values, not tag or attribute names");
+        }
+
+        const name = attr[1].toLowerCase();
+        const quoted = attr[2] !== undefined || attr[3] !== undefined;
+        let text = toText(value);
+
+        if (URL_ATTRIBUTES.has(name)) text = escapeURL(text);
+        else if (name.startsWith("on")) text = escapeJSString(text);
+        else if (name === "style") text = escapeCSS(text);
+
+        return quoted ? escapeHTML(text, { preventDoubleEscape: false }) : escapeAttr(text);
+    }
+
+    return toHTML(value);
+};
+
+/**
+ * Find the tag that is still open at the end of the template source. Quoted attribute values are
+ * skipped, so a ">" inside one (e.g., `title="a > b"`) does not end the tag.
+ * 
+ * @param {string} source - The template source up to the value.
+ * @returns {string|null} The source from the start of the open tag, or null if the value is in text content.
+ */
+const openTag = (source) => {
+    let start = -1;
+    let quote = null;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+
+        if (start === -1) {
+            if (ch === "<" && /^(?:[a-z/]|$)/i.test(source.slice(i + 1, i + 2))) start = i;
+        } else if (quote) {
+            if (ch === quote) quote = null;
+        } else if ((ch === '"' || ch === "'") && /=\s*$/.test(source.slice(start, i))) {
+            quote = ch;
+        } else if (ch === ">") {
+            start = -1;
+        }
+    }
+
+    return start === -1 ? null : source.slice(start);
+};
+
+/**
+ * Render a value in text content.
+ * 
+ * @param {*} value - The value.
+ * @returns {string} The HTML.
+ */
+const toHTML = (value) => {
+    if (value instanceof SafeHTML) return value.toString();
+    if (Array.isArray(value)) return value.map(toHTML).join("");
+
+    return escapeHTML(toText(value), { preventDoubleEscape: false });
+};
+
+/**
+ * Convert a value to text (null, undefined and false become an empty string).
+ * 
+ * @param {*} value - The value.
+ * @returns {string} The text.
+ */
+const toText = (value) => {
+    if (value === null || value === undefined || value === false) return "";
+    if (Array.isArray(value)) return value.map(toText).join("");
+
+    return String(value);
+};
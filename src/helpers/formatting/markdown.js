@@ -0,0 +1,462 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { escapeHTML, unescapeHTML } from '../validation/escapeHTML.js';
+import { sanitizeURL } from '../core/sanitizeURL.js';
+
+/**
+ * @typedef {Object} MarkdownOptions
+ * @property {number} [maxHeading=2] - The most prominent heading level posts may use: "#" renders as
+ *                                     `<h{maxHeading}>`, "##" one level below, and so on down to `<h6>`.
+ *                                     Set to 0 to disable headings.
+ * @property {boolean} [breaks=true] - Convert single line breaks inside paragraphs to `<br>`.
+ * @property {boolean} [autolink=true] - Turn bare http(s) URLs into links.
+ * @property {number} [maxDepth=10] - How deeply blockquotes and lists may nest before they are rendered as text.
+ * @property {(name: string) => string|null} [mention] - Resolve "@name" to a URL (return null to leave it as text).
+ * @property {(id: string) => string|null} [thread] - Resolve "#123" to a URL (return null to leave it as text).
+ */
+
+/**
+ * Render a forum-oriented subset of Markdown to HTML.
+ * 
+ * Supports emphasis (`*em*`, `**strong**`, `~~strike~~`), links, autolinks, inline and fenced code,
+ * blockquotes, ordered and unordered lists, headings and horizontal rules. Raw HTML is never passed
+ * through: all text is escaped with {@link escapeHTML}, and link URLs are checked with {@link sanitizeURL}.
+ * 
+ * @param {string} input - The Markdown.
+ * @param {MarkdownOptions} [options={}] - Options for rendering.
+ * @returns {string} The HTML.
+ * 
+ * @example
+ * renderMarkdown("**Hi** <b>there</b>");
+ * // → "<p><strong>Hi</strong> &lt;b&gt;there&lt;/b&gt;</p>"
+ * 
+ * renderMarkdown("Thanks @sam, see #42", {
+ *      mention: (name) => `/user/${encodeURIComponent(name)}`,
+ *      thread: (id) => `/thread/${id}`,
+ * });
+ * // → '<p>Thanks <a href="/user/sam" class="mention">@sam</a>, see <a href="/thread/42" class="thread-link">#42</a></p>'
+ */
+export function renderMarkdown(input, options = {}) {
+    if (typeof input !== 'string') return "";
+
+    const ctx = {
+        maxHeading: 2,
+        breaks: true,
+        autolink: true,
+        maxDepth: 10,
+        ...options,
+    };
+
+    const lines = input.replace(/\u0000/g, "").replace(/\r\n?/g, "\n").split("\n");
+    return renderBlocks(lines, ctx, 0, false);
+}
+
+/**
+ * Create a reusable Markdown renderer bound to a specific configuration.
+ * 
+ * @param {MarkdownOptions} [options={}] - Same options as {@link renderMarkdown}.
+ * @returns {(input: string) => string} A function that renders Markdown to HTML.
+ */
+export function createMarkdownRenderer(options = {}) {
+    return (input) => renderMarkdown(input, options);
+}
+
+/**
+ * Block-level patterns.
+ */
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+
+/**
+ * Render a list of lines as blocks.
+ * 
+ * @param {string[]} lines - The lines.
+ * @param {Object} ctx - The render options.
+ * @param {number} depth - How deeply nested these blocks are.
+ * @param {boolean} tight - True to render paragraphs without `<p>` (inside tight lists).
+ * @returns {string} The HTML.
+ */
+const renderBlocks = (lines, ctx, depth, tight) => {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim() === "") {
+            i++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = FENCE.exec(line);
+
+        if (fence) {
+            const marker = fence[1];
+            const code = [];
+            i++;
+
+            while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) {
+                code.push(lines[i++]);
+            }
+
+            i++;
+            const lang = /^[\w+#-]{1,20}$/.test(fence[2]) ? ` class="language-${escape(fence[2])}"` : "";
+            out.push(`<pre><code${lang}>${escape(code.join("\n"))}</code></pre>`);
+            continue;
+        }
+
+        // Headings
+        const heading = HEADING.exec(line);
+
+        if (heading && ctx.maxHeading > 0) {
+            const level = Math.min(6, ctx.maxHeading + heading[1].length - 1);
+            out.push(`<h${level}>${renderInline(heading[2] ?? "", ctx)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // Horizontal rules
+        if (RULE.test(line)) {
+            out.push("<hr>");
+            i++;
+            continue;
+        }
+
+        // Blockquotes
+        if (QUOTE.test(line) && depth < ctx.maxDepth) {
+            const inner = [];
+
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                inner.push(lines[i++].replace(QUOTE, ""));
+            }
+
+            out.push(`<blockquote>${renderBlocks(inner, ctx, depth + 1, false)}</blockquote>`);
+            continue;
+        }
+
+        // Lists
+        if (LIST_ITEM.test(line) && depth < ctx.maxDepth) {
+            const list = collectList(lines, i);
+            out.push(renderList(list, ctx, depth));
+            i = list.end;
+            continue;
+        }
+
+        // Paragraphs run until a blank line or the start of another block
+        const para = [line.trim()];
+        i++;
+
+        while (i < lines.length && lines[i].trim() !== "" && !startsBlock(lines[i], ctx)) {
+            para.push(lines[i++].trim());
+        }
+
+        const html = para.map((l) => renderInline(l, ctx)).join(ctx.breaks ? "<br>\n" : "\n");
+        out.push(tight ? html : `<p>${html}</p>`);
+    }
+
+    return out.join("\n");
+};
+
+/**
+ * Check if a line starts a new block (ending the paragraph before it).
+ * 
+ * @param {string} line - The line.
+ * @param {Object} ctx - The render options.
+ * @returns {boolean} True if it starts a block, false if not.
+ */
+const startsBlock = (line, ctx) => {
+    return FENCE.test(line)
+        || (ctx.maxHeading > 0 && HEADING.test(line))
+        || RULE.test(line)
+        || QUOTE.test(line)
+        || LIST_ITEM.test(line);
+};
+
+/**
+ * Collect the items of a list starting at a line.
+ * 
+ * @param {string[]} lines - All lines.
+ * @param {number} start - The index of the first item.
+ * @returns {{ ordered: boolean, first: number, items: string[][], tight: boolean, end: number }} The list.
+ */
+const collectList = (lines, start) => {
+    const [, indent, marker] = LIST_ITEM.exec(lines[start]);
+    const ordered = /\d/.test(marker);
+    const items = [];
+    let tight = true;
+    let i = start;
+
+    while (i < lines.length) {
+        const item = LIST_ITEM.exec(lines[i]);
+        if (!item || item[1].length !== indent.length || /\d/.test(item[2]) !== ordered) break;
+
+        const width = item[1].length + item[2].length + 1;
+        const content = [item[3] ?? ""];
+        i++;
+
+        while (i < lines.length) {
+            const next = lines[i];
+
+            if (next.trim() === "") {
+                // A blank line continues the item only if indented content follows
+                const after = lines[i + 1];
+                if (after === undefined || leadingSpaces(after) < 2) break;
+                tight = false;
+                content.push("");
+                i++;
+                continue;
+            }
+
+            const sibling = LIST_ITEM.exec(next);
+            if (sibling && sibling[1].length <= indent.length) break;
+
+            if (leadingSpaces(next) >= 2) {
+                content.push(next.slice(Math.min(width, leadingSpaces(next))));
+            } else if (!startsBlock(next, { maxHeading: 1 })) {
+                content.push(next.trim());
+            } else {
+                break;
+            }
+
+            i++;
+        }
+
+        items.push(content);
+
+        // Blank lines between items make the list loose
+        if (i < lines.length && lines[i].trim() === "" && LIST_ITEM.test(lines[i + 1] ?? "")) {
+            const next = LIST_ITEM.exec(lines[i + 1]);
+            if (next[1].length === indent.length && /\d/.test(next[2]) === ordered) {
+                tight = false;
+                i++;
+            }
+        }
+    }
+
+    return { ordered, first: ordered ? parseInt(marker, 10) : 1, items, tight, end: i };
+};
+
+/**
+ * Render a collected list.
+ * 
+ * @param {{ ordered: boolean, first: number, items: string[][], tight: boolean }} list - The list.
+ * @param {Object} ctx - The render options.
+ * @param {number} depth - How deeply nested the list is.
+ * @returns {string} The HTML.
+ */
+const renderList = (list, ctx, depth) => {
+    const items = list.items.map((content) => `<li>${renderBlocks(content, ctx, depth + 1, list.tight)}</li>`);
+    const tag = list.ordered ? "ol" : "ul";
+    const start = list.ordered && list.first !== 1 ? ` start="${list.first}"` : "";
+    return `<${tag}${start}>${items.join("")}</${tag}>`;
+};
+
+/**
+ * Render inline Markdown.
+ * 
+ * @param {string} text - The text.
+ * @param {Object} ctx - The render options.
+ * @returns {string} The HTML.
+ */
+const renderInline = (text, ctx) => {
+    const slots = [];
+    return restore(inlinePass(text, ctx, slots), slots);
+};
+
+/**
+ * Render inline Markdown: code spans, links and autolinks, mentions and thread links,
+ * and emphasis. Finished HTML is swapped out for placeholders while the rest is processed,
+ * so it cannot be matched again.
+ * 
+ * @param {string} text - The text.
+ * @param {Object} ctx - The render options.
+ * @param {string[]} slots - The held HTML, referenced by placeholders in the result.
+ * @returns {string} The HTML, with placeholders.
+ */
+const inlinePass = (text, ctx, slots) => {
+    const hold = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+
+    let s = text;
+
+    // Backslash escapes
+    s = s.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (m, ch) => hold(escape(ch)));
+
+    // Code spans
+    s = s.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => hold(`<code>${escape(code.trim())}</code>`));
+
+    // Autolinks in angle brackets
+    s = s.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (m, url) => hold(link(url, escape(url), ctx) ?? escape(m)));
+
+    // Links
+    s = s.replace(/\[([^\]\u0000]*(?:\u0000\d+\u0000[^\]\u0000]*)*)\]\(\s*<?([^\s()<>]*(?:\([^\s()<>]*\)[^\s()<>]*)*)>?(?:\s+"([^"]*)")?\s*\)/g,
+        (m, label, url, title) => {
+            // Links cannot nest, so nothing inside the label may become another link
+            const inner = inlinePass(label, { ...ctx, autolink: false, mention: null, thread: null }, slots);
+
+            // The URL and title are attribute values, so anything already held there goes back to plain text
+            return hold(link(plainText(url, slots), inner, ctx, title && plainText(title, slots)) ?? inner);
+        });
+
+    // Bare URLs
+    if (ctx.autolink) {
+        s = s.replace(/\bhttps?:\/\/[^\s<>\u0000]+/gi, (m) => {
+            const url = trimURL(m);
+            const rest = m.slice(url.length);
+            return hold(link(url, escape(url), ctx) ?? escape(url)) + rest;
+        });
+    }
+
+    // Mentions and thread links
+    if (typeof ctx.mention === 'function') {
+        s = s.replace(/(^|[^\w/])@([A-Za-z0-9_](?:[A-Za-z0-9_.-]*[A-Za-z0-9_])?)/g, (m, before, name) => {
+            const href = sanitizeURL(ctx.mention(name) ?? "");
+            return href ? before + hold(`<a href="${escape(href)}" class="mention">@${escape(name)}</a>`) : m;
+        });
+    }
+
+    if (typeof ctx.thread === 'function') {
+        s = s.replace(/(^|[^\w&/])#(\d+)\b/g, (m, before, id) => {
+            const href = sanitizeURL(ctx.thread(id) ?? "");
+            return href ? before + hold(`<a href="${escape(href)}" class="thread-link">#${id}</a>`) : m;
+        });
+    }
+
+    s = escape(s);
+
+    return emphasize(s, hold);
+};
+
+/**
+ * Emphasis patterns, from the longest delimiter to the shortest, with the tags each one renders.
+ * Each pattern captures the text before the opening delimiter and the emphasized text.
+ */
+const EMPHASIS = [
+    [/()\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, ["em", "strong"]],
+    [/(^|[^\w])___(?=\S)([\s\S]*?\S)___(?!\w)/g, ["em", "strong"]],
+    [/()\*\*(?=\S)([\s\S]*?\S)\*\*/g, ["strong"]],
+    [/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, ["strong"]],
+    [/()\*(?=\S)([\s\S]*?\S)\*/g, ["em"]],
+    [/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, ["em"]],
+    [/()~~(?=\S)([\s\S]*?\S)~~/g, ["del"]],
+];
+
+/**
+ * Render emphasis. Each match is rendered (including any emphasis inside it) and held as a
+ * placeholder, so shorter delimiters cannot pair across its tags and the result always nests properly.
+ * 
+ * @param {string} s - The escaped text.
+ * @param {(html: string) => string} hold - Holds finished HTML and returns its placeholder.
+ * @returns {string} The text with emphasis, with placeholders.
+ */
+const emphasize = (s, hold) => {
+    for (const [pattern, tags] of EMPHASIS) {
+        s = s.replace(pattern, (m, before, inner) => {
+            const open = tags.map((tag) => `<${tag}>`).join("");
+            const close = tags.map((tag) => `</${tag}>`).reverse().join("");
+            return before + hold(open + emphasize(inner, hold) + close);
+        });
+    }
+
+    return s;
+};
+
+/**
+ * Build a link, or return null if the URL is not allowed.
+ * 
+ * @param {string} url - The URL.
+ * @param {string} html - The rendered link text.
+ * @param {Object} ctx - The render options.
+ * @param {string} [title] - The link title.
+ * @returns {string|null} The HTML.
+ */
+const link = (url, html, ctx, title) => {
+    const href = sanitizeURL(url);
+    if (!href) return null;
+
+    const titleAttr = title ? ` title="${escape(title)}"` : "";
+    return `<a href="${escape(href)}"${titleAttr} rel="nofollow ugc noopener">${html}</a>`;
+};
+
+/**
+ * Put the held HTML back in place of its placeholders.
+ * 
+ * @param {string} s - The text with placeholders.
+ * @param {string[]} slots - The held HTML.
+ * @returns {string} The text with the HTML restored.
+ */
+const restore = (s, slots) => {
+    return s.replace(/\u0000(\d+)\u0000/g, (m, i) => restore(slots[Number(i)], slots));
+};
+
+/**
+ * Turn text with placeholders back into plain text, dropping the tags of the held HTML.
+ * 
+ * @param {string} s - The text with placeholders.
+ * @param {string[]} slots - The held HTML.
+ * @returns {string} The plain text, to be escaped again where it is used.
+ */
+const plainText = (s, slots) => {
+    const text = s.replace(/\u0000(\d+)\u0000/g, (m, i) => unescapeHTML(restore(slots[Number(i)], slots).replace(/<[^>]*>/g, "")));
+    return text.replace(/\u0000/g, "");
+};
+
+/**
+ * Remove trailing punctuation that is more likely part of the sentence than the URL.
+ * 
+ * @param {string} url - The URL as matched.
+ * @returns {string} The URL.
+ */
+const trimURL = (url) => {
+    let end = url.length;
+
+    while (end > 0 && /[.,:;!?'"*_~]/.test(url[end - 1])) end--;
+
+    // Drop a closing parenthesis without a matching opening one, e.g., "(see https://example.com)"
+    let trimmed = url.slice(0, end);
+    while (trimmed.endsWith(")") && count(trimmed, "(") < count(trimmed, ")")) trimmed = trimmed.slice(0, -1);
+
+    return trimmed;
+};
+
+/**
+ * Count the occurrences of a character in a string.
+ * 
+ * @param {string} s - The string.
+ * @param {string} ch - The character.
+ * @returns {number} The count.
+ */
+const count = (s, ch) => s.split(ch).length - 1;
+
+/**
+ * Count the leading spaces of a line (a tab counts as four).
+ * 
+ * @param {string} line - The line.
+ * @returns {number} The number of spaces.
+ */
+const leadingSpaces = (line) => {
+    const ws = /^[ \t]*/.exec(line)[0];
+    return ws.replace(/\t/g, "    ").length;
+};
+
+/**
+ * Escape text for HTML.
+ * 
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+const escape = (text) => escapeHTML(text, { preventDoubleEscape: false });
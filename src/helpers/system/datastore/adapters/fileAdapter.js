@@ -0,0 +1,318 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * File-backed adapter (persistent). Meets adapter contract.
+ * 
+ * Every write is appended to a log file as a single JSON line. On startup the log is replayed
+ * into memory; a partially written last line (e.g., after a crash mid-write) is discarded and
+ * trimmed from the file, while a corrupt line anywhere else stops the load with an error rather
+ * than silently losing the records after it. Once enough writes have accumulated, the log is compacted by writing
+ * the live entries to a temporary file and atomically renaming it over the log.
+ */
+export class FileAdapter {
+    /**
+     * Create a new instance of FileAdapter.
+     * 
+     * @param {Object} options - Options for the file adapter.
+     * @param {string} options.dir - The directory to store data in (e.g., one directory per board).
+     * @param {string} [options.file="datastore.log"] - The name of the log file within the directory.
+     * @param {number} [options.compactThreshold=1000] - Number of log lines written since the last
+     *                                                   compaction before the log is compacted again.
+     */
+    constructor(options = {}) {
+        const { dir, file = "datastore.log", compactThreshold = 1000 } = options;
+
+        if (typeof dir !== 'string' || !dir) {
+            throw new TypeError("FileAdapter requires a directory");
+        }
+
+        this.dir = dir;
+        this.file = path.join(dir, file);
+        this.compactThreshold = compactThreshold;
+
+        this._m = new Map();
+        this._writes = 0;
+        this._queue = Promise.resolve();
+        this._ready = null;
+    }
+
+    /**
+     * Get a value for given key from the datastore.
+     * 
+     * @param {string} key - The name of the key to get value for.
+     * @returns {Promise<*>} A promise that resolves to the value of the given key.
+     */
+    async get(key) {
+        return this._run(() => this._m.get(key));
+    }
+
+    /**
+     * Set a key in the datastore.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set.
+     */
+    async set(key, value) {
+        await this._run(() => this._append([{ op: "set", k: key, v: value }]));
+    }
+
+    /**
+     * Delete a key from the datastore.
+     * 
+     * @param {string} key - The name of the key to delete.
+     * @returns {Promise<boolean>} A promise that resolves to a boolean (true if deleted successfully, false otherwise).
+     */
+    async delete(key) {
+        return this._run(async () => {
+            if (!this._m.has(key)) return false;
+            await this._append([{ op: "del", k: key }]);
+            return true;
+        });
+    }
+
+    /**
+     * Check if the datastore has a given key.
+     * 
+     * @param {string} key - The name of the key to check.
+     * @returns {Promise<boolean>} A promise that resolves to a boolean (true if datastore has the key, false if not).
+     */
+    async has(key) {
+        return this._run(() => this._m.has(key));
+    }
+
+    /**
+     * Clear out the datastore of all data.
+     * Warning: this action is not reversable.
+     */
+    async clear() {
+        await this._run(async () => {
+            // Rewrite the log first, so a failed write leaves both the log and memory intact
+            await this._compact(new Map());
+            this._m.clear();
+        });
+    }
+
+    /**
+     * Get the array of keys in the datastore.
+     * 
+     * @returns {Promise<string[]>} A promise that resolves to an array of keys that are in the datastore.
+     */
+    async keys() {
+        return this._run(() => Array.from(this._m.keys()));
+    }
+
+    /**
+     * Get the current size of the datastore.
+     * 
+     * @returns {Promise<number>} A promise that resolves to the size of the datastore.
+     */
+    async size() {
+        return this._run(() => this._m.size);
+    }
+
+    /**
+     * Retrieve multiple keys from the datastore.
+     * 
+     * @param {string[]} keys - An array of keys as strings to fetch.
+     * @returns {Promise<any[]>} A promise that resolves to an array of wrapped values, aligned
+     *                           with the order of the provided keys.
+     */
+    async mget(keys) {
+        return this._run(() => keys.map((k) => this._m.get(k)));
+    }
+
+    /**
+     * Set multiple key-value pairs in the datastore.
+     * All entries are appended to the log as a single record, so after a crash either all of them are replayed or none.
+     * 
+     * @param {[string, any][]} entries - An array of `[key, value]` pairs to store.
+     *                                    Each value should already be wrapped in the `{ v, e }` format used by DataStore.
+     * @returns {Promise<void>} A promise that resolves when all entries have been set.
+     */
+    async mset(entries) {
+        if (entries.length === 0) return;
+        await this._run(() => this._append([{ op: "mset", entries }]));
+    }
+
+    /**
+     * Increment the numeric value of a key.
+     * 
+     * @param {string} key - The key whose numeric value to increment.
+     * @param {number} [delta=1] - The amount to increase (or decrease if negative) (default is 1).
+     * @returns {Promise<number>} A promise resolving to the new numeric value after increment.
+     */
+    async incr(key, delta = 1) {
+        return this._run(async () => {
+            const curr = this._m.get(key);
+            const next = Number(curr?.v ?? 0) + Number(delta);
+            const wrapped = { v: next, e: curr?.e ?? null };
+
+            await this._append([{ op: "set", k: key, v: wrapped }]);
+            return next;
+        });
+    }
+
+    /**
+     * Compact the log file so it only contains the live entries.
+     * Expired entries are dropped during compaction.
+     * 
+     * @returns {Promise<void>} A promise that resolves when compaction has finished.
+     */
+    async compact() {
+        await this._run(() => this._compact());
+    }
+
+    /**
+     * Wait for any pending writes to finish.
+     * 
+     * @returns {Promise<void>} A promise that resolves once all queued operations have completed.
+     */
+    async close() {
+        await this._run(() => {});
+    }
+
+    /**
+     * Run an operation once the log has been loaded, in order with all other operations.
+     * 
+     * @param {Function} fn - The operation to run.
+     * @returns {Promise<*>} A promise that resolves to the result of the operation.
+     */
+    _run(fn) {
+        if (!this._ready) this._ready = this._load();
+
+        const result = this._queue.then(() => this._ready).then(fn);
+        this._queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Load the log file into memory, recovering from any interrupted writes.
+     * 
+     * @returns {Promise<void>} A promise that resolves when the log has been replayed.
+     * @throws {Error} If a line before the last one is corrupt.
+     */
+    async _load() {
+        await fs.mkdir(this.dir, { recursive: true });
+
+        // A leftover temporary file means a compaction never reached its rename, so the log is still authoritative
+        await fs.rm(`${this.file}.tmp`, { force: true });
+
+        let data;
+
+        try {
+            data = await fs.readFile(this.file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+
+        let offset = 0;
+        let goodLength = 0;
+        let lines = 0;
+
+        while (offset < data.length) {
+            const end = data.indexOf("\n", offset);
+
+            // Every append ends with a newline, so only a final line without one can be a torn write
+            if (end === -1) break;
+
+            let record;
+
+            try {
+                record = JSON.parse(data.slice(offset, end));
+            } catch {
+                throw new Error(`Corrupt record on line ${lines + 1} of ${this.file}`);
+            }
+
+            this._replay(record);
+            lines++;
+            offset = end + 1;
+            goodLength = offset;
+        }
+
+        // Only lines superseded by later ones count towards the next compaction
+        this._writes = Math.max(0, lines - this._m.size);
+
+        // Trim a torn tail so new appends start on a clean line
+        if (goodLength < data.length) {
+            await fs.truncate(this.file, Buffer.byteLength(data.slice(0, goodLength), 'utf8'));
+        }
+    }
+
+    /**
+     * Apply a single log record to the in-memory map.
+     * 
+     * @param {{ op: string, k?: string, v?: *, entries?: [string, *][] }} record - The log record to apply.
+     */
+    _replay(record) {
+        if (record.op === "set") this._m.set(record.k, record.v);
+        else if (record.op === "mset") for (const [k, v] of record.entries) this._m.set(k, v);
+        else if (record.op === "del") this._m.delete(record.k);
+    }
+
+    /**
+     * Append records to the log file, then apply them in memory, compacting once the threshold has been reached.
+     * Memory is only changed once the write has succeeded, so a failed write leaves nothing behind.
+     * 
+     * @param {Object[]} records - The records to append.
+     * @returns {Promise<void>} A promise that resolves when the records have been written.
+     */
+    async _append(records) {
+        if (records.length === 0) return;
+
+        const lines = records.map((r) => JSON.stringify(r) + "\n").join("");
+        await fs.appendFile(this.file, lines, 'utf8');
+
+        for (const record of records) this._replay(record);
+        this._writes += records.length;
+
+        if (this._writes >= this.compactThreshold) await this._compact();
+    }
+
+    /**
+     * Rewrite the log file with only the live entries.
+     * 
+     * @param {Map<string, *>} [entries=this._m] - The entries to write (expired ones are dropped from the map).
+     * @returns {Promise<void>} A promise that resolves when the log has been rewritten.
+     */
+    async _compact(entries = this._m) {
+        const now = Date.now();
+        const tmp = `${this.file}.tmp`;
+        const lines = [];
+
+        for (const [k, v] of entries) {
+            if (v?.e != null && v.e <= now) {
+                entries.delete(k);
+                continue;
+            }
+
+            lines.push(JSON.stringify({ op: "set", k, v }) + "\n");
+        }
+
+        const handle = await fs.open(tmp, 'w');
+
+        try {
+            await handle.writeFile(lines.join(""), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fs.rename(tmp, this.file);
+        this._writes = 0;
+    }
+}
@@ -11,15 +11,74 @@
  * root directory.
  */
 
+import { EventEmitter } from 'node:events';
+import { globToRegExp } from '../../../core/globMatch.js';
+
+/**
+ * Marker for keys deleted inside a transaction.
+ */
+const DELETED = Symbol("deleted");
+
 /**
  * In-memory adapter (no persistence). Meets adapter contract.
+ * 
+ * Entries whose `{ v, e }` envelope has expired are removed when they are next touched,
+ * and optionally by a background sweeper. Each removal emits an `expire` event with the
+ * key and the wrapped value.
+ * 
+ * When a capacity limit is set, entries are evicted using the configured policy once the
+ * limit is exceeded, emitting an `evict` event with the key and the wrapped value.
+ * 
+ * @example
+ * const adapter = new MemoryAdapter({ sweepInterval: 5000 });
+ * adapter.on("expire", (key) => {
+ *      if (key.startsWith("presence:")) markOffline(key.slice(9));
+ * });
+ * 
+ * const cache = new MemoryAdapter({ maxEntries: 1000, maxBytes: 5e6, policy: "lfu" });
+ * cache.on("evict", (key) => console.log(`evicted ${key}`));
  */
-export class MemoryAdapter {
+export class MemoryAdapter extends EventEmitter {
     /**
      * Create a new instance of MemoryAdapter.
+     * 
+     * @param {Object} [options={}] - Options for the memory adapter.
+     * @param {number} [options.sweepInterval] - How often (in milliseconds) to sweep out expired entries
+     *                                           in the background (omit to disable the sweeper).
+     * @param {number} [options.maxEntries] - Maximum number of entries to hold (omit for no limit).
+     * @param {number} [options.maxBytes] - Maximum approximate size in bytes of all keys and values (omit for no limit).
+     * @param {"lru"|"lfu"} [options.policy="lru"] - Eviction policy: least recently used or least frequently used.
      */
-    constructor() {
+    constructor(options = {}) {
+        super();
+
+        const { sweepInterval, maxEntries, maxBytes, policy = "lru" } = options;
+
+        if (policy !== "lru" && policy !== "lfu") {
+            throw new TypeError(`Unknown eviction policy: ${policy}`);
+        }
+
+        this.maxEntries = maxEntries > 0 ? maxEntries : null;
+        this.maxBytes = maxBytes > 0 ? maxBytes : null;
+        this.policy = policy;
+
         this._m = new Map();
+        this._freq = new Map();
+        this._sizes = new Map();
+        this._bytes = 0;
+        this._ver = new Map();
+        this._slots = new Map();
+        this._order = [];
+        this._stale = 0;
+        this._seq = 0;
+        this._subs = new Map();
+        this._stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+        this._timer = null;
+
+        if (sweepInterval > 0) {
+            this._timer = setInterval(() => this.sweep(), sweepInterval);
+            this._timer.unref();
+        }
     }
 
     /**
@@ -29,7 +88,7 @@ export class MemoryAdapter {
      * @returns {Promise<*>} A promise that resolves to the value of the given key.
      */
     async get(key) {
-        return this._m.get(key);
+        return this._read(key);
     }
 
     /**
@@ -39,7 +98,8 @@ export class MemoryAdapter {
      * @param {*} value - The value to set.
      */
     async set(key, value) {
-        this._m.set(key, value);
+        this._write(key, value);
+        this._evict(key);
     }
 
     /**
@@ -49,7 +109,7 @@ export class MemoryAdapter {
      * @returns {Promise<boolean>} A promise that resolves to a boolean (true if deleted successfully, false otherwise).
      */
     async delete(key) {
-        return this._m.delete(key);
+        return this._remove(key);
     }
     
     /**
@@ -59,7 +119,7 @@ export class MemoryAdapter {
      * @returns {Promise<boolean>} A promise that resolves to a boolean (true if datastore has the key, false if not).
      */
     async has(key) {
-        return this._m.has(key);
+        return this._live(key) !== undefined;
     }
 
     /**
@@ -68,6 +128,13 @@ export class MemoryAdapter {
      */
     async clear() {
         this._m.clear();
+        this._ver.clear();
+        this._slots.clear();
+        this._order = [];
+        this._stale = 0;
+        this._freq.clear();
+        this._sizes.clear();
+        this._bytes = 0;
     }
 
     /**
@@ -76,6 +143,7 @@ export class MemoryAdapter {
      * @returns {Promise<string[]>} A promise that resolves to an array of keys that are in the datastore.
      */
     async keys() {
+        this.sweep();
         return Array.from(this._m.keys());
     }
 
@@ -85,9 +153,55 @@ export class MemoryAdapter {
      * @returns {Promise<number>} A promise that resolves to the size of the datastore.
      */
     async size() {
+        this.sweep();
         return this._m.size;
     }
 
+    /**
+     * Get one page of keys matching a glob pattern.
+     * 
+     * Keys are visited in creation order, so every key that exists for the whole scan is returned
+     * exactly once, even if other keys are added, updated or deleted between pages.
+     * 
+     * @param {string} [pattern="*"] - Glob pattern the keys must match (e.g., "user:*").
+     * @param {Object} [options={}] - Options for the scan.
+     * @param {number} [options.cursor=0] - The cursor returned by the previous page (0 to start).
+     * @param {number} [options.count=100] - The maximum number of keys to return.
+     * @returns {Promise<{ cursor: number, keys: string[] }>} A promise that resolves to the matching keys
+     *                                                         and the cursor for the next page (0 when done).
+     * 
+     * @example
+     * let cursor = 0;
+     * do {
+     *      const page = await adapter.scan("user:*", { cursor, count: 500 });
+     *      cursor = page.cursor;
+     *      // ...use page.keys
+     * } while (cursor !== 0);
+     */
+    async scan(pattern = "*", options = {}) {
+        const { cursor = 0, count = 100 } = options;
+        const re = globToRegExp(pattern);
+        const now = Date.now();
+        const keys = [];
+
+        // Resume just after the cursor instead of walking every key before it. Expiring keys below
+        // may compact the index into a new array, so keep iterating the one we started with.
+        const order = this._order;
+
+        for (let i = seek(order, cursor); i < order.length; i++) {
+            const [slot, k] = order[i];
+
+            if (this._slots.get(k) !== slot) continue;
+            if (this._expire(k, this._m.get(k), now)) continue;
+            if (!re.test(k)) continue;
+
+            keys.push(k);
+            if (keys.length >= count) return { cursor: slot, keys };
+        }
+
+        return { cursor: 0, keys };
+    }
+
     /**
      * Retrieve multiple keys from the in-memory store.
      * 
@@ -100,7 +214,7 @@ export class MemoryAdapter {
      * // → [ { v: "Alice", e: null }, undefined ]
      */
     async mget(keys) {
-        return keys.map((k) => this._m.get(k));
+        return keys.map((k) => this._read(k));
     }
 
     /**
@@ -117,7 +231,8 @@ export class MemoryAdapter {
      * ]);
      */
     async mset(entries) {
-        for (const [k, v] of entries) this._m.set(k, v);
+        for (const [k, v] of entries) this._write(k, v);
+        this._evict(entries.length ? entries[entries.length - 1][0] : undefined);
     }
 
     /**
@@ -135,14 +250,563 @@ export class MemoryAdapter {
      * // → 1 (key did not exist, created at 1) 
      */
     async incr(key, delta = 1) {
-        const curr = this._m.get(key);
+        return this._incr(key, delta);
+    }
+
+    /**
+     * Set a key only if it does not already exist (or has expired).
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set (wrapped in the `{ v, e }` format used by DataStore).
+     * @returns {Promise<boolean>} A promise that resolves to true if the value was set, false if the key already existed.
+     * 
+     * @example
+     * await adapter.setIfAbsent("username:alice", { v: 1, e: null });
+     * // → true
+     * await adapter.setIfAbsent("username:alice", { v: 2, e: null });
+     * // → false
+     */
+    async setIfAbsent(key, value) {
+        return this._setIfAbsent(key, value);
+    }
+
+    /**
+     * Replace the value of a key only if its current unwrapped value equals `expected`.
+     * Pass `undefined` as `expected` to require that the key does not exist.
+     * 
+     * @param {string} key - The name of the key to update.
+     * @param {*} expected - The unwrapped value (`v`) the key must currently hold.
+     * @param {*} next - The new value (wrapped in the `{ v, e }` format used by DataStore).
+     * @returns {Promise<boolean>} A promise that resolves to true if the value was replaced, false otherwise.
+     * 
+     * @example
+     * await adapter.compareAndSet("lock:thread:42", undefined, { v: "alice", e: Date.now() + 60000 });
+     * // → true (lock acquired)
+     */
+    async compareAndSet(key, expected, next) {
+        return this._compareAndSet(key, expected, next);
+    }
+
+    /**
+     * Set a key and return the value it held before.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set (wrapped in the `{ v, e }` format used by DataStore).
+     * @returns {Promise<*>} A promise that resolves to the previous wrapped value, or undefined if there was none.
+     */
+    async getAndSet(key, value) {
+        return this._getAndSet(key, value);
+    }
+
+    /**
+     * Run a function as an optimistic transaction.
+     * 
+     * Reads made through the transaction are tracked and writes are buffered. When the function
+     * finishes, the writes are applied all at once unless a key that was read has been changed by
+     * another caller in the meantime, in which case the function is run again.
+     * 
+     * @param {(tx: { get: Function, has: Function, set: Function, delete: Function }) => Promise<*>} fn - The
+     *        function to run; it receives a transaction object with async `get`, `has`, `set` and `delete` methods.
+     * @param {Object} [options={}] - Options for the transaction.
+     * @param {number} [options.retries=10] - How many times to re-run the function after a conflict.
+     * @returns {Promise<*>} A promise that resolves to the return value of the function.
+     * @throws {Error} If the transaction still conflicts after all retries.
+     * 
+     * @example
+     * await adapter.transaction(async (tx) => {
+     *      const curr = await tx.get("thread:42:replies");
+     *      await tx.set("thread:42:replies", { v: (curr?.v ?? 0) + 1, e: null });
+     * });
+     */
+    async transaction(fn, options = {}) {
+        const { retries = 10 } = options;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const reads = new Map();
+            const writes = new Map();
+
+            const read = (key) => {
+                if (writes.has(key)) {
+                    const w = writes.get(key);
+                    return w === DELETED ? undefined : w;
+                }
+
+                const value = this._live(key);
+                if (!reads.has(key)) reads.set(key, this._ver.get(key));
+                return value;
+            };
+
+            const tx = {
+                get: async (key) => read(key),
+                has: async (key) => read(key) !== undefined,
+                set: async (key, value) => { writes.set(key, value); },
+                delete: async (key) => {
+                    const existed = read(key) !== undefined;
+                    writes.set(key, DELETED);
+                    return existed;
+                },
+            };
+
+            const result = await fn(tx);
+
+            let conflict = false;
+
+            for (const [k, ver] of reads) {
+                if (this._ver.get(k) !== ver) {
+                    conflict = true;
+                    break;
+                }
+            }
+
+            if (conflict) continue;
+
+            for (const [k, v] of writes) {
+                if (v === DELETED) this._remove(k);
+                else this._write(k, v);
+            }
+
+            this._evict();
+            return result;
+        }
+
+        throw new Error(`Transaction aborted after ${retries + 1} conflicting attempts`);
+    }
+
+    /**
+     * Start a batch of commands that are queued and then executed together with `exec()`.
+     * No other caller can run between the queued commands.
+     * 
+     * @returns {Object} A chainable batch with `get`, `set`, `delete`, `incr`, `setIfAbsent`,
+     *                   `compareAndSet`, `getAndSet` and `exec` methods.
+     * 
+     * @example
+     * const [views, claimed] = await adapter.multi()
+     *      .incr("thread:42:views")
+     *      .setIfAbsent("thread:42:lock", { v: "alice", e: null })
+     *      .exec();
+     */
+    multi() {
+        const ops = [];
+
+        const batch = {
+            get: (key) => queue(() => this._live(key)),
+            set: (key, value) => queue(() => { this._write(key, value); this._evict(key); }),
+            delete: (key) => queue(() => this._remove(key)),
+            incr: (key, delta = 1) => queue(() => this._incr(key, delta)),
+            setIfAbsent: (key, value) => queue(() => this._setIfAbsent(key, value)),
+            compareAndSet: (key, expected, next) => queue(() => this._compareAndSet(key, expected, next)),
+            getAndSet: (key, value) => queue(() => this._getAndSet(key, value)),
+            exec: async () => ops.map((op) => op()),
+        };
+
+        const queue = (op) => {
+            ops.push(op);
+            return batch;
+        };
+
+        return batch;
+    }
+
+    /**
+     * Publish a message to every subscriber whose pattern matches the channel.
+     * Handlers are called in subscription order; a failing handler does not affect the others.
+     * 
+     * @param {string} channel - The channel to publish to (e.g., "thread:42:reply").
+     * @param {*} message - The message to deliver.
+     * @returns {Promise<number>} A promise that resolves to the number of handlers the message was delivered to.
+     * 
+     * @example
+     * await adapter.publish("thread:42:typing", { user: "alice" });
+     * // → 1
+     */
+    async publish(channel, message) {
+        const pending = [];
+
+        for (const { re, handlers } of this._subs.values()) {
+            if (!re.test(channel)) continue;
+
+            for (const handler of handlers) {
+                pending.push((async () => handler(message, channel))());
+            }
+        }
+
+        await Promise.allSettled(pending);
+        return pending.length;
+    }
+
+    /**
+     * Subscribe to every channel matching a glob pattern.
+     * 
+     * @param {string} pattern - Channel name or glob pattern (e.g., "thread:42:*").
+     * @param {(message: *, channel: string) => void} handler - Called with each message and the channel it was published to.
+     * @returns {Promise<() => Promise<void>>} A promise that resolves to a function that removes the subscription.
+     * 
+     * @example
+     * const unsubscribe = await adapter.subscribe("thread:42:*", (message, channel) => {
+     *      console.log(channel, message);
+     * });
+     * await unsubscribe();
+     */
+    async subscribe(pattern, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError("Subscription handler must be a function");
+        }
+
+        let sub = this._subs.get(pattern);
+
+        if (!sub) {
+            sub = { re: globToRegExp(pattern), handlers: new Set() };
+            this._subs.set(pattern, sub);
+        }
+
+        // Wrap so the same handler can be subscribed twice and removed independently
+        const entry = (message, channel) => handler(message, channel);
+        sub.handlers.add(entry);
+
+        return async () => {
+            sub.handlers.delete(entry);
+            if (sub.handlers.size === 0 && this._subs.get(pattern) === sub) this._subs.delete(pattern);
+        };
+    }
+
+    /**
+     * Remove every expired entry, emitting an `expire` event for each one.
+     * 
+     * @returns {number} The number of entries removed.
+     */
+    sweep() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [k, v] of this._m) {
+            if (this._expire(k, v, now)) removed++;
+        }
+
+        return removed;
+    }
+
+    /**
+     * Get cache statistics.
+     * 
+     * @returns {{ hits: number, misses: number, evictions: number, expirations: number, size: number, bytes: number|null }}
+     *          Hit/miss counts for reads, eviction and expiration counts, the current number of entries
+     *          and the approximate size in bytes (null unless `maxBytes` is set).
+     * 
+     * @example
+     * adapter.stats();
+     * // → { hits: 10, misses: 2, evictions: 1, expirations: 0, size: 100, bytes: null }
+     */
+    stats() {
+        return {
+            ...this._stats,
+            size: this._m.size,
+            bytes: this.maxBytes ? this._bytes : null,
+        };
+    }
+
+    /**
+     * Stop the background sweeper.
+     */
+    async close() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Get the stored value for a key, removing it first if it has expired.
+     * 
+     * @param {string} key - The name of the key to get.
+     * @returns {*} The stored value, or undefined if missing or expired.
+     */
+    _live(key) {
+        const value = this._m.get(key);
+        return this._expire(key, value, Date.now()) ? undefined : value;
+    }
+
+    /**
+     * Increment the numeric value of a key.
+     * 
+     * @param {string} key - The key whose numeric value to increment.
+     * @param {number} delta - The amount to increase (or decrease if negative).
+     * @returns {number} The new numeric value after increment.
+     */
+    _incr(key, delta) {
+        const curr = this._live(key);
         const currVal = curr?.v ?? 0;
         const next = Number(currVal) + Number(delta);
 
         const ttl = curr?.e != null ? (curr.e - Date.now()) : null;
         const wrapped = { v: next, e: ttl == null ? null : Date.now() + ttl };
 
-        this._m.set(key, wrapped);
+        this._write(key, wrapped);
+        this._evict(key);
         return next;
     }
-}
\ No newline at end of file
+
+    /**
+     * Set a key only if it does not already exist.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set.
+     * @returns {boolean} True if the value was set, false otherwise.
+     */
+    _setIfAbsent(key, value) {
+        if (this._live(key) !== undefined) return false;
+
+        this._write(key, value);
+        this._evict(key);
+        return true;
+    }
+
+    /**
+     * Replace the value of a key only if its current unwrapped value equals `expected`.
+     * 
+     * @param {string} key - The name of the key to update.
+     * @param {*} expected - The unwrapped value the key must currently hold.
+     * @param {*} next - The new value.
+     * @returns {boolean} True if the value was replaced, false otherwise.
+     */
+    _compareAndSet(key, expected, next) {
+        if (!sameValue(this._live(key)?.v, expected)) return false;
+
+        this._write(key, next);
+        this._evict(key);
+        return true;
+    }
+
+    /**
+     * Set a key and return the value it held before.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set.
+     * @returns {*} The previous value, or undefined if there was none.
+     */
+    _getAndSet(key, value) {
+        const prev = this._live(key);
+
+        this._write(key, value);
+        this._evict(key);
+        return prev;
+    }
+
+    /**
+     * Read a value for a key, recording a hit or miss and the access for the eviction policy.
+     * 
+     * @param {string} key - The name of the key to read.
+     * @returns {*} The stored value, or undefined if missing or expired.
+     */
+    _read(key) {
+        const value = this._live(key);
+
+        if (value === undefined) {
+            this._stats.misses++;
+            return undefined;
+        }
+
+        this._stats.hits++;
+        this._touch(key);
+        return value;
+    }
+
+    /**
+     * Record an access to a key for the eviction policy.
+     * 
+     * @param {string} key - The name of the key that was accessed.
+     */
+    _touch(key) {
+        if (!this.maxEntries && !this.maxBytes) return;
+
+        if (this.policy === "lfu") {
+            this._freq.set(key, (this._freq.get(key) ?? 0) + 1);
+        } else {
+            // Re-inserting moves the key to the end of the map, which keeps the map in recency order
+            const value = this._m.get(key);
+            this._m.delete(key);
+            this._m.set(key, value);
+        }
+    }
+
+    /**
+     * Store a value for a key, keeping size and access tracking up to date.
+     * 
+     * @param {string} key - The name of the key to write.
+     * @param {*} value - The value to store.
+     */
+    _write(key, value) {
+        if (this.maxBytes) {
+            const size = approxBytes(key, value);
+            this._bytes += size - (this._sizes.get(key) ?? 0);
+            this._sizes.set(key, size);
+        }
+
+        if (!this._slots.has(key)) {
+            this._slots.set(key, ++this._seq);
+            this._order.push([this._seq, key]);
+        }
+
+        this._m.set(key, value);
+        this._ver.set(key, ++this._seq);
+        this._touch(key);
+    }
+
+    /**
+     * Remove a key along with its size and access tracking.
+     * 
+     * @param {string} key - The name of the key to remove.
+     * @returns {boolean} True if the key existed, false if not.
+     */
+    _remove(key) {
+        this._bytes -= this._sizes.get(key) ?? 0;
+        this._sizes.delete(key);
+        this._freq.delete(key);
+        this._ver.delete(key);
+
+        if (this._slots.delete(key)) {
+            this._stale++;
+
+            // Rebuild the scan index once most of it refers to deleted keys
+            if (this._stale > 1024 && this._stale > this._order.length / 2) {
+                this._order = Array.from(this._slots, ([k, slot]) => [slot, k]);
+                this._stale = 0;
+            }
+        }
+
+        return this._m.delete(key);
+    }
+
+    /**
+     * Evict entries until the store is back within its capacity limits.
+     * 
+     * @param {string} [keep] - A key that was just written and should be evicted last.
+     */
+    _evict(keep) {
+        const over = () => (this.maxEntries && this._m.size > this.maxEntries)
+            || (this.maxBytes && this._bytes > this.maxBytes);
+
+        // An entry that can never fit is dropped on its own rather than flushing everything else first
+        if (this.maxBytes && (this._sizes.get(keep) ?? 0) > this.maxBytes) this._drop(keep);
+
+        while (over()) {
+            const victim = this._victim(keep) ?? keep;
+            if (victim === undefined || !this._m.has(victim)) break;
+            this._drop(victim);
+        }
+    }
+
+    /**
+     * Evict a single entry, emitting an `evict` event for it.
+     * 
+     * @param {string} key - The name of the key to evict.
+     */
+    _drop(key) {
+        const value = this._m.get(key);
+        this._remove(key);
+        this._stats.evictions++;
+        this.emit("evict", key, value);
+    }
+
+    /**
+     * Pick the next entry to evict according to the eviction policy.
+     * 
+     * @param {string} [keep] - A key that should not be picked.
+     * @returns {string|undefined} The key to evict, or undefined if only the kept key remains.
+     */
+    _victim(keep) {
+        if (this.policy === "lru") {
+            for (const k of this._m.keys()) {
+                if (k !== keep) return k;
+            }
+
+            return undefined;
+        }
+
+        let victim;
+        let lowest = Infinity;
+
+        // Map order breaks ties in favour of evicting the oldest entry
+        for (const k of this._m.keys()) {
+            if (k === keep) continue;
+
+            const freq = this._freq.get(k) ?? 0;
+
+            if (freq < lowest) {
+                lowest = freq;
+                victim = k;
+            }
+        }
+
+        return victim;
+    }
+
+    /**
+     * Remove an entry if its envelope has expired.
+     * 
+     * @param {string} key - The name of the key.
+     * @param {*} value - The stored value for the key.
+     * @param {number} now - The current time in milliseconds.
+     * @returns {boolean} True if the entry was expired and removed, false otherwise.
+     */
+    _expire(key, value, now) {
+        if (value?.e == null || value.e > now) return false;
+
+        this._remove(key);
+        this._stats.expirations++;
+        this.emit("expire", key, value);
+        return true;
+    }
+}
+
+/**
+ * Approximate the memory used by a key and its value.
+ * 
+ * @param {string} key - The key.
+ * @param {*} value - The value.
+ * @returns {number} The approximate size in bytes.
+ */
+const approxBytes = (key, value) => {
+    let json;
+
+    try {
+        json = JSON.stringify(value) ?? "";
+    } catch {
+        json = String(value);
+    }
+
+    return Buffer.byteLength(String(key)) + Buffer.byteLength(json);
+};
+
+/**
+ * Check if two unwrapped values are equal, comparing objects and arrays by their contents.
+ * 
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are equal, false if not.
+ */
+const sameValue = (a, b) => {
+    if (Object.is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Find the first entry in the scan index whose slot comes after a cursor.
+ * 
+ * @param {Array<[number, string]>} order - The scan index, ordered by slot.
+ * @param {number} cursor - The cursor.
+ * @returns {number} The index of the entry (the length of the index if there is none).
+ */
+const seek = (order, cursor) => {
+    let lo = 0;
+    let hi = order.length;
+
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+
+        if (order[mid][0] <= cursor) lo = mid + 1;
+        else hi = mid;
+    }
+
+    return lo;
+};
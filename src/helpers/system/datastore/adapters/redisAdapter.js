@@ -0,0 +1,496 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import net from 'node:net';
+import { globEscape } from '../../../core/globMatch.js';
+
+/**
+ * Encode a command as a RESP array of bulk strings.
+ * 
+ * @param {Array<string|number|Buffer>} args - The command name followed by its arguments.
+ * @returns {Buffer} The encoded command, ready to be written to a socket.
+ * 
+ * @example
+ * encodeCommand(["SET", "motd", "hi"]).toString();
+ * // → "*3\r\n$3\r\nSET\r\n$4\r\nmotd\r\n$2\r\nhi\r\n"
+ */
+export function encodeCommand(args) {
+    const parts = [Buffer.from(`*${args.length}\r\n`)];
+
+    for (const arg of args) {
+        const buf = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+        parts.push(Buffer.from(`$${buf.length}\r\n`), buf, Buffer.from("\r\n"));
+    }
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Incremental RESP parser.
+ * 
+ * Data can arrive split across any number of chunks; complete replies are handed to
+ * the callback as soon as they are fully received. Error replies are delivered as
+ * `Error` instances, bulk strings as UTF-8 strings and nil replies as null.
+ */
+export class RespParser {
+    /**
+     * Create a new instance of RespParser.
+     * 
+     * @param {(reply: *) => void} onReply - Called with each complete reply.
+     */
+    constructor(onReply) {
+        this.onReply = onReply;
+        this._buf = Buffer.alloc(0);
+    }
+
+    /**
+     * Feed a chunk of data into the parser.
+     * 
+     * @param {Buffer} chunk - The data received from the socket.
+     */
+    feed(chunk) {
+        this._buf = this._buf.length ? Buffer.concat([this._buf, chunk]) : chunk;
+
+        while (this._buf.length) {
+            const res = this._parse(0);
+            if (!res) return;
+
+            this._buf = this._buf.subarray(res[1]);
+            this.onReply(res[0]);
+        }
+    }
+
+    /**
+     * Parse a single reply starting at the given offset.
+     * 
+     * @param {number} offset - The offset into the buffer to start at.
+     * @returns {[*, number]|null} The reply and the offset just past it, or null if incomplete.
+     */
+    _parse(offset) {
+        const eol = this._buf.indexOf("\r\n", offset);
+        if (eol === -1) return null;
+
+        const type = String.fromCharCode(this._buf[offset]);
+        const line = this._buf.toString('utf8', offset + 1, eol);
+        const next = eol + 2;
+
+        switch (type) {
+            case "+":
+                return [line, next];
+            case "-":
+                return [new Error(line), next];
+            case ":":
+                return [Number(line), next];
+            case "$": {
+                const len = Number(line);
+                if (len === -1) return [null, next];
+                if (this._buf.length < next + len + 2) return null;
+                return [this._buf.toString('utf8', next, next + len), next + len + 2];
+            }
+            case "*": {
+                const count = Number(line);
+                if (count === -1) return [null, next];
+
+                const items = [];
+                let pos = next;
+
+                for (let i = 0; i < count; i++) {
+                    const res = this._parse(pos);
+                    if (!res) return null;
+                    items.push(res[0]);
+                    pos = res[1];
+                }
+
+                return [items, pos];
+            }
+            default:
+                throw new Error(`Unknown RESP type: ${type}`);
+        }
+    }
+}
+
+/**
+ * Minimal RESP client that pipelines commands over a single connection.
+ */
+export class RespClient {
+    /**
+     * Create a new instance of RespClient.
+     * 
+     * @param {Object} [options={}] - Options for the client.
+     * @param {string} [options.host="127.0.0.1"] - The host to connect to.
+     * @param {number} [options.port=6379] - The port to connect to.
+     * @param {number} [options.db] - The database index to SELECT after connecting.
+     */
+    constructor(options = {}) {
+        const { host = "127.0.0.1", port = 6379, db } = options;
+
+        this.host = host;
+        this.port = port;
+        this.db = db;
+
+        this._socket = null;
+        this._connecting = null;
+        this._pending = [];
+    }
+
+    /**
+     * Send a command and wait for its reply.
+     * 
+     * @param {...(string|number|Buffer)} args - The command name followed by its arguments.
+     * @returns {Promise<*>} A promise that resolves to the reply, or rejects with an error reply.
+     * 
+     * @example
+     * await client.command("INCRBY", "views", 5);
+     * // → 5
+     */
+    async command(...args) {
+        await this._connect();
+        return this._send(args);
+    }
+
+    /**
+     * Run commands as a `MULTI`/`EXEC` transaction, so they are applied (or read) atomically.
+     * The commands are written together, so no other command sent through this client can end up inside the transaction.
+     * 
+     * @param {Array<Array<string|number|Buffer>>} commands - The commands, each an array of its name and arguments.
+     * @returns {Promise<Array<*>>} A promise that resolves to the reply of each command, or rejects with the first error reply.
+     * 
+     * @example
+     * await client.multi([["GET", "motd"], ["PTTL", "motd"]]);
+     * // → ['"hi"', 59000]
+     */
+    async multi(commands) {
+        await this._connect();
+
+        const queued = [["MULTI"], ...commands].map((args) => this._send(args));
+        const exec = this._send(["EXEC"]);
+
+        // A command rejected while queueing also makes EXEC fail, which reports it
+        await Promise.allSettled(queued);
+        const replies = await exec;
+
+        if (replies === null) throw new Error("Transaction aborted");
+
+        const error = replies.find((reply) => reply instanceof Error);
+        if (error) throw error;
+
+        return replies;
+    }
+
+    /**
+     * Close the connection.
+     * 
+     * @returns {Promise<void>} A promise that resolves once the connection has been closed.
+     */
+    async close() {
+        if (!this._socket) return;
+
+        const socket = this._socket;
+        this._socket = null;
+        this._connecting = null;
+
+        await new Promise((resolve) => {
+            socket.once('close', resolve);
+            socket.end();
+        });
+    }
+
+    /**
+     * Open the connection if it is not already open.
+     * 
+     * @returns {Promise<void>} A promise that resolves once connected.
+     */
+    _connect() {
+        if (this._connecting) return this._connecting;
+
+        this._connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const parser = new RespParser((reply) => {
+                const p = this._pending.shift();
+                if (!p) return;
+
+                if (reply instanceof Error) p.reject(reply);
+                else p.resolve(reply);
+            });
+
+            socket.on('data', (chunk) => parser.feed(chunk));
+            socket.on('error', (err) => {
+                this._failAll(err);
+                reject(err);
+            });
+            socket.once('close', () => {
+                if (this._socket === socket) {
+                    this._socket = null;
+                    this._connecting = null;
+                }
+
+                this._failAll(new Error("Connection closed"));
+            });
+            socket.once('connect', () => {
+                this._socket = socket;
+                if (this.db == null) return resolve();
+
+                // Close the connection if the database cannot be selected, rather than leave it open on the wrong one
+                this._send(["SELECT", this.db]).then(resolve, (err) => {
+                    if (this._socket === socket) this._socket = null;
+                    socket.destroy();
+                    reject(err);
+                });
+            });
+        });
+
+        // Allow a later call to retry after a failed connection attempt
+        this._connecting.catch(() => { this._connecting = null; });
+
+        return this._connecting;
+    }
+
+    /**
+     * Write a command to the open connection.
+     * 
+     * @param {Array<string|number|Buffer>} args - The command name followed by its arguments.
+     * @returns {Promise<*>} A promise that resolves to the reply.
+     */
+    _send(args) {
+        return new Promise((resolve, reject) => {
+            this._pending.push({ resolve, reject });
+            this._socket.write(encodeCommand(args));
+        });
+    }
+
+    /**
+     * Reject every command still waiting for a reply.
+     * 
+     * @param {Error} err - The error to reject with.
+     */
+    _failAll(err) {
+        const pending = this._pending;
+        this._pending = [];
+        for (const p of pending) p.reject(err);
+    }
+}
+
+/**
+ * Redis adapter (shared across processes). Meets adapter contract.
+ * 
+ * Speaks RESP so it works against Redis (6.2 or later) or any compatible server. The `v` part of the
+ * `{ v, e }` envelope is stored as JSON, while `e` is mapped to a native key expiry, set together
+ * with the value (`SET ... PXAT`, or `MULTI`/`EXEC` for `mset`) and rebuilt from `PTTL` in the same
+ * transaction as the read, so a key is never seen without its expiry.
+ */
+export class RedisAdapter {
+    /**
+     * Create a new instance of RedisAdapter.
+     * 
+     * @param {Object} [options={}] - Options for the Redis adapter.
+     * @param {string} [options.host="127.0.0.1"] - The host to connect to.
+     * @param {number} [options.port=6379] - The port to connect to.
+     * @param {number} [options.db] - The database index to use.
+     * @param {string} [options.prefix=""] - Prefix for every key, so `keys()` leaves other data alone. Required by `clear()`.
+     * @param {RespClient} [options.client] - An existing client to use instead of creating one.
+     */
+    constructor(options = {}) {
+        const { prefix = "", client } = options;
+
+        this.prefix = prefix;
+        this.client = client ?? new RespClient(options);
+    }
+
+    /**
+     * Get a value for given key from the datastore.
+     * 
+     * @param {string} key - The name of the key to get value for.
+     * @returns {Promise<*>} A promise that resolves to the value of the given key.
+     */
+    async get(key) {
+        const k = this._key(key);
+        const [raw, pttl] = await this.client.multi([["GET", k], ["PTTL", k]]);
+
+        return unwrap(raw, pttl);
+    }
+
+    /**
+     * Set a key in the datastore.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set.
+     */
+    async set(key, value) {
+        const args = ["SET", this._key(key), JSON.stringify(value?.v ?? null)];
+
+        if (value?.e != null) args.push("PXAT", Math.ceil(value.e));
+        await this.client.command(...args);
+    }
+
+    /**
+     * Delete a key from the datastore.
+     * 
+     * @param {string} key - The name of the key to delete.
+     * @returns {Promise<boolean>} A promise that resolves to a boolean (true if deleted successfully, false otherwise).
+     */
+    async delete(key) {
+        return (await this.client.command("DEL", this._key(key))) > 0;
+    }
+
+    /**
+     * Check if the datastore has a given key.
+     * 
+     * @param {string} key - The name of the key to check.
+     * @returns {Promise<boolean>} A promise that resolves to a boolean (true if datastore has the key, false if not).
+     */
+    async has(key) {
+        return (await this.client.command("EXISTS", this._key(key))) > 0;
+    }
+
+    /**
+     * Clear out the datastore of all data under the adapter's prefix.
+     * A prefix is required, so that other data in the same database is never wiped.
+     * Warning: this action is not reversable.
+     * 
+     * @throws {Error} If the adapter has no prefix.
+     */
+    async clear() {
+        if (!this.prefix) {
+            throw new Error("RedisAdapter.clear() requires a prefix, so it does not wipe other data in the database");
+        }
+
+        for await (const keys of this._scanPages()) {
+            if (keys.length) await this.client.command("DEL", ...keys);
+        }
+    }
+
+    /**
+     * Get the array of keys in the datastore.
+     * 
+     * @returns {Promise<string[]>} A promise that resolves to an array of keys that are in the datastore.
+     */
+    async keys() {
+        // SCAN may return a key more than once
+        const keys = new Set();
+
+        for await (const page of this._scanPages()) {
+            for (const k of page) keys.add(k.slice(this.prefix.length));
+        }
+
+        return Array.from(keys);
+    }
+
+    /**
+     * Get the current size of the datastore.
+     * 
+     * @returns {Promise<number>} A promise that resolves to the size of the datastore.
+     */
+    async size() {
+        if (!this.prefix) return this.client.command("DBSIZE");
+        return (await this.keys()).length;
+    }
+
+    /**
+     * Retrieve multiple keys from the datastore with a single `MGET`.
+     * 
+     * @param {string[]} keys - An array of keys as strings to fetch.
+     * @returns {Promise<any[]>} A promise that resolves to an array of wrapped values, aligned
+     *                           with the order of the provided keys.
+     */
+    async mget(keys) {
+        if (keys.length === 0) return [];
+
+        const full = keys.map((k) => this._key(k));
+        const [raws, ...pttls] = await this.client.multi([["MGET", ...full], ...full.map((k) => ["PTTL", k])]);
+
+        return raws.map((raw, i) => unwrap(raw, pttls[i]));
+    }
+
+    /**
+     * Set multiple key-value pairs in the datastore with a single `MSET`, in a transaction with
+     * the `PEXPIREAT`s of any entries that expire.
+     * 
+     * @param {[string, any][]} entries - An array of `[key, value]` pairs to store.
+     *                                    Each value should already be wrapped in the `{ v, e }` format used by DataStore.
+     * @returns {Promise<void>} A promise that resolves when all entries have been set.
+     */
+    async mset(entries) {
+        if (entries.length === 0) return;
+
+        const mset = ["MSET"];
+        const expiries = [];
+
+        for (const [k, v] of entries) {
+            mset.push(this._key(k), JSON.stringify(v?.v ?? null));
+            if (v?.e != null) expiries.push(["PEXPIREAT", this._key(k), Math.ceil(v.e)]);
+        }
+
+        if (expiries.length === 0) await this.client.command(...mset);
+        else await this.client.multi([mset, ...expiries]);
+    }
+
+    /**
+     * Increment the numeric value of a key with `INCRBY` (or `INCRBYFLOAT` for fractions).
+     * The key's expiry is left untouched.
+     * 
+     * @param {string} key - The key whose numeric value to increment.
+     * @param {number} [delta=1] - The amount to increase (or decrease if negative) (default is 1).
+     * @returns {Promise<number>} A promise resolving to the new numeric value after increment.
+     */
+    async incr(key, delta = 1) {
+        const d = Number(delta);
+        const cmd = Number.isInteger(d) ? "INCRBY" : "INCRBYFLOAT";
+        return Number(await this.client.command(cmd, this._key(key), d));
+    }
+
+    /**
+     * Close the connection to the server.
+     * 
+     * @returns {Promise<void>} A promise that resolves once the connection has been closed.
+     */
+    async close() {
+        await this.client.close();
+    }
+
+    /**
+     * Resolve a key to the full key stored on the server.
+     * 
+     * @param {string} key - The key relative to this adapter.
+     * @returns {string} The key with the prefix applied.
+     */
+    _key(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    /**
+     * Walk the keys under the prefix with `SCAN`, which unlike `KEYS` does not block the server.
+     * 
+     * @returns {AsyncGenerator<string[]>} The full keys, one page at a time.
+     */
+    async *_scanPages() {
+        let cursor = "0";
+
+        do {
+            const [next, keys] = await this.client.command("SCAN", cursor, "MATCH", `${globEscape(this.prefix)}*`, "COUNT", 1000);
+            yield keys;
+            cursor = next;
+        } while (cursor !== "0");
+    }
+}
+
+/**
+ * Rebuild a `{ v, e }` envelope from a stored value and its remaining time to live.
+ * 
+ * @param {string|null} raw - The JSON value stored on the server.
+ * @param {number} pttl - The remaining time to live in milliseconds (-1 for none, -2 for missing).
+ * @returns {{ v: *, e: number|null }|undefined} The envelope, or undefined if the key is missing.
+ */
+const unwrap = (raw, pttl) => {
+    if (raw == null) return undefined;
+    return { v: JSON.parse(raw), e: pttl >= 0 ? Date.now() + pttl : null };
+};
@@ -0,0 +1,248 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { createRequire } from 'node:module';
+
+/**
+ * SQLite adapter (single-file persistence). Meets adapter contract.
+ * 
+ * Each value is stored as JSON alongside its expiry timestamp, which is copied out of the
+ * `{ v, e }` envelope into an indexed column so expired rows can be skipped and purged cheaply.
+ * Expired rows are purged in the background every `purgeInterval` milliseconds.
+ * 
+ * Requires the optional `better-sqlite3` package, which is only loaded when the adapter opens
+ * a database itself, so the rest of BBSKit works without it installed.
+ */
+export class SqliteAdapter {
+    /**
+     * Create a new instance of SqliteAdapter.
+     * 
+     * @param {Object} [options={}] - Options for the SQLite adapter.
+     * @param {string} [options.filename=":memory:"] - Path to the database file (ignored when `db` is given).
+     * @param {Object} [options.db] - An already open better-sqlite3 database to use.
+     * @param {string} [options.table="datastore"] - The name of the table to store data in.
+     * @param {number} [options.purgeInterval=60000] - How often (in milliseconds) to purge expired rows in the
+     *                                                 background (0 to disable and call {@link SqliteAdapter#purgeExpired} yourself).
+     * @throws {TypeError} If the table name is not a plain identifier.
+     * @throws {Error} If no `db` is given and better-sqlite3 is not installed.
+     */
+    constructor(options = {}) {
+        const { filename = ":memory:", db, table = "datastore", purgeInterval = 60000 } = options;
+
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+            throw new TypeError(`Invalid table name: ${table}`);
+        }
+
+        this.db = db ?? new (loadDriver())(filename);
+        this.table = table;
+
+        // A database passed in belongs to the caller, who decides when to close it
+        this._ownsDb = !db;
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS ${table} (
+                k TEXT PRIMARY KEY,
+                v TEXT NOT NULL,
+                e INTEGER
+            );
+            CREATE INDEX IF NOT EXISTS ${table}_e ON ${table} (e);
+        `);
+
+        const live = "(e IS NULL OR e > @now)";
+
+        this._stmt = {
+            get: this.db.prepare(`SELECT v FROM ${table} WHERE k = ?`),
+            set: this.db.prepare(`INSERT OR REPLACE INTO ${table} (k, v, e) VALUES (?, ?, ?)`),
+            delete: this.db.prepare(`DELETE FROM ${table} WHERE k = ?`),
+            has: this.db.prepare(`SELECT 1 FROM ${table} WHERE k = @k AND ${live}`),
+            clear: this.db.prepare(`DELETE FROM ${table}`),
+            keys: this.db.prepare(`SELECT k FROM ${table} WHERE ${live} ORDER BY rowid`).pluck(),
+            size: this.db.prepare(`SELECT COUNT(*) FROM ${table} WHERE ${live}`).pluck(),
+            incr: this.db.prepare(`
+                INSERT INTO ${table} (k, v, e) VALUES (@k, json_object('v', @delta, 'e', NULL), NULL)
+                ON CONFLICT (k) DO UPDATE SET v = json_set(v, '$.v', COALESCE(json_extract(v, '$.v'), 0) + @delta)
+                RETURNING json_extract(v, '$.v')
+            `).pluck(),
+            purge: this.db.prepare(`DELETE FROM ${table} WHERE e IS NOT NULL AND e <= ?`),
+        };
+
+        this._msetTx = this.db.transaction((entries) => {
+            for (const [k, v] of entries) this._write(k, v);
+        });
+
+        this._timer = null;
+
+        if (purgeInterval > 0) {
+            // An injected database may be closed by its owner before this adapter is
+            this._timer = setInterval(() => this.db.open && this._stmt.purge.run(Date.now()), purgeInterval);
+            this._timer.unref();
+        }
+    }
+
+    /**
+     * Get a value for given key from the datastore.
+     * 
+     * @param {string} key - The name of the key to get value for.
+     * @returns {Promise<*>} A promise that resolves to the value of the given key.
+     */
+    async get(key) {
+        const row = this._stmt.get.get(key);
+        return row ? JSON.parse(row.v) : undefined;
+    }
+
+    /**
+     * Set a key in the datastore.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set.
+     */
+    async set(key, value) {
+        this._write(key, value);
+    }
+
+    /**
+     * Delete a key from the datastore.
+     * 
+     * @param {string} key - The name of the key to delete.
+     * @returns {Promise<boolean>} A promise that resolves to a boolean (true if deleted successfully, false otherwise).
+     */
+    async delete(key) {
+        return this._stmt.delete.run(key).changes > 0;
+    }
+
+    /**
+     * Check if the datastore has a given, non-expired key.
+     * 
+     * @param {string} key - The name of the key to check.
+     * @returns {Promise<boolean>} A promise that resolves to a boolean (true if datastore has the key, false if not).
+     */
+    async has(key) {
+        return this._stmt.has.get({ k: key, now: Date.now() }) !== undefined;
+    }
+
+    /**
+     * Clear out the datastore of all data.
+     * Warning: this action is not reversable.
+     */
+    async clear() {
+        this._stmt.clear.run();
+    }
+
+    /**
+     * Get the array of non-expired keys in the datastore.
+     * 
+     * @returns {Promise<string[]>} A promise that resolves to an array of keys that are in the datastore.
+     */
+    async keys() {
+        return this._stmt.keys.all({ now: Date.now() });
+    }
+
+    /**
+     * Get the current number of non-expired entries in the datastore.
+     * 
+     * @returns {Promise<number>} A promise that resolves to the size of the datastore.
+     */
+    async size() {
+        return this._stmt.size.get({ now: Date.now() });
+    }
+
+    /**
+     * Retrieve multiple keys from the datastore.
+     * 
+     * @param {string[]} keys - An array of keys as strings to fetch.
+     * @returns {Promise<any[]>} A promise that resolves to an array of wrapped values, aligned
+     *                           with the order of the provided keys.
+     */
+    async mget(keys) {
+        return keys.map((k) => {
+            const row = this._stmt.get.get(k);
+            return row ? JSON.parse(row.v) : undefined;
+        });
+    }
+
+    /**
+     * Set multiple key-value pairs in the datastore inside a single transaction.
+     * 
+     * @param {[string, any][]} entries - An array of `[key, value]` pairs to store.
+     *                                    Each value should already be wrapped in the `{ v, e }` format used by DataStore.
+     * @returns {Promise<void>} A promise that resolves when all entries have been set.
+     */
+    async mset(entries) {
+        this._msetTx(entries);
+    }
+
+    /**
+     * Atomically increment the numeric value of a key.
+     * 
+     * @param {string} key - The key whose numeric value to increment.
+     * @param {number} [delta=1] - The amount to increase (or decrease if negative) (default is 1).
+     * @returns {Promise<number>} A promise resolving to the new numeric value after increment.
+     * @throws {Error} If the stored value is not a `{ v, e }` envelope.
+     */
+    async incr(key, delta = 1) {
+        const next = this._stmt.incr.get({ k: key, delta: Number(delta) });
+
+        // json_set() leaves a value that is not an object unchanged, so there is no number to return
+        if (next === null) {
+            throw new Error(`Cannot increment ${key}: the stored value is not a { v, e } envelope`);
+        }
+
+        return next;
+    }
+
+    /**
+     * Delete every row whose expiry has passed.
+     * 
+     * @returns {Promise<number>} A promise that resolves to the number of rows purged.
+     */
+    async purgeExpired() {
+        return this._stmt.purge.run(Date.now()).changes;
+    }
+
+    /**
+     * Stop the background purge and close the underlying database connection, if the adapter opened it.
+     */
+    async close() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+
+        if (this._ownsDb) this.db.close();
+    }
+
+    /**
+     * Write a single value, copying its expiry into the indexed column.
+     * 
+     * @param {string} key - The name of the key to write.
+     * @param {*} value - The value to write.
+     */
+    _write(key, value) {
+        this._stmt.set.run(key, JSON.stringify(value ?? null), value?.e ?? null);
+    }
+}
+
+/**
+ * Load the better-sqlite3 driver on first use, since it is an optional peer dependency.
+ * 
+ * @returns {Function} The better-sqlite3 Database class.
+ * @throws {Error} If better-sqlite3 is not installed.
+ */
+const loadDriver = () => {
+    try {
+        return createRequire(import.meta.url)('better-sqlite3');
+    } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND') throw err;
+        throw new Error("SqliteAdapter requires the better-sqlite3 package (npm install better-sqlite3) or an open `db`");
+    }
+};
@@ -11,6 +11,8 @@
  * root directory.
  */
 
+import { globEscape, globMatch } from '../../core/globMatch.js';
+
 /**
  * Adapter Contract (all async):
  * - get(key): any | undefined
@@ -23,5 +25,482 @@
  * - mget(keys: string[]): any[]
  * - mset(entries: [key, value][]): void
  * - incr(key, delta = 1): number
+ * 
+ * Atomic operations (optional, all async):
+ * - setIfAbsent(key, value): boolean
+ * - compareAndSet(key, expected, next): boolean (compares `expected` with the stored `v`)
+ * - getAndSet(key, value): any | undefined
+ * - transaction(fn, { retries }): any (fn receives { get, has, set, delete }; re-run on conflict)
+ * - multi(): { ...commands, exec(): any[] }
+ * 
+ * Key scanning (optional, async):
+ * - scan(pattern = "*", { cursor = 0, count = 100 }): { cursor, keys }
+ *   Returns up to `count` keys matching the glob pattern and the cursor for the next page (0 when done).
+ *   Every key that exists for the whole scan must be returned at least once.
+ * 
+ * Pub/sub (optional, async):
+ * - publish(channel, message): number (handlers reached)
+ * - subscribe(pattern, handler(message, channel)): unsubscribe() (pattern may use glob wildcards)
+ */
+
+
+/**
+ * DataStore facade that wraps any adapter meeting the adapter contract.
+ * 
+ * Values are stored in the adapter wrapped in a `{ v, e }` envelope, where `v` is the
+ * value and `e` is the expiry timestamp in milliseconds (or null for no expiry).
+ * The envelope is handled here so callers never have to deal with it directly.
+ */
+export class DataStore {
+    /**
+     * Create a new instance of DataStore.
+     * 
+     * @param {Object} adapter - The adapter to store data with (must meet the adapter contract).
+     * @param {Object} [options={}] - Options for the datastore.
+     * @param {string} [options.prefix=""] - Prefix applied to every key (used by namespaced views).
+     * @param {string} [options.separator=":"] - Separator placed between namespace names and keys.
+     */
+    constructor(adapter, options = {}) {
+        if (!adapter || typeof adapter.get !== 'function') {
+            throw new TypeError("DataStore requires an adapter that meets the adapter contract");
+        }
+
+        const { prefix = "", separator = ":" } = options;
+
+        this.adapter = adapter;
+        this.prefix = prefix;
+        this.separator = separator;
+    }
+
+    /**
+     * Create a namespaced view of this datastore.
+     * 
+     * Keys are transparently prefixed with the namespace, and `keys()`, `size()` and `clear()`
+     * only operate on keys within the namespace. Namespaces can be nested. Names may not contain the
+     * separator, since `namespace("a:b")` would otherwise share its keys with `namespace("a").namespace("b")`.
+     * 
+     * @param {string} name - The name of the namespace.
+     * @returns {DataStore} A DataStore scoped to the given namespace, sharing the same adapter.
+     * @throws {TypeError} If the name is empty or contains the separator.
+     * 
+     * @example
+     * const sessions = store.namespace("sessions");
+     * await sessions.set("abc", { userId: 1 });
+     * // stored in the adapter as "sessions:abc"
+     * 
+     * await store.namespace("flood").namespace("posts").clear();
+     * // only removes keys starting with "flood:posts:"
+     */
+    namespace(name) {
+        if (typeof name !== 'string' || !name) {
+            throw new TypeError("Namespace name must be a non-empty string");
+        }
+
+        if (name.includes(this.separator)) {
+            throw new TypeError(`Namespace name must not contain the separator "${this.separator}"`);
+        }
+
+        return new DataStore(this.adapter, {
+            prefix: `${this.prefix}${name}${this.separator}`,
+            separator: this.separator,
+        });
+    }
+
+    /**
+     * Get a value for the given key.
+     * Expired entries are reported as missing. They are not deleted here, since another caller may have set
+     * a fresh value in the meantime; removing them is left to the adapter (its own expiry, compaction or purge).
+     * 
+     * @param {string} key - The name of the key to get the value for.
+     * @returns {Promise<*>} A promise that resolves to the value, or undefined if missing or expired.
+     * 
+     * @example
+     * await store.set("motd", "Welcome!");
+     * await store.get("motd");
+     * // → "Welcome!"
+     */
+    async get(key) {
+        const wrapped = await this.adapter.get(this._key(key));
+        return wrapped == null || isExpired(wrapped) ? undefined : wrapped.v;
+    }
+
+    /**
+     * Set a value for the given key.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set.
+     * @param {Object} [options={}] - Options for setting the value.
+     * @param {number} [options.ttl] - Time to live in milliseconds (omit for no expiry).
+     * @returns {Promise<void>} A promise that resolves when the value has been set.
+     * 
+     * @example
+     * await store.set("session:abc", { userId: 1 }, { ttl: 60000 });
+     */
+    async set(key, value, options = {}) {
+        await this.adapter.set(this._key(key), wrap(value, options.ttl));
+    }
+
+    /**
+     * Delete a key.
+     * 
+     * @param {string} key - The name of the key to delete.
+     * @returns {Promise<boolean>} A promise that resolves to true if the key was deleted, false otherwise.
+     */
+    async delete(key) {
+        return this.adapter.delete(this._key(key));
+    }
+
+    /**
+     * Check if a non-expired value exists for the given key.
+     * 
+     * @param {string} key - The name of the key to check.
+     * @returns {Promise<boolean>} A promise that resolves to true if the key exists, false if not.
+     */
+    async has(key) {
+        return (await this.get(key)) !== undefined;
+    }
+
+    /**
+     * Clear out all data in this datastore.
+     * For a namespaced view only keys within the namespace are removed.
+     * Warning: this action is not reversable.
+     * 
+     * @returns {Promise<void>} A promise that resolves when the data has been cleared.
+     */
+    async clear() {
+        if (!this.prefix) {
+            await this.adapter.clear();
+            return;
+        }
+
+        for (const k of await this.adapter.keys()) {
+            if (k.startsWith(this.prefix)) await this.adapter.delete(k);
+        }
+    }
+
+    /**
+     * Get the array of keys in this datastore.
+     * For a namespaced view the keys are returned without the namespace prefix.
+     * This may include keys whose TTL has lapsed but have not yet been read.
+     * 
+     * @returns {Promise<string[]>} A promise that resolves to an array of keys.
+     */
+    async keys() {
+        const keys = await this.adapter.keys();
+        if (!this.prefix) return keys;
+
+        return keys
+            .filter((k) => k.startsWith(this.prefix))
+            .map((k) => k.slice(this.prefix.length));
+    }
+
+    /**
+     * Get the number of entries in this datastore.
+     * This may include entries whose TTL has lapsed but have not yet been read.
+     * 
+     * @returns {Promise<number>} A promise that resolves to the number of entries.
+     */
+    async size() {
+        if (!this.prefix) return this.adapter.size();
+        return (await this.keys()).length;
+    }
+
+    /**
+     * Get one page of keys matching a glob pattern.
+     * For a namespaced view the pattern and returned keys are relative to the namespace.
+     * Adapters without `scan()` fall back to paging through the sorted, filtered `keys()`, with the cursor
+     * counting the keys returned so far. Keys deleted between pages can then make later keys shift back
+     * past the cursor and be skipped; use an adapter with `scan()` when that matters.
+     * 
+     * @param {string} [pattern="*"] - Glob pattern the keys must match (e.g., "user:*").
+     * @param {Object} [options={}] - Options for the scan.
+     * @param {number} [options.cursor=0] - The cursor returned by the previous page (0 to start).
+     * @param {number} [options.count=100] - The maximum number of keys to return.
+     * @returns {Promise<{ cursor: number, keys: string[] }>} A promise that resolves to the matching keys
+     *                                                         and the cursor for the next page (0 when done).
+     * 
+     * @example
+     * await store.scan("user:*", { count: 2 });
+     * // → { cursor: 7, keys: ["user:1", "user:2"] }
+     */
+    async scan(pattern = "*", options = {}) {
+        if (typeof this.adapter.scan !== 'function') {
+            const { cursor = 0, count = 100 } = options;
+            const matching = (await this.keys()).filter((k) => globMatch(pattern, k)).sort();
+            const end = cursor + Math.max(1, count);
+
+            return { cursor: end < matching.length ? end : 0, keys: matching.slice(cursor, end) };
+        }
+
+        const page = await this.adapter.scan(`${globEscape(this.prefix)}${pattern}`, options);
+
+        return {
+            cursor: page.cursor,
+            keys: page.keys.map((k) => k.slice(this.prefix.length)),
+        };
+    }
+
+    /**
+     * Iterate over all keys matching a glob pattern, fetching them from the adapter in batches.
+     * 
+     * @param {string} [pattern="*"] - Glob pattern the keys must match (e.g., "user:*").
+     * @param {Object} [options={}] - Options for the iteration.
+     * @param {number} [options.count=100] - The number of keys to fetch per batch.
+     * @returns {AsyncGenerator<string>} An async iterator over the matching keys.
+     * 
+     * @example
+     * for await (const key of store.scanIterator("session:*")) {
+     *      await store.get(key);
+     * }
+     */
+    async *scanIterator(pattern = "*", options = {}) {
+        const { count = 100 } = options;
+        let cursor = 0;
+
+        do {
+            const page = await this.scan(pattern, { cursor, count });
+            cursor = page.cursor;
+            yield* page.keys;
+        } while (cursor !== 0);
+    }
+
+    /**
+     * Get the values for multiple keys.
+     * 
+     * @param {string[]} keys - An array of keys to fetch.
+     * @returns {Promise<any[]>} A promise that resolves to an array of values aligned with the
+     *                           order of the provided keys (undefined for missing or expired keys).
+     * 
+     * @example
+     * await store.mget(["user:1", "user:2"]);
+     * // → ["Alice", undefined]
+     */
+    async mget(keys) {
+        const wrapped = await this.adapter.mget(keys.map((k) => this._key(k)));
+        return wrapped.map((w) => (w == null || isExpired(w) ? undefined : w.v));
+    }
+
+    /**
+     * Set multiple key-value pairs.
+     * 
+     * @param {[string, any][]} entries - An array of `[key, value]` pairs to store.
+     * @param {Object} [options={}] - Options for setting the values.
+     * @param {number} [options.ttl] - Time to live in milliseconds applied to every entry (omit for no expiry).
+     * @returns {Promise<void>} A promise that resolves when all entries have been set.
+     * 
+     * @example
+     * await store.mset([["user:1", "Alice"], ["user:2", "Bob"]]);
+     */
+    async mset(entries, options = {}) {
+        await this.adapter.mset(entries.map(([k, v]) => [this._key(k), wrap(v, options.ttl)]));
+    }
+
+    /**
+     * Increment the numeric value of a key.
+     * An expired or missing key starts again from zero.
+     * 
+     * @param {string} key - The key whose numeric value to increment.
+     * @param {number} [delta=1] - The amount to increase (or decrease if negative) (default is 1).
+     * @param {Object} [options={}] - Options for incrementing the value.
+     * @param {number} [options.ttl] - Time to live in milliseconds, only applied when this call creates the key.
+     * @returns {Promise<number>} A promise resolving to the new numeric value after increment.
+     * 
+     * @example
+     * await store.incr("posts:user:1", 1, { ttl: 60000 });
+     * // → 1
+     */
+    async incr(key, delta = 1, options = {}) {
+        if (options.ttl != null) {
+            const next = Number(delta);
+            const created = wrap(next, options.ttl);
+
+            // Prefer the atomic primitive so concurrent callers cannot both create the counter
+            if (typeof this.adapter.setIfAbsent === 'function') {
+                if (await this.adapter.setIfAbsent(this._key(key), created)) return next;
+            } else if (!(await this.has(key))) {
+                await this.adapter.set(this._key(key), created);
+                return next;
+            }
+        } else {
+            // Drop an expired counter so it starts again from zero
+            await this.has(key);
+        }
+
+        return this.adapter.incr(this._key(key), delta);
+    }
+
+    /**
+     * Publish a message on a channel.
+     * For a namespaced view the channel is prefixed with the namespace, just like keys.
+     * Requires an adapter that supports pub/sub.
+     * 
+     * @param {string} channel - The channel to publish to.
+     * @param {*} message - The message to deliver.
+     * @returns {Promise<number>} A promise that resolves to the number of handlers the message was delivered to.
+     * 
+     * @example
+     * await store.publish("thread:42:reply", { postId: 1001 });
+     */
+    async publish(channel, message) {
+        this._requires("publish");
+        return this.adapter.publish(this._key(channel), message);
+    }
+
+    /**
+     * Subscribe to channels matching a glob pattern.
+     * For a namespaced view only channels within the namespace are matched, and the handler
+     * receives the channel name relative to the namespace.
+     * Requires an adapter that supports pub/sub.
+     * 
+     * @param {string} pattern - Channel name or glob pattern (e.g., "thread:42:*").
+     * @param {(message: *, channel: string) => void} handler - Called with each message and its channel.
+     * @returns {Promise<() => Promise<void>>} A promise that resolves to a function that removes the subscription.
+     * 
+     * @example
+     * const unsubscribe = await store.subscribe("thread:42:*", (message, channel) => {
+     *      if (channel === "thread:42:typing") showTyping(message.user);
+     * });
+     */
+    async subscribe(pattern, handler) {
+        this._requires("subscribe");
+
+        return this.adapter.subscribe(`${globEscape(this.prefix)}${pattern}`, (message, channel) => {
+            return handler(message, channel.slice(this.prefix.length));
+        });
+    }
+
+    /**
+     * Set a value only if the key does not already hold a non-expired value.
+     * Requires an adapter that supports atomic operations.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set.
+     * @param {Object} [options={}] - Options for setting the value.
+     * @param {number} [options.ttl] - Time to live in milliseconds (omit for no expiry).
+     * @returns {Promise<boolean>} A promise that resolves to true if the value was set, false otherwise.
+     * 
+     * @example
+     * await store.setIfAbsent("username:alice", userId);
+     * // → true if the username was free and is now claimed
+     */
+    async setIfAbsent(key, value, options = {}) {
+        this._requires("setIfAbsent");
+        return this.adapter.setIfAbsent(this._key(key), wrap(value, options.ttl));
+    }
+
+    /**
+     * Replace a value only if it currently equals `expected`.
+     * Pass `undefined` as `expected` to require that the key does not exist.
+     * Requires an adapter that supports atomic operations.
+     * 
+     * @param {string} key - The name of the key to update.
+     * @param {*} expected - The value the key must currently hold.
+     * @param {*} next - The new value.
+     * @param {Object} [options={}] - Options for setting the value.
+     * @param {number} [options.ttl] - Time to live in milliseconds for the new value (omit for no expiry).
+     * @returns {Promise<boolean>} A promise that resolves to true if the value was replaced, false otherwise.
+     * 
+     * @example
+     * await store.compareAndSet("lock:thread:42", undefined, "alice", { ttl: 60000 });
+     * // → true if alice now holds the edit lock
+     */
+    async compareAndSet(key, expected, next, options = {}) {
+        this._requires("compareAndSet");
+        return this.adapter.compareAndSet(this._key(key), expected, wrap(next, options.ttl));
+    }
+
+    /**
+     * Set a value and return the value the key held before.
+     * Requires an adapter that supports atomic operations.
+     * 
+     * @param {string} key - The name of the key to set.
+     * @param {*} value - The value to set.
+     * @param {Object} [options={}] - Options for setting the value.
+     * @param {number} [options.ttl] - Time to live in milliseconds (omit for no expiry).
+     * @returns {Promise<*>} A promise that resolves to the previous value, or undefined if missing or expired.
+     */
+    async getAndSet(key, value, options = {}) {
+        this._requires("getAndSet");
+        const prev = await this.adapter.getAndSet(this._key(key), wrap(value, options.ttl));
+        return prev == null || isExpired(prev) ? undefined : prev.v;
+    }
+
+    /**
+     * Run a function as a transaction against the adapter.
+     * The transaction object works with plain values and keys relative to this datastore.
+     * Requires an adapter that supports atomic operations.
+     * 
+     * @param {(tx: { get: Function, has: Function, set: Function, delete: Function }) => Promise<*>} fn - The
+     *        function to run; `tx.set(key, value, { ttl })` mirrors {@link DataStore#set}.
+     * @param {Object} [options={}] - Options passed to the adapter's `transaction()` (e.g., `retries`).
+     * @returns {Promise<*>} A promise that resolves to the return value of the function.
+     * 
+     * @example
+     * await store.transaction(async (tx) => {
+     *      const balance = (await tx.get("credits:1")) ?? 0;
+     *      if (balance < 10) return false;
+     *      await tx.set("credits:1", balance - 10);
+     *      return true;
+     * });
+     */
+    async transaction(fn, options = {}) {
+        this._requires("transaction");
+
+        return this.adapter.transaction(async (tx) => {
+            const get = async (key) => {
+                const wrapped = await tx.get(this._key(key));
+                return wrapped == null || isExpired(wrapped) ? undefined : wrapped.v;
+            };
+
+            return fn({
+                get,
+                has: async (key) => (await get(key)) !== undefined,
+                set: (key, value, opts = {}) => tx.set(this._key(key), wrap(value, opts.ttl)),
+                delete: (key) => tx.delete(this._key(key)),
+            });
+        }, options);
+    }
+
+    /**
+     * Make sure the adapter implements an optional method.
+     * 
+     * @param {string} method - The name of the method.
+     * @throws {TypeError} If the adapter does not implement the method.
+     */
+    _requires(method) {
+        if (typeof this.adapter[method] !== 'function') {
+            throw new TypeError(`Adapter does not support ${method}()`);
+        }
+    }
+
+    /**
+     * Resolve a key to the full key stored in the adapter.
+     * 
+     * @param {string} key - The key relative to this datastore.
+     * @returns {string} The key with the namespace prefix applied.
+     */
+    _key(key) {
+        return `${this.prefix}${key}`;
+    }
+}
+
+/**
+ * Wrap a value in the `{ v, e }` envelope stored by adapters.
+ * 
+ * @param {*} value - The value to wrap.
+ * @param {number} [ttl] - Time to live in milliseconds (omit for no expiry).
+ * @returns {{ v: *, e: number|null }} The wrapped value.
  */
+const wrap = (value, ttl) => {
+    return { v: value, e: ttl == null ? null : Date.now() + Number(ttl) };
+};
 
+/**
+ * Check if a wrapped `{ v, e }` envelope has expired.
+ * 
+ * @param {{ v: *, e: number|null }} wrapped - The wrapped value to check.
+ * @returns {boolean} True if expired, false if not.
+ */
+const isExpired = (wrapped) => {
+    return wrapped?.e != null && wrapped.e <= Date.now();
+};
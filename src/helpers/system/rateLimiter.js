@@ -0,0 +1,233 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { DataStore } from './datastore/datastore.js';
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed - True if the action is allowed, false if it was rate limited.
+ * @property {number} limit - The configured limit.
+ * @property {number} remaining - How many more actions are allowed right now.
+ * @property {number} retryAfter - Milliseconds to wait before trying again (0 when allowed).
+ */
+
+/**
+ * Rate limiter and flood control backed by the datastore.
+ * 
+ * Strategies:
+ * - "fixed": at most `limit` actions per clock-aligned window (cheapest, allows bursts at window edges).
+ * - "sliding": at most `limit` actions in any `window`, estimated from the current and previous windows.
+ * - "token": a bucket of `limit` tokens that refills continuously over `window` (smooth, allows short bursts).
+ *   The bucket is read and written in one transaction, so this strategy needs an adapter that supports transactions.
+ * 
+ * @example
+ * // Max 5 posts per minute
+ * const posts = new RateLimiter(store, { strategy: "sliding", limit: 5, window: 60000 });
+ * const res = await posts.consume(`user:${userId}`);
+ * if (!res.allowed) reply(`Please wait ${Math.ceil(res.retryAfter / 1000)} seconds.`);
+ * 
+ * // Wait 30 seconds between replies
+ * const replies = new RateLimiter(store, { strategy: "token", limit: 1, window: 30000 });
+ */
+export class RateLimiter {
+    /**
+     * Create a new instance of RateLimiter.
+     * 
+     * @param {DataStore|Object} store - A DataStore, or any adapter meeting the adapter contract.
+     * @param {Object} options - Options for the rate limiter.
+     * @param {number} options.limit - The number of actions allowed per window (or the bucket size).
+     * @param {number} options.window - The window length in milliseconds (or the time to refill the bucket).
+     * @param {"fixed"|"sliding"|"token"} [options.strategy="fixed"] - The rate limiting strategy.
+     * @param {string} [options.prefix="ratelimit"] - Namespace used for the limiter's keys.
+     * @throws {TypeError} If the options are invalid, or the token strategy is used with an adapter without transactions.
+     */
+    constructor(store, options = {}) {
+        const { limit, window, strategy = "fixed", prefix = "ratelimit" } = options;
+
+        if (!(limit > 0) || !(window > 0)) {
+            throw new TypeError("RateLimiter requires a positive limit and window");
+        }
+
+        if (!STRATEGIES.includes(strategy)) {
+            throw new TypeError(`Unknown rate limiting strategy: ${strategy}`);
+        }
+
+        const base = store instanceof DataStore ? store : new DataStore(store);
+
+        // Without a transaction, concurrent callers would all read the same bucket and overshoot the limit
+        if (strategy === "token" && typeof base.adapter.transaction !== 'function') {
+            throw new TypeError("The token strategy requires an adapter that supports transactions");
+        }
+
+        this.store = base.namespace(prefix).namespace(strategy);
+        this.limit = limit;
+        this.window = window;
+        this.strategy = strategy;
+    }
+
+    /**
+     * Attempt to perform an action, consuming quota if it is allowed.
+     * 
+     * @param {string} id - Who or what is being limited (e.g., "user:42" or "ip:10.0.0.1").
+     * @param {number} [cost=1] - How much quota the action uses.
+     * @returns {Promise<RateLimitResult>} A promise that resolves to the outcome and remaining quota.
+     * @throws {RangeError} If the cost is more than the limit, so the action could never be allowed.
+     */
+    async consume(id, cost = 1) {
+        if (cost > this.limit) {
+            throw new RangeError(`Cost ${cost} exceeds the limit of ${this.limit}`);
+        }
+
+        if (this.strategy === "sliding") return this._sliding(id, cost);
+        if (this.strategy === "token") return this._token(id, cost);
+        return this._fixed(id, cost);
+    }
+
+    /**
+     * Forget all usage recorded for an id.
+     * 
+     * @param {string} id - The id to reset.
+     * @returns {Promise<void>} A promise that resolves once the usage has been removed.
+     */
+    async reset(id) {
+        if (this.strategy === "token") {
+            await this.store.delete(id);
+            return;
+        }
+
+        const bucket = Math.floor(Date.now() / this.window);
+        await this.store.delete(`${id}:${bucket}`);
+        await this.store.delete(`${id}:${bucket - 1}`);
+    }
+
+    /**
+     * Fixed window: count actions per clock-aligned window.
+     * 
+     * @param {string} id - The id being limited.
+     * @param {number} cost - How much quota the action uses.
+     * @returns {Promise<RateLimitResult>} The outcome.
+     */
+    async _fixed(id, cost) {
+        const now = Date.now();
+        const bucket = Math.floor(now / this.window);
+        const windowEnd = (bucket + 1) * this.window;
+
+        const count = await this.store.incr(`${id}:${bucket}`, cost, { ttl: windowEnd - now });
+        const allowed = count <= this.limit;
+
+        return this._result(allowed, this.limit - count, allowed ? 0 : windowEnd - now);
+    }
+
+    /**
+     * Sliding window: weight the previous window's count by how much of it still overlaps.
+     * Usage is recorded first and rolled back when over the limit, so concurrent callers cannot overshoot.
+     * 
+     * @param {string} id - The id being limited.
+     * @param {number} cost - How much quota the action uses.
+     * @returns {Promise<RateLimitResult>} The outcome.
+     */
+    async _sliding(id, cost) {
+        const now = Date.now();
+        const bucket = Math.floor(now / this.window);
+        const elapsed = now - bucket * this.window;
+        const weight = 1 - elapsed / this.window;
+        const key = `${id}:${bucket}`;
+
+        const curr = await this.store.incr(key, cost, { ttl: 2 * this.window - elapsed });
+        const prev = Number((await this.store.get(`${id}:${bucket - 1}`)) ?? 0);
+        const used = prev * weight + curr;
+
+        if (used <= this.limit) {
+            return this._result(true, Math.floor(this.limit - used), 0);
+        }
+
+        const before = await this.store.incr(key, -cost);
+        return this._result(false, Math.floor(this.limit - (prev * weight + before)), this._slidingRetry(prev, before, cost, elapsed));
+    }
+
+    /**
+     * Work out how long until a sliding window action of the given cost would be allowed.
+     * 
+     * @param {number} prev - The previous window's count.
+     * @param {number} curr - The current window's count.
+     * @param {number} cost - How much quota the action uses.
+     * @param {number} elapsed - Milliseconds elapsed in the current window.
+     * @returns {number} The wait in milliseconds.
+     */
+    _slidingRetry(prev, curr, cost, elapsed) {
+        const room = this.limit - curr - cost;
+
+        // Still within this window: wait for enough of the previous window to slide out
+        if (room >= 0 && prev > 0) {
+            const until = (1 - room / prev) * this.window;
+            if (until <= this.window) return Math.max(1, Math.ceil(until - elapsed));
+        }
+
+        // Otherwise the current window becomes the previous one and has to slide out instead
+        const rest = this.window - elapsed;
+        if (curr === 0) return rest;
+
+        const until = (1 - (this.limit - cost) / curr) * this.window;
+        return Math.ceil(rest + Math.max(0, until));
+    }
+
+    /**
+     * Token bucket: refill continuously at `limit` tokens per `window`.
+     * 
+     * @param {string} id - The id being limited.
+     * @param {number} cost - How many tokens the action uses.
+     * @returns {Promise<RateLimitResult>} The outcome.
+     */
+    async _token(id, cost) {
+        const rate = this.limit / this.window;
+
+        const take = async (get, set) => {
+            const now = Date.now();
+            const state = await get(id);
+            const elapsed = state ? now - state.ts : 0;
+            const tokens = state ? Math.min(this.limit, state.tokens + elapsed * rate) : this.limit;
+
+            if (tokens < cost) {
+                return this._result(false, Math.floor(tokens), Math.ceil((cost - tokens) / rate));
+            }
+
+            const left = tokens - cost;
+            await set(id, { tokens: left, ts: now }, { ttl: Math.ceil((this.limit - left) / rate) + 1 });
+            return this._result(true, Math.floor(left), 0);
+        };
+
+        return this.store.transaction((tx) => take(tx.get, tx.set));
+    }
+
+    /**
+     * Build a rate limit result.
+     * 
+     * @param {boolean} allowed - Whether the action is allowed.
+     * @param {number} remaining - The remaining quota (clamped at zero).
+     * @param {number} retryAfter - Milliseconds to wait before trying again.
+     * @returns {RateLimitResult} The result.
+     */
+    _result(allowed, remaining, retryAfter) {
+        return {
+            allowed,
+            limit: this.limit,
+            remaining: Math.max(0, remaining),
+            retryAfter,
+        };
+    }
+}
+
+/**
+ * The supported rate limiting strategies.
+ */
+const STRATEGIES = ["fixed", "sliding", "token"];
@@ -0,0 +1,281 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { DataStore } from './datastore/datastore.js';
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id - The session ID.
+ * @property {string|number} userId - The user the session belongs to.
+ * @property {Object} data - Arbitrary session data.
+ * @property {boolean} remember - True for a long-lived "remember me" session.
+ * @property {number} createdAt - When the session was created (milliseconds since epoch).
+ * @property {number} lastSeenAt - When the session was last used (milliseconds since epoch).
+ */
+
+/**
+ * Session manager backed by the datastore.
+ * 
+ * Sessions are stored with a TTL through the datastore's `{ v, e }` envelope, and the TTL is
+ * renewed every time a session is read (sliding expiry). A per-user index of session IDs lets
+ * all of a user's sessions be listed and revoked.
+ * 
+ * @example
+ * const sessions = new SessionManager(store, { ttl: 30 * 60 * 1000 });
+ * const session = await sessions.create(user.id, { theme: "dark" }, { remember: true });
+ * setCookie("sid", session.id);
+ * 
+ * // On every request
+ * const current = await sessions.get(cookies.sid);
+ * 
+ * // After promoting the user to moderator
+ * const rotated = await sessions.rotate(current.id);
+ */
+export class SessionManager {
+    /**
+     * Create a new instance of SessionManager.
+     * 
+     * @param {DataStore|Object} store - A DataStore, or any adapter meeting the adapter contract.
+     * @param {Object} [options={}] - Options for the session manager.
+     * @param {number} [options.ttl=1800000] - Idle timeout for normal sessions in milliseconds (default is 30 minutes).
+     * @param {number} [options.rememberTtl=2592000000] - Idle timeout for "remember me" sessions in milliseconds
+     *                                                    (default is 30 days).
+     * @param {number} [options.idBytes=32] - Number of random bytes in each session ID.
+     * @param {string} [options.prefix="sessions"] - Namespace used for the session keys.
+     */
+    constructor(store, options = {}) {
+        const {
+            ttl = 30 * 60 * 1000,
+            rememberTtl = 30 * 24 * 60 * 60 * 1000,
+            idBytes = 32,
+            prefix = "sessions",
+        } = options;
+
+        if (idBytes < 16) {
+            throw new TypeError("Session IDs need at least 16 random bytes");
+        }
+
+        const base = store instanceof DataStore ? store : new DataStore(store);
+
+        this.store = base.namespace(prefix);
+        this.ttl = ttl;
+        this.rememberTtl = rememberTtl;
+        this.idBytes = idBytes;
+    }
+
+    /**
+     * Create a new session for a user.
+     * 
+     * @param {string|number} userId - The user the session belongs to.
+     * @param {Object} [data={}] - Initial session data.
+     * @param {Object} [options={}] - Options for the session.
+     * @param {boolean} [options.remember=false] - True to create a long-lived "remember me" session.
+     * @returns {Promise<Session>} A promise that resolves to the new session.
+     */
+    async create(userId, data = {}, options = {}) {
+        const now = Date.now();
+        const session = {
+            id: this._newId(),
+            userId,
+            data,
+            remember: Boolean(options.remember),
+            createdAt: now,
+            lastSeenAt: now,
+        };
+
+        await this._save(session);
+
+        // Prune sessions that expired since they were indexed, so the index stays bounded for users who never call list()
+        const dead = await this._expiredIds(userId);
+        await this._index(userId, (ids) => [...ids.filter((i) => !dead.has(i)), session.id]);
+        return session;
+    }
+
+    /**
+     * Get a session by ID and renew its expiry.
+     * 
+     * @param {string} id - The session ID.
+     * @returns {Promise<Session|undefined>} A promise that resolves to the session, or undefined if missing or expired.
+     */
+    async get(id) {
+        if (typeof id !== 'string' || !id) return undefined;
+
+        const session = await this.store.get(`sess:${id}`);
+        if (!session) return undefined;
+
+        session.lastSeenAt = Date.now();
+        await this._save(session);
+        return session;
+    }
+
+    /**
+     * Replace the data of an existing session.
+     * 
+     * @param {string} id - The session ID.
+     * @param {Object} data - The new session data.
+     * @returns {Promise<Session|undefined>} A promise that resolves to the updated session, or undefined if missing or expired.
+     */
+    async update(id, data) {
+        const session = await this.get(id);
+        if (!session) return undefined;
+
+        session.data = data;
+        await this._save(session);
+        return session;
+    }
+
+    /**
+     * Issue a new ID for a session and revoke the old one.
+     * Call this whenever the user's privileges change (e.g., on login or promotion) to prevent session fixation.
+     * 
+     * @param {string} id - The current session ID.
+     * @param {Object} [data] - New session data (omit to keep the existing data).
+     * @returns {Promise<Session|undefined>} A promise that resolves to the session with its new ID, or undefined if missing or expired.
+     */
+    async rotate(id, data) {
+        const session = await this.store.get(`sess:${id}`);
+        if (!session) return undefined;
+
+        const rotated = {
+            ...session,
+            id: this._newId(),
+            data: data ?? session.data,
+            lastSeenAt: Date.now(),
+        };
+
+        await this._save(rotated);
+        await this.store.delete(`sess:${id}`);
+        await this._index(session.userId, (ids) => [...ids.filter((i) => i !== id), rotated.id]);
+        return rotated;
+    }
+
+    /**
+     * Revoke a single session.
+     * 
+     * @param {string} id - The session ID.
+     * @returns {Promise<boolean>} A promise that resolves to true if a session was revoked, false otherwise.
+     */
+    async destroy(id) {
+        const session = await this.store.get(`sess:${id}`);
+        if (!session) return false;
+
+        await this.store.delete(`sess:${id}`);
+        await this._index(session.userId, (ids) => ids.filter((i) => i !== id));
+        return true;
+    }
+
+    /**
+     * List all live sessions for a user.
+     * 
+     * @param {string|number} userId - The user to list sessions for.
+     * @returns {Promise<Session[]>} A promise that resolves to the user's sessions.
+     */
+    async list(userId) {
+        const ids = (await this.store.get(`user:${userId}`)) ?? [];
+        if (ids.length === 0) return [];
+
+        const sessions = await this.store.mget(ids.map((id) => `sess:${id}`));
+        const live = sessions.filter(Boolean);
+
+        // Drop IDs of sessions that have expired since they were indexed
+        if (live.length !== ids.length) {
+            const liveIds = new Set(live.map((s) => s.id));
+            await this._index(userId, (curr) => curr.filter((i) => liveIds.has(i) || !ids.includes(i)));
+        }
+
+        return live;
+    }
+
+    /**
+     * Revoke all sessions for a user (e.g., "log out everywhere" or after a password change).
+     * 
+     * @param {string|number} userId - The user whose sessions to revoke.
+     * @param {Object} [options={}] - Options for revoking.
+     * @param {string} [options.except] - A session ID to keep (e.g., the current one).
+     * @returns {Promise<number>} A promise that resolves to the number of sessions revoked.
+     */
+    async destroyAll(userId, options = {}) {
+        const ids = (await this.store.get(`user:${userId}`)) ?? [];
+        let revoked = 0;
+
+        for (const id of ids) {
+            if (id === options.except) continue;
+            if (await this.store.delete(`sess:${id}`)) revoked++;
+        }
+
+        await this._index(userId, (curr) => curr.filter((i) => i === options.except || !ids.includes(i)));
+        return revoked;
+    }
+
+    /**
+     * Store a session, renewing its expiry.
+     * 
+     * @param {Session} session - The session to store.
+     * @returns {Promise<void>} A promise that resolves once the session has been stored.
+     */
+    async _save(session) {
+        await this.store.set(`sess:${session.id}`, session, {
+            ttl: session.remember ? this.rememberTtl : this.ttl,
+        });
+    }
+
+    /**
+     * Find the indexed session IDs of a user whose sessions no longer exist.
+     * 
+     * @param {string|number} userId - The user whose index to check.
+     * @returns {Promise<Set<string>>} A promise that resolves to the IDs of expired sessions.
+     */
+    async _expiredIds(userId) {
+        const ids = (await this.store.get(`user:${userId}`)) ?? [];
+        if (ids.length === 0) return new Set();
+
+        const sessions = await this.store.mget(ids.map((id) => `sess:${id}`));
+        return new Set(ids.filter((id, i) => !sessions[i]));
+    }
+
+    /**
+     * Update a user's index of session IDs, atomically when the adapter supports transactions.
+     * The index has no expiry of its own, since reading a session slides only the session's expiry and an
+     * expired index would hide live sessions from destroyAll(). Dead IDs are pruned on create() and list() instead.
+     * 
+     * @param {string|number} userId - The user whose index to update.
+     * @param {(ids: string[]) => string[]} fn - Receives the current IDs and returns the new IDs.
+     * @returns {Promise<void>} A promise that resolves once the index has been updated.
+     */
+    async _index(userId, fn) {
+        const key = `user:${userId}`;
+
+        const update = async (get, set, del) => {
+            const ids = fn((await get(key)) ?? []);
+            if (ids.length === 0) await del(key);
+            else await set(key, ids);
+        };
+
+        if (typeof this.store.adapter.transaction === 'function') {
+            await this.store.transaction((tx) => update(tx.get, tx.set, tx.delete));
+            return;
+        }
+
+        await update((k) => this.store.get(k), (k, v) => this.store.set(k, v), (k) => this.store.delete(k));
+    }
+
+    /**
+     * Generate a new cryptographically random session ID.
+     * 
+     * @returns {string} The session ID (URL-safe base64).
+     */
+    _newId() {
+        return randomBytes(this.idBytes).toString('base64url');
+    }
+}
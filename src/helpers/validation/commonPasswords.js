@@ -0,0 +1,44 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+/**
+ * Commonly used passwords, roughly ordered from most to least common.
+ * Used by {@link passwordStrength} as its default dictionary; the position of a word
+ * in this list is used as its rank when estimating how quickly it would be guessed.
+ * 
+ * @type {string[]}
+ */
+export const COMMON_PASSWORDS = [
+    "123456", "password", "123456789", "12345678", "12345", "qwerty", "1234567", "111111",
+    "1234567890", "123123", "abc123", "1234", "password1", "iloveyou", "1q2w3e4r", "000000",
+    "qwerty123", "zaq12wsx", "dragon", "sunshine", "princess", "letmein", "654321", "monkey",
+    "1qaz2wsx", "123321", "qwertyuiop", "superman", "asdfghjkl", "trustno1", "football", "baseball",
+    "welcome", "shadow", "master", "michael", "jennifer", "hunter", "hunter2", "jordan",
+    "harley", "ranger", "buster", "soccer", "hockey", "killer", "george", "charlie",
+    "andrew", "michelle", "love", "jessica", "pepper", "daniel", "access", "thomas",
+    "robert", "matthew", "starwars", "freedom", "whatever", "qazwsx", "ninja", "azerty",
+    "loveme", "batman", "passw0rd", "mustang", "flower", "hello", "login", "admin",
+    "welcome1", "admin123", "root", "toor", "changeme", "secret", "summer", "winter",
+    "spring", "autumn", "computer", "internet", "cheese", "chocolate", "cookie", "banana",
+    "orange", "purple", "yellow", "silver", "golden", "diamond", "maggie", "ginger",
+    "tigger", "bailey", "samantha", "ashley", "nicole", "amanda", "joshua", "anthony",
+    "william", "taylor", "austin", "merlin", "cowboy", "eagle", "yankees", "dallas",
+    "chelsea", "arsenal", "liverpool", "forum", "guest", "test", "test123", "abcdef",
+    "abcd1234", "aa123456", "987654321", "112233", "121212", "666666", "888888", "7777777",
+    "159753", "147258369", "5201314", "1g2w3e4r", "q1w2e3r4", "zxcvbnm", "asdf", "qwer1234",
+    "password123", "mypassword", "pass", "letmein1", "iloveyou1", "11111111", "00000000", "123qwe",
+    "qweasd", "asd123", "lovely", "angel", "pokemon", "minecraft", "matrix", "phoenix",
+    "google", "falcon", "tiger", "monster", "naruto", "samsung", "apple", "qwerty1",
+    "mother", "family", "friend", "forever", "butterfly", "blessed", "jesus", "princess1",
+    "sunshine1", "football1", "baseball1", "dragon1", "monkey1", "shadow1", "master1", "superman1",
+];
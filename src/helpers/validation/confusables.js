@@ -0,0 +1,111 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+/**
+ * Reduce a string to its confusable "skeleton", so that strings which look alike map to the same value.
+ * 
+ * Based on the skeleton algorithm of Unicode Technical Standard #39, made stricter for usernames:
+ * the result is NFKC-normalized, lowercased, stripped of accents and invisible characters, and
+ * lookalike characters from other scripts (and the digits "0" and "1") are mapped to Latin letters.
+ * Store the skeleton of each registered name to check new names against it.
+ * 
+ * Letter sequences that look like a single letter ("rn" → "m", "cl" → "d", "vv" → "w") are only folded
+ * with `options.sequences`, since they also merge ordinary names (e.g., "clara" and "dara").
+ * 
+ * @param {string} text - The text to reduce.
+ * @param {Object} [options={}] - Options for the skeleton.
+ * @param {boolean} [options.sequences=false] - True to also fold letter sequences that look like a single letter.
+ * @returns {string} The skeleton.
+ * 
+ * @example
+ * skeleton("Admin"); // → "admin"
+ * skeleton("аdmіn"); // → "admin" (Cyrillic "а" and "і")
+ * skeleton("admin1"); // → "adminl"
+ * skeleton("rnoderator", { sequences: true }); // → "moderator"
+ */
+export function skeleton(text, options = {}) {
+    if (typeof text !== 'string') return "";
+
+    let out = Array.from(text.normalize("NFKC"), (ch) => UPPERCASE_CONFUSABLES[ch] ?? ch)
+        .join("")
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\p{M}\p{Default_Ignorable_Code_Point}]/gu, "");
+
+    out = Array.from(out, (ch) => CONFUSABLES[ch] ?? ch).join("");
+
+    if (options.sequences) {
+        for (const [seq, replacement] of SEQUENCES) {
+            out = out.split(seq).join(replacement);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Check if two strings look alike (have the same skeleton).
+ * 
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True if they are confusable, false if not.
+ * 
+ * @example
+ * isConfusable("paypal", "pаypa1"); // → true
+ * isConfusable("paypal", "paypa"); // → false
+ */
+export function isConfusable(a, b) {
+    return skeleton(a) === skeleton(b);
+}
+
+/**
+ * Uppercase characters that look like a Latin capital, mapped to the lowercase letter.
+ * These are mapped before lowercasing, since their lowercase forms often look different (e.g., Greek "Ν" and "ν").
+ */
+const UPPERCASE_CONFUSABLES = {
+    // Cyrillic
+    "А": "a", "В": "b", "Е": "e", "К": "k", "М": "m", "Н": "h", "О": "o", "Р": "p", "С": "c",
+    "Т": "t", "Х": "x", "Ѕ": "s", "І": "i", "Ј": "j",
+    // Greek
+    "Α": "a", "Β": "b", "Ε": "e", "Ζ": "z", "Η": "h", "Ι": "i", "Κ": "k", "Μ": "m", "Ν": "n",
+    "Ο": "o", "Ρ": "p", "Τ": "t", "Υ": "y", "Χ": "x",
+};
+
+/**
+ * Lowercase characters that look like a Latin letter, mapped to that letter. Fullwidth and
+ * stylized forms are handled by NFKC normalization.
+ */
+const CONFUSABLES = {
+    // Digits and punctuation
+    "0": "o", "1": "l", "|": "l",
+    // Cyrillic
+    "а": "a", "в": "b", "е": "e", "з": "3", "и": "u", "і": "i", "ј": "j",
+    "к": "k", "м": "m", "н": "h", "о": "o", "п": "n", "р": "p", "с": "c", "т": "t", "у": "y",
+    "х": "x", "ѕ": "s", "һ": "h", "ԁ": "d", "ԛ": "q", "ԝ": "w", "ӏ": "l", "ь": "b", "ѡ": "w",
+    // Greek
+    "α": "a", "β": "b", "γ": "y", "ε": "e", "η": "n", "ι": "i", "κ": "k", "μ": "u", "ν": "v", "ο": "o",
+    "ρ": "p", "τ": "t", "υ": "u", "χ": "x", "ω": "w", "ϲ": "c", "ϳ": "j",
+    // Armenian
+    "օ": "o", "ս": "u", "հ": "h", "ո": "n", "ց": "g", "զ": "q",
+    // Latin lookalikes
+    "ı": "i", "ȷ": "j", "ł": "l", "ɑ": "a", "ɡ": "g", "ɩ": "i", "ʟ": "l", "ꞵ": "b", "ø": "o", "đ": "d",
+};
+
+/**
+ * Letter sequences that look like a single letter once lowercased, applied after {@link CONFUSABLES}.
+ */
+const SEQUENCES = [
+    ["rn", "m"],
+    ["vv", "w"],
+    ["cl", "d"],
+];
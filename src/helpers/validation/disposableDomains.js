@@ -0,0 +1,34 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+/**
+ * Well-known disposable (throwaway) email domains. Subdomains of these are matched too.
+ * Used by {@link parseEmail} when `blockDisposable` is enabled; pass `disposableDomains`
+ * to use a larger or more current list.
+ * 
+ * @type {string[]}
+ */
+export const DISPOSABLE_DOMAINS = [
+    "10minutemail.com", "10minutemail.net", "20minutemail.com", "33mail.com", "anonaddy.me",
+    "burnermail.io", "discard.email", "dispostable.com", "dropmail.me", "emailondeck.com",
+    "fakeinbox.com", "fakemail.net", "getairmail.com", "getnada.com", "grr.la",
+    "guerrillamail.biz", "guerrillamail.com", "guerrillamail.de", "guerrillamail.info", "guerrillamail.net",
+    "guerrillamail.org", "guerrillamailblock.com", "harakirimail.com", "incognitomail.org", "inboxkitten.com",
+    "mailcatch.com", "maildrop.cc", "mailinator.com", "mailinator.net", "mailinator2.com",
+    "mailnesia.com", "mailsac.com", "mailtothis.com", "mintemail.com", "mohmal.com",
+    "mytemp.email", "nada.email", "pokemail.net", "sharklasers.com", "spam4.me",
+    "spambog.com", "spamgourmet.com", "spamex.com", "tempail.com", "tempmail.com",
+    "tempmail.net", "tempmailo.com", "temp-mail.io", "temp-mail.org", "tempinbox.com",
+    "tempr.email", "throwawaymail.com", "trashmail.com", "trashmail.de", "trashmail.net",
+    "yopmail.com", "yopmail.fr", "yopmail.net", "mailpoof.com", "emailfake.com",
+];
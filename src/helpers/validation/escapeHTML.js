@@ -11,6 +11,9 @@
  * root directory.
  */
 
+import { sanitizeURL } from '../core/sanitizeURL.js';
+import { HTML_ENTITIES, LEGACY_ENTITIES } from './htmlEntities.js';
+
 /**
  * Escape HTML special characters with configurable behavior.
  * 
@@ -93,15 +96,281 @@ export function escapeHTML(input, options = {}) {
     });
 }
 
+/**
+ * Decode HTML character references, the inverse of {@link escapeHTML}.
+ * 
+ * Supports the full HTML5 table of named references (e.g., `&copy;`, `&NotEqualTilde;`), decimal and
+ * hexadecimal references, and the legacy names that browsers accept without a semicolon (e.g., `&copy`).
+ * Invalid code points (zero, surrogates and anything above U+10FFFF) become U+FFFD, and references to
+ * 0x80–0x9F are read as Windows-1252, as browsers do. Unknown names are left as they are.
+ * 
+ * @param {string} input - The text to decode.
+ * @param {Object} [options={}] - Options for decoding.
+ * @param {boolean} [options.attribute=false] - True if the text is an attribute value, where a legacy
+ *                                              name followed by "=" or a letter or digit is not decoded
+ *                                              (so "?a=1&copy=2" keeps its query parameter).
+ * @returns {string} The decoded text.
+ * 
+ * @example
+ * unescapeHTML("&lt;b&gt; &amp;amp; &copy; &#128512; &#x1F600; &hearts;");
+ * // → "<b> &amp; © 😀 😀 ♥"
+ * 
+ * unescapeHTML("&#0; &#xD800; &#150;");
+ * // → "� � –"
+ * 
+ * unescapeHTML("?a=1&copy=2", { attribute: true });
+ * // → "?a=1&copy=2"
+ */
+export function unescapeHTML(input, options = {}) {
+    if (typeof input !== "string") return '';
+
+    const { attribute = false } = options;
+
+    return input.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*))(;?)/g, (m, dec, hexCode, name, semicolon, offset) => {
+        if (dec !== undefined) return decodeCodePoint(parseInt(dec, 10));
+        if (hexCode !== undefined) return decodeCodePoint(parseInt(hexCode, 16));
+
+        if (semicolon && Object.hasOwn(HTML_ENTITIES, name)) return HTML_ENTITIES[name];
+
+        // Legacy names match as a prefix, e.g., "&copy2023" → "©2023"
+        for (let length = Math.min(name.length, LEGACY_MAX_LENGTH); length > 1; length--) {
+            const legacy = name.slice(0, length);
+            if (!LEGACY.has(legacy)) continue;
+
+            const next = length < name.length ? name[length] : (semicolon || input[offset + m.length]);
+            if (attribute && next !== undefined && /[=a-zA-Z0-9]/.test(next)) return m;
+
+            return HTML_ENTITIES[legacy] + m.slice(length + 1);
+        }
+
+        return m;
+    });
+}
+
+/**
+ * Rewrite text with mixed escaping into a canonical form: every reference is decoded, then the text is
+ * escaped again with {@link escapeHTML}. Useful when importing posts from other software, where the same
+ * text may arrive as "&#38;", "&amp;", "&AMP;" or a bare "&".
+ * 
+ * @param {string} input - The text to normalize.
+ * @param {Object} [options={}] - Options for normalizing.
+ * @param {boolean} [options.ascii=false] - True to also write every non-ASCII character as a numeric reference
+ *                                          (e.g., for email or other 7-bit transports).
+ * @param {boolean} [options.attribute=false] - True if the text is an attribute value (see {@link unescapeHTML}).
+ * @returns {string} The normalized text.
+ * 
+ * @example
+ * normalizeEntities("Tom &#38; Jerry &AMP; &lt;3 &copy 2024 & <b>");
+ * // → "Tom &amp; Jerry &amp; &lt;3 © 2024 &amp; &lt;b&gt;"
+ * 
+ * normalizeEntities("café &eacute;", { ascii: true });
+ * // → "caf&#xe9; &#xe9;"
+ */
+export function normalizeEntities(input, options = {}) {
+    if (typeof input !== "string") return '';
+
+    const { ascii = false, attribute = false } = options;
+
+    const out = escapeHTML(unescapeHTML(input, { attribute }), { preventDoubleEscape: false });
+    if (!ascii) return out;
+
+    return out.replace(/[^\x00-\x7F]/gu, (ch) => `&#x${ch.codePointAt(0).toString(16)};`);
+}
+
+/**
+ * Escape text for use as an HTML attribute value.
+ * 
+ * Every character other than letters, digits and `,.-_` is written as a numeric character reference,
+ * so the result is safe in quoted and unquoted attribute values alike. Characters above U+00FF are kept.
+ * Attributes holding a URL, script or style need {@link escapeURL}, {@link escapeJSString} or
+ * {@link escapeCSS} first.
+ * 
+ * @param {string} input - The text to escape.
+ * @returns {string} The escaped text.
+ * 
+ * @example
+ * escapeAttr('x" onmouseover="alert(1)');
+ * // → "x&#x22;&#x20;onmouseover&#x3d;&#x22;alert&#x28;1&#x29;"
+ */
+export function escapeAttr(input) {
+    if (typeof input !== "string") return '';
+
+    return input.replace(/[^\w,.\-\u0100-\uFFFF]/g, (ch) => `&#x${hex(ch)};`);
+}
+
+/**
+ * Make a URL safe to use in an `href` or `src`, or escape a single URL component.
+ * 
+ * A full URL is checked with {@link sanitizeURL} (unsafe URLs such as `javascript:` are replaced with
+ * `fallback`), and characters that are not valid in URLs (e.g., quotes, spaces and angle brackets)
+ * are percent-encoded. Existing percent-escapes are kept. Escape the result with {@link escapeAttr}
+ * or {@link escapeHTML} when writing it into an attribute.
+ * 
+ * @param {string} input - The URL, or the component to encode.
+ * @param {Object} [options={}] - Options for escaping.
+ * @param {boolean} [options.component=false] - True to encode a single component (e.g., a query value),
+ *                                              like `encodeURIComponent` but also encoding `!'()*`.
+ * @param {string[]} [options.protocols] - Schemes that are allowed (see {@link sanitizeURL}).
+ * @param {boolean} [options.allowRelative=true] - True to allow relative URLs.
+ * @param {string} [options.fallback="about:invalid"] - The URL returned in place of an unsafe one.
+ * @returns {string} The escaped URL.
+ * 
+ * @example
+ * escapeURL('https://example.com/a b"<x>');
+ * // → "https://example.com/a%20b%22%3Cx%3E"
+ * 
+ * escapeURL("javascript:alert(1)");
+ * // → "about:invalid"
+ * 
+ * escapeURL("Tom & Jerry's", { component: true });
+ * // → "Tom%20%26%20Jerry%27s"
+ */
+export function escapeURL(input, options = {}) {
+    if (typeof input !== "string") return '';
+
+    const { component = false, fallback = "about:invalid", ...rest } = options;
+
+    if (component) {
+        return encodeURIComponent(input.replace(/\p{Cs}/gu, "\uFFFD")).replace(/[!'()*]/g, (ch) => `%${hex(ch).toUpperCase()}`);
+    }
+
+    const url = sanitizeURL(input, rest);
+    if (url === null) return fallback;
+
+    // Match whole code points, since encodeURIComponent throws on half of a surrogate pair
+    return url
+        .replace(/\p{Cs}/gu, "\uFFFD")
+        .replace(/%(?![0-9a-f]{2})|[^\w\-.~:/?#[\]@!$&*+,;=%]/giu, (ch) => encodeURIComponent(ch).replace(/'/g, "%27"));
+}
+
+/**
+ * Escape text for use inside a JavaScript string literal, in a `<script>` block or an event handler attribute.
+ * 
+ * Every character other than letters, digits and `,._` is written as a `\xHH` or `\uHHHH` escape,
+ * so the text cannot end the string (either quote style), the script block (`</script>`) or the attribute.
+ * 
+ * @param {string} input - The text to escape.
+ * @returns {string} The escaped text.
+ * 
+ * @example
+ * `var name = "${escapeJSString('"; alert(1); //')}";`
+ * // → 'var name = "\\x22\\x3b\\x20alert\\x281\\x29\\x3b\\x20\\x2f\\x2f";'
+ * 
+ * escapeJSString("</script>"); // → "\\x3c\\x2fscript\\x3e"
+ */
+export function escapeJSString(input) {
+    if (typeof input !== "string") return '';
+
+    return input.replace(/[^\w,.\u0100-\u2027\u202A-\uFFFF]/g, (ch) => {
+        const code = hex(ch);
+        return code.length <= 2 ? `\\x${code.padStart(2, "0")}` : `\\u${code.padStart(4, "0")}`;
+    });
+}
+
+/**
+ * Escape text for use as a CSS string or identifier, e.g., in a `style` attribute or `<style>` block.
+ * 
+ * Every character other than letters and digits is written as a CSS hex escape followed by a space,
+ * so the text cannot end the string or declaration, or open a comment, `url()` or `expression()`.
+ * 
+ * @param {string} input - The text to escape.
+ * @returns {string} The escaped text.
+ * 
+ * @example
+ * `color: ${escapeCSS("red; background: url(x)")}`
+ * // → "color: red\\3b \\20 background\\3a \\20 url\\28 x\\29 "
+ */
+export function escapeCSS(input) {
+    if (typeof input !== "string") return '';
+
+    return input.replace(/[^a-zA-Z0-9\u0100-\uFFFF]/g, (ch) => `\\${hex(ch)} `);
+}
+
+/**
+ * Serialize a value as JSON that is safe to embed in a `<script>` block, e.g., to pass initial
+ * state to the page. `<`, `>`, `&` and the line separators U+2028/U+2029 are escaped, so the JSON
+ * cannot end the script block or open an HTML comment.
+ * 
+ * @param {*} value - The value to serialize.
+ * @returns {string} The JSON (`null` if the value cannot be serialized).
+ * 
+ * @example
+ * `<script>window.state = ${escapeJSON({ title: "</script><script>alert(1)</script>" })};</script>`
+ * // → '<script>window.state = {"title":"\\u003c/script\\u003e\\u003cscript\\u003ealert(1)\\u003c/script\\u003e"};</script>'
+ */
+export function escapeJSON(value) {
+    const json = JSON.stringify(value);
+    if (json === undefined) return "null";
+
+    return json.replace(/[<>&\u2028\u2029]/g, (ch) => `\\u${hex(ch).padStart(4, "0")}`);
+}
+
 /**
  * Create a reusable escaper bound to a specific configuration.
  * 
- * @param {Object} options - Same options as {@link escapeHTML}.
- * @returns {(input: string) => string} A function that escapes HtmL with the given options.
+ * @param {Object} [options={}] - Same options as {@link escapeHTML}, plus the context below.
+ * @param {"html"|"attr"|"url"|"js"|"css"|"json"} [options.context="html"] - Where the output is used: the HTML body
+ *                                                                        ({@link escapeHTML}), an attribute value
+ *                                                                        ({@link escapeAttr}), a URL ({@link escapeURL}),
+ *                                                                        a JavaScript string ({@link escapeJSString}),
+ *                                                                        CSS ({@link escapeCSS}) or a script block
+ *                                                                        ({@link escapeJSON}).
+ * @returns {(input: string) => string} A function that escapes for the given context.
+ * @throws {TypeError} If the context is unknown.
  * 
  * @example
  * const attrEscaper = createEscaper({ extra: "`=" });
  * // → "value=&grave;test&grave;"
- * @returns 
+ * 
+ * const queryEscaper = createEscaper({ context: "url", component: true });
+ * queryEscaper("a&b"); // → "a%26b"
  */
-export const createEscaper = (options) => (input) => escapeHTML(input, options);
\ No newline at end of file
+export const createEscaper = (options = {}) => {
+    const { context = "html", ...rest } = options;
+
+    switch (context) {
+        case "html": return (input) => escapeHTML(input, rest);
+        case "attr": return (input) => escapeAttr(input);
+        case "url": return (input) => escapeURL(input, rest);
+        case "js": return (input) => escapeJSString(input);
+        case "css": return (input) => escapeCSS(input);
+        case "json": return (value) => escapeJSON(value);
+        default: throw new TypeError(`Unknown escaping context: ${context}`);
+    }
+};
+
+/**
+ * Get the hexadecimal code of a character.
+ * 
+ * @param {string} ch - The character.
+ * @returns {string} The lowercase hex code.
+ */
+const hex = (ch) => ch.charCodeAt(0).toString(16);
+
+/**
+ * Legacy entity names, and the length of the longest one.
+ */
+const LEGACY = new Set(LEGACY_ENTITIES);
+const LEGACY_MAX_LENGTH = Math.max(...LEGACY_ENTITIES.map((name) => name.length));
+
+/**
+ * How browsers read numeric references to 0x80–0x9F: as Windows-1252 rather than C1 control characters.
+ */
+const WINDOWS_1252 = {
+    0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+    0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152, 0x8E: 0x017D, 0x91: 0x2018,
+    0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02DC,
+    0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A, 0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178,
+};
+
+/**
+ * Decode a numeric character reference.
+ * 
+ * @param {number} code - The code point.
+ * @returns {string} The character, or U+FFFD if the code point is not allowed.
+ */
+const decodeCodePoint = (code) => {
+    if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return "\uFFFD";
+
+    return String.fromCodePoint(WINDOWS_1252[code] ?? code);
+};
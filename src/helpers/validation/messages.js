@@ -0,0 +1,329 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+/**
+ * A message for a reason code. One of:
+ * - a string with `{param}` placeholders (the part of a code after ":" is available as `{arg}`);
+ * - an object of plural forms keyed by plural category ("zero", "one", "two", "few", "many", "other"),
+ *   with `count` naming the parameter that picks the form and an optional `default` used when it is missing;
+ * - a function that receives the parameters and returns the message.
+ * 
+ * @typedef {string|{ count: string, default?: string, [category: string]: string }|((params: Object) => string)} Message
+ */
+
+/**
+ * Catalog of human-readable messages for the reason codes returned by the validators.
+ * 
+ * Messages are looked up in the requested locale, then its base language (e.g., "pt-BR" → "pt"),
+ * then the fallback locale. Codes with no message anywhere (e.g., from custom validators) are
+ * passed through if they already read like a sentence, or turned into one if they look like a code.
+ * 
+ * @example
+ * const catalog = new MessageCatalog();
+ * catalog.format("too_short", { min: 3 }); // → "Must be at least 3 characters long."
+ * catalog.format("consecutive:_"); // → "Must not contain \"_\" more than once in a row."
+ * 
+ * catalog.register("de", {
+ *      too_short: { count: "min", one: "Muss mindestens {min} Zeichen lang sein.", other: "Muss mindestens {min} Zeichen lang sein." },
+ * });
+ * catalog.format("too_short", { min: 3 }, "de-AT"); // → "Muss mindestens 3 Zeichen lang sein."
+ */
+export class MessageCatalog {
+    /**
+     * Create a new instance of MessageCatalog.
+     * 
+     * @param {Object} [options={}] - Options for the catalog.
+     * @param {string} [options.locale="en"] - The locale used when none is given.
+     * @param {string} [options.fallbackLocale="en"] - The locale used for codes missing from the requested locale.
+     */
+    constructor(options = {}) {
+        const { locale = "en", fallbackLocale = "en" } = options;
+
+        this.locale = locale;
+        this.fallbackLocale = fallbackLocale;
+        this._locales = new Map();
+    }
+
+    /**
+     * Add messages for a locale, merging with any already registered.
+     * 
+     * @param {string} locale - The locale (e.g., "de" or "pt-BR").
+     * @param {Object<string, Message>} messages - Messages keyed by reason code (without the ":" argument).
+     * @returns {MessageCatalog} This catalog, for chaining.
+     */
+    register(locale, messages) {
+        if (typeof locale !== 'string' || !locale) {
+            throw new TypeError("Locale must be a non-empty string");
+        }
+
+        const key = normalizeLocale(locale);
+        this._locales.set(key, { ...this._messages(key), ...messages });
+        return this;
+    }
+
+    /**
+     * Check if a reason code has a message, in the given locale or one it falls back to.
+     * 
+     * @param {string} reason - The reason code.
+     * @param {string} [locale] - The locale (defaults to the catalog's locale).
+     * @returns {boolean} True if a message exists, false if not.
+     */
+    has(reason, locale = this.locale) {
+        return this._lookup(parseReason(reason).code, locale) !== undefined;
+    }
+
+    /**
+     * Turn a reason code into a human-readable message.
+     * 
+     * @param {string} reason - The reason code (e.g., "too_short" or "disallowed_pattern:^admin").
+     * @param {Object} [params={}] - Values for the message placeholders (e.g., { min: 3, max: 20 }).
+     * @param {string} [locale] - The locale (defaults to the catalog's locale).
+     * @returns {string} The message.
+     */
+    format(reason, params = {}, locale = this.locale) {
+        const { code, arg } = parseReason(String(reason));
+        const message = this._lookup(code, locale);
+        const values = arg === undefined ? params : { arg, ...params };
+
+        if (message === undefined) return humanize(String(reason));
+        if (typeof message === 'function') return String(message(values));
+        if (typeof message === 'string') return interpolate(message, values);
+
+        const count = values[message.count];
+
+        if (typeof count !== 'number') {
+            return interpolate(message.default ?? message.other ?? "", values);
+        }
+
+        const category = pluralCategory(locale, count);
+        return interpolate(message[category] ?? message.other ?? "", values);
+    }
+
+    /**
+     * Turn a list of reason codes into human-readable messages.
+     * 
+     * @param {string[]} reasons - The reason codes (e.g., the `reasons` of a validation result).
+     * @param {Object} [params={}] - Values for the message placeholders.
+     * @param {string} [locale] - The locale (defaults to the catalog's locale).
+     * @returns {string[]} The messages, in the same order.
+     */
+    formatAll(reasons, params = {}, locale = this.locale) {
+        return reasons.map((reason) => this.format(reason, params, locale));
+    }
+
+    /**
+     * Find the message for a code, falling back from the locale to its base language to the fallback locale.
+     * 
+     * @param {string} code - The reason code without its argument.
+     * @param {string} locale - The requested locale.
+     * @returns {Message|undefined} The message, or undefined if there is none.
+     */
+    _lookup(code, locale) {
+        const key = normalizeLocale(locale);
+        const chain = [key, key.split("-")[0], normalizeLocale(this.fallbackLocale)];
+
+        for (const candidate of chain) {
+            const messages = this._messages(candidate);
+            if (messages && Object.hasOwn(messages, code)) return messages[code];
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Get the messages registered for a locale, including the bundled English messages.
+     * 
+     * @param {string} key - The normalized locale.
+     * @returns {Object<string, Message>|undefined} The messages, or undefined if the locale is unknown.
+     */
+    _messages(key) {
+        return this._locales.get(key) ?? (key === "en" ? ENGLISH : undefined);
+    }
+}
+
+/**
+ * The shared catalog used by {@link formatReason}, {@link formatReasons} and {@link registerLocale}.
+ * 
+ * @type {MessageCatalog}
+ */
+export const messages = new MessageCatalog();
+
+/**
+ * Turn a reason code into a human-readable message using the shared catalog.
+ * 
+ * @param {string} reason - The reason code.
+ * @param {Object} [params={}] - Values for the message placeholders.
+ * @param {Object} [options={}] - Options for formatting.
+ * @param {string} [options.locale] - The locale (defaults to the shared catalog's locale).
+ * @returns {string} The message.
+ * 
+ * @example
+ * formatReason("too_long", { max: 20 }); // → "Must be at most 20 characters long."
+ */
+export function formatReason(reason, params = {}, options = {}) {
+    return messages.format(reason, params, options.locale);
+}
+
+/**
+ * Turn a list of reason codes into human-readable messages using the shared catalog.
+ * 
+ * @param {string[]} reasons - The reason codes.
+ * @param {Object} [params={}] - Values for the message placeholders.
+ * @param {Object} [options={}] - Options for formatting.
+ * @param {string} [options.locale] - The locale (defaults to the shared catalog's locale).
+ * @returns {string[]} The messages.
+ * 
+ * @example
+ * const rules = { min: 3, max: 20, noConsecutive: ["_"] };
+ * const result = validateUsername("a__", rules);
+ * formatReasons(result.reasons, rules);
+ * // → ["Must not contain \"_\" more than once in a row."]
+ */
+export function formatReasons(reasons, params = {}, options = {}) {
+    return messages.formatAll(reasons, params, options.locale);
+}
+
+/**
+ * Add messages for a locale to the shared catalog.
+ * 
+ * @param {string} locale - The locale.
+ * @param {Object<string, Message>} catalog - Messages keyed by reason code.
+ * @returns {MessageCatalog} The shared catalog.
+ */
+export function registerLocale(locale, catalog) {
+    return messages.register(locale, catalog);
+}
+
+/**
+ * The bundled English messages.
+ */
+const ENGLISH = {
+    not_a_string: "Must be text.",
+    too_short: {
+        count: "min",
+        default: "Is too short.",
+        one: "Must be at least {min} character long.",
+        other: "Must be at least {min} characters long.",
+    },
+    too_long: {
+        count: "max",
+        default: "Is too long.",
+        one: "Must be at most {max} character long.",
+        other: "Must be at most {max} characters long.",
+    },
+    invalid_chars: "Contains characters that are not allowed.",
+    bad_start: "Starts with a character that is not allowed.",
+    bad_end: "Ends with a character that is not allowed.",
+    disallowed_pattern: "Contains a word or pattern that is not allowed.",
+    consecutive: "Must not contain \"{arg}\" more than once in a row.",
+    blacklisted: "This name is not available.",
+    taken: "This name or one that looks like it is already taken.",
+    mixed_script: "Must not mix letters from different alphabets.",
+    invisible_chars: "Must not contain invisible characters.",
+    custom_validator_error: "Could not be checked. Please try again.",
+    custom_validator_timeout: "Took too long to check. Please try again.",
+    missing_lowercase: "Must contain a lowercase letter.",
+    missing_uppercase: "Must contain an uppercase letter.",
+    missing_number: "Must contain a number.",
+    missing_symbol: "Must contain a symbol.",
+    common_password: "Is one of the most commonly used passwords.",
+    dictionary_word: "Is based on a common word or password.",
+    user_input: "Contains your username or the board name.",
+    l33t_substitution: "Uses predictable letter substitutions.",
+    keyboard_walk: "Contains a keyboard pattern.",
+    sequence: "Contains a sequence of letters or numbers.",
+    repeated: "Contains repeated characters or words.",
+    date: "Contains a date or year.",
+    missing_at: "Must be an email address, like name@example.com.",
+    local_empty: "Is missing the part before the \"@\".",
+    local_invalid: "The part before the \"@\" contains characters or dots that are not allowed.",
+    local_too_long: "The part before the \"@\" must be at most 64 characters long.",
+    domain_empty: "Is missing the domain after the \"@\".",
+    domain_invalid: "The domain is not valid.",
+    domain_too_long: "The domain is too long.",
+    label_too_long: "Part of the domain is too long.",
+    no_tld: "The domain is incomplete (e.g., example.com).",
+    ip_literal: "Must use a domain name rather than an IP address.",
+    disposable_domain: "Disposable email addresses are not allowed.",
+    address_too_long: "Must be at most 254 characters long.",
+    no_mail_servers: "The domain cannot receive email.",
+    dns_lookup_failed: "The domain could not be checked. Please try again.",
+};
+
+/**
+ * Split a reason code into its code and argument (e.g., "consecutive:_" → "consecutive" and "_").
+ * 
+ * @param {string} reason - The reason code.
+ * @returns {{ code: string, arg: string|undefined }} The parts of the code.
+ */
+const parseReason = (reason) => {
+    const i = reason.indexOf(":");
+    if (i === -1) return { code: reason, arg: undefined };
+    return { code: reason.slice(0, i), arg: reason.slice(i + 1) };
+};
+
+/**
+ * Replace `{name}` placeholders with parameter values, leaving unknown placeholders as they are.
+ * 
+ * @param {string} template - The message template.
+ * @param {Object} params - The parameter values.
+ * @returns {string} The message.
+ */
+const interpolate = (template, params) => {
+    return template.replace(/\{(\w+)\}/g, (whole, name) => {
+        return Object.hasOwn(params, name) && params[name] != null ? String(params[name]) : whole;
+    });
+};
+
+/**
+ * Get the plural category of a number in a locale, falling back to English rules for unknown locales.
+ * 
+ * @param {string} locale - The locale.
+ * @param {number} count - The number.
+ * @returns {string} The plural category (e.g., "one" or "other").
+ */
+const pluralCategory = (locale, count) => {
+    try {
+        return new Intl.PluralRules(locale).select(count);
+    } catch {
+        return new Intl.PluralRules("en").select(count);
+    }
+};
+
+/**
+ * Turn a code with no message into something readable: sentences are kept as they are,
+ * and codes like "name_taken" become "Name taken.".
+ * 
+ * @param {string} reason - The reason code or message.
+ * @returns {string} The message.
+ */
+const humanize = (reason) => {
+    if (!/^[\w-]+(:.*)?$/.test(reason)) return reason;
+
+    const { code, arg } = parseReason(reason);
+    const words = code.replace(/[_-]+/g, " ").trim();
+    if (!words) return reason;
+
+    const sentence = words[0].toUpperCase() + words.slice(1);
+    return arg ? `${sentence}: ${arg}.` : `${sentence}.`;
+};
+
+/**
+ * Normalize a locale tag for lookups (e.g., "pt_br" → "pt-br").
+ * 
+ * @param {string} locale - The locale.
+ * @returns {string} The normalized locale.
+ */
+const normalizeLocale = (locale) => {
+    return String(locale).replace(/_/g, "-").toLowerCase();
+};
@@ -0,0 +1,234 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { scrypt, pbkdf2, randomBytes, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scryptAsync = promisify(scrypt);
+const pbkdf2Async = promisify(pbkdf2);
+
+/**
+ * @typedef {Object} HashOptions
+ * @property {"scrypt"|"pbkdf2"} [algorithm="scrypt"] - The key derivation function to use.
+ * @property {number} [cost=32768] - scrypt CPU/memory cost (N), must be a power of two.
+ * @property {number} [blockSize=8] - scrypt block size (r).
+ * @property {number} [parallelization=1] - scrypt parallelization (p).
+ * @property {number} [iterations=600000] - PBKDF2 iteration count.
+ * @property {"sha256"|"sha512"} [digest="sha256"] - PBKDF2 digest.
+ * @property {number} [saltLength=16] - Length of the random salt in bytes.
+ * @property {number} [keyLength=32] - Length of the derived key in bytes.
+ */
+
+/**
+ * Hash a password for storage.
+ * 
+ * The result is a self-describing string that records the algorithm and its parameters
+ * alongside the salt and the derived key, so it can be verified (and upgraded) later:
+ *      $scrypt$ln=15,r=8,p=1$<salt>$<hash>
+ *      $pbkdf2-sha256$i=600000$<salt>$<hash>
+ * 
+ * @param {string} password - The password to hash.
+ * @param {HashOptions} [options={}] - Options for hashing.
+ * @returns {Promise<string>} A promise that resolves to the encoded hash.
+ * 
+ * @example
+ * const stored = await hashPassword("correct horse battery staple");
+ * // → "$scrypt$ln=15,r=8,p=1$Pq4n...$Xk9c..."
+ */
+export async function hashPassword(password, options = {}) {
+    if (typeof password !== 'string') {
+        throw new TypeError("Password must be a string");
+    }
+
+    const params = resolveParams(options);
+    const salt = randomBytes(params.saltLength);
+    const key = await derive(password, salt, params, params.keyLength);
+
+    return encode(params, salt, key);
+}
+
+/**
+ * Verify a password against an encoded hash using a constant-time comparison.
+ * 
+ * @param {string} password - The password to check.
+ * @param {string} encoded - The encoded hash produced by {@link hashPassword}.
+ * @returns {Promise<boolean>} A promise that resolves to true if the password matches, false if not
+ *                             (including when the hash is malformed).
+ * 
+ * @example
+ * await verifyPassword("correct horse battery staple", stored); // → true
+ * await verifyPassword("Tr0ub4dor&3", stored); // → false
+ */
+export async function verifyPassword(password, encoded) {
+    if (typeof password !== 'string') return false;
+
+    const parsed = decode(encoded);
+    if (!parsed) return false;
+
+    let key;
+
+    try {
+        key = await derive(password, parsed.salt, parsed.params, parsed.key.length);
+    } catch {
+        return false;
+    }
+
+    return key.length === parsed.key.length && timingSafeEqual(key, parsed.key);
+}
+
+/**
+ * Check if an encoded hash was made with different settings than the ones given,
+ * so it can be re-hashed with the current settings after a successful login.
+ * 
+ * @param {string} encoded - The encoded hash produced by {@link hashPassword}.
+ * @param {HashOptions} [options={}] - The current hashing options.
+ * @returns {boolean} True if the hash should be upgraded (or is malformed), false if it is current.
+ * 
+ * @example
+ * if (await verifyPassword(input, user.hash) && needsRehash(user.hash, { cost: 2 ** 16 })) {
+ *      user.hash = await hashPassword(input, { cost: 2 ** 16 });
+ * }
+ */
+export function needsRehash(encoded, options = {}) {
+    const parsed = decode(encoded);
+    if (!parsed) return true;
+
+    const want = resolveParams(options);
+    const have = parsed.params;
+
+    if (have.algorithm !== want.algorithm) return true;
+    if (parsed.salt.length < want.saltLength || parsed.key.length !== want.keyLength) return true;
+
+    if (want.algorithm === "scrypt") {
+        return have.cost !== want.cost
+            || have.blockSize !== want.blockSize
+            || have.parallelization !== want.parallelization;
+    }
+
+    return have.digest !== want.digest || have.iterations < want.iterations;
+}
+
+/**
+ * Fill in defaults for the hashing options and validate them.
+ * 
+ * @param {HashOptions} options - The hashing options.
+ * @returns {Required<HashOptions>} The resolved options.
+ */
+const resolveParams = (options) => {
+    const {
+        algorithm = "scrypt",
+        cost = 2 ** 15,
+        blockSize = 8,
+        parallelization = 1,
+        iterations = 600000,
+        digest = "sha256",
+        saltLength = 16,
+        keyLength = 32,
+    } = options;
+
+    if (algorithm !== "scrypt" && algorithm !== "pbkdf2") {
+        throw new TypeError(`Unknown password hashing algorithm: ${algorithm}`);
+    }
+
+    if (algorithm === "scrypt" && (cost < 2 || (cost & (cost - 1)) !== 0)) {
+        throw new TypeError("scrypt cost must be a power of two greater than 1");
+    }
+
+    if (algorithm === "pbkdf2" && !DIGESTS.includes(digest)) {
+        throw new TypeError(`Unsupported PBKDF2 digest: ${digest}`);
+    }
+
+    return { algorithm, cost, blockSize, parallelization, iterations, digest, saltLength, keyLength };
+};
+
+/**
+ * Derive a key from a password with the given parameters.
+ * 
+ * @param {string} password - The password.
+ * @param {Buffer} salt - The salt.
+ * @param {Object} params - The algorithm and its parameters.
+ * @param {number} keyLength - Length of the derived key in bytes.
+ * @returns {Promise<Buffer>} A promise that resolves to the derived key.
+ */
+const derive = (password, salt, params, keyLength) => {
+    const input = password.normalize("NFKC");
+
+    if (params.algorithm === "pbkdf2") {
+        return pbkdf2Async(input, salt, params.iterations, keyLength, params.digest);
+    }
+
+    const { cost: N, blockSize: r, parallelization: p } = params;
+    return scryptAsync(input, salt, keyLength, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 });
+};
+
+/**
+ * Encode the parameters, salt and key as a self-describing hash string.
+ * 
+ * @param {Object} params - The algorithm and its parameters.
+ * @param {Buffer} salt - The salt.
+ * @param {Buffer} key - The derived key.
+ * @returns {string} The encoded hash.
+ */
+const encode = (params, salt, key) => {
+    const b64 = (buf) => buf.toString('base64').replace(/=+$/, "");
+
+    if (params.algorithm === "pbkdf2") {
+        return `$pbkdf2-${params.digest}$i=${params.iterations}$${b64(salt)}$${b64(key)}`;
+    }
+
+    const ln = Math.log2(params.cost);
+    return `$scrypt$ln=${ln},r=${params.blockSize},p=${params.parallelization}$${b64(salt)}$${b64(key)}`;
+};
+
+/**
+ * Parse an encoded hash string.
+ * 
+ * @param {string} encoded - The encoded hash.
+ * @returns {{ params: Object, salt: Buffer, key: Buffer }|null} The parsed hash, or null if malformed.
+ */
+const decode = (encoded) => {
+    if (typeof encoded !== 'string') return null;
+
+    const parts = encoded.split("$");
+    if (parts.length !== 5 || parts[0] !== "") return null;
+
+    const [, id, paramStr, saltStr, keyStr] = parts;
+    const b64 = /^[A-Za-z0-9+/]+$/;
+    if (!b64.test(saltStr) || !b64.test(keyStr)) return null;
+
+    const fields = Object.fromEntries(paramStr.split(",").map((kv) => kv.split("=")));
+    const num = (v) => (/^\d+$/.test(v ?? "") ? Number(v) : NaN);
+    let params;
+
+    if (id === "scrypt") {
+        const ln = num(fields.ln);
+        params = { algorithm: "scrypt", cost: 2 ** ln, blockSize: num(fields.r), parallelization: num(fields.p) };
+        if (!(ln >= 1 && ln <= 30) || !(params.blockSize > 0) || !(params.parallelization > 0)) return null;
+    } else if (id.startsWith("pbkdf2-") && DIGESTS.includes(id.slice(7))) {
+        params = { algorithm: "pbkdf2", digest: id.slice(7), iterations: num(fields.i) };
+        if (!(params.iterations > 0)) return null;
+    } else {
+        return null;
+    }
+
+    return {
+        params,
+        salt: Buffer.from(saltStr, 'base64'),
+        key: Buffer.from(keyStr, 'base64'),
+    };
+};
+
+/**
+ * The supported PBKDF2 digests.
+ */
+const DIGESTS = ["sha256", "sha512"];
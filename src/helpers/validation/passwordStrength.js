@@ -11,18 +11,26 @@
  * root directory.
  */
 
+import { COMMON_PASSWORDS } from './commonPasswords.js';
+
 /**
  * Evaluate the strength of a password based on configurale criteria.
  * 
  * Default rules:
  * - Minimum length: 8
  * - Checks for lowercase, uppercase, number, and symbol
- * - Bonus points for longer passwords and diversity of characters
+ * 
+ * The score is based on an entropy estimate: the password is split into the cheapest
+ * combination of guessable patterns (common passwords and dictionary words, including
+ * l33t substitutions, keyboard walks, sequences, repeats and dates) and random characters,
+ * and the bits needed to guess each part are added up.
  * 
  * Returns an object containing:
  * - score (0-4)
- * - label ("weak", "fair", "strong", "very_strong")
- * - reasons: array of feedbqck messages.
+ * - label ("weak", "fair", "good", "strong", "very_strong")
+ * - reasons: array of reason codes (rule failures and detected patterns).
+ * - entropy: estimated entropy in bits.
+ * - feedback: array of actionable suggestions in plain English.
  * 
  * @param {string} password - The password to evaluate.
  * @param {Object} [rules={}] - Optional rules override.
@@ -32,11 +40,14 @@
  * @param {boolean} [rules.requireUppercase=true] - True to require uppercase characters, false not to (default is true).
  * @param {boolean} [rules.requireNumber==true] - True to require numeric characters, false not to (default is true).
  * @param {boolean} [rules.requireSymbol=true] - True to require symbols, false not to (default is true).
- * @returns {{ score: number, label: string, reasons: string[] }}
+ * @param {string[]|Set<string>} [rules.dictionary] - Common passwords and words to penalize (defaults to the bundled list).
+ * @param {string[]} [rules.userInputs=[]] - Words specific to this user or board (e.g., username, board name, email).
+ * @returns {{ score: number, label: string, reasons: string[], entropy: number, feedback: string[] }}
  * 
  * @example
- * passwordStrength("abc"); // → { score: 1, label: "weak", reasons: [...] }
- * passwordStrength("Abc123!@#"); // → { score: 4, label: "very_strong", reasons: [] }
+ * passwordStrength("abc"); // → { score: 0, label: "weak", reasons: ["too_short", ...], ... }
+ * passwordStrength("Password1!"); // → { score: 0, label: "weak", reasons: ["dictionary_word"], ... }
+ * passwordStrength("mauve-Otter-71-kiln"); // → { score: 4, label: "very_strong", reasons: [], ... }
  */
 export function passwordStrength(password, rules = {}) {
     if (typeof password !== 'string') {
@@ -44,6 +55,8 @@ export function passwordStrength(password, rules = {}) {
             score: 0,
             label: "invalid",
             reasons: ["not_a_string"],
+            entropy: 0,
+            feedback: [],
         };
     }
 
@@ -54,6 +67,8 @@ export function passwordStrength(password, rules = {}) {
         requireUppercase = true,
         requireNumber = true,
         requireSymbol = true,
+        dictionary = COMMON_PASSWORDS,
+        userInputs = [],
     } = rules;
 
     const reasons = [];
@@ -73,18 +88,28 @@ export function passwordStrength(password, rules = {}) {
     if (requireNumber && !hasNumber) reasons.push("missing_number");
     if (requireSymbol && !hasSymbol) reasons.push("missing_symbol");
 
-    // Scoring system (0-4)
-    score += hasLower ? 1 : 0;
-    score += hasUpper ? 1 : 0;
-    score += hasNumber ? 1 : 0;
-    score += hasSymbol ? 1 : 0;
+    // Estimate the entropy from the cheapest way to guess the password
+    const pool = (hasLower ? 26 : 0) + (hasUpper ? 26 : 0) + (hasNumber ? 10 : 0) + (hasSymbol ? 33 : 0);
+    const ranked = rankWords(dictionary, userInputs);
+    const matches = findMatches(password, ranked);
+    const { entropy, used } = minimumEntropy(password, matches, Math.log2(Math.max(pool, 1)));
 
-    // Length bonuses
-    if (password.length >= 12) score++;
-    if (password.length >= 16) score++;
+    const patterns = new Set(used.map((m) => m.pattern));
+    const words = used.filter((m) => m.pattern === "dictionary" && !m.userInput);
+    const common = words.some((m) => m.i === 0 && m.j === password.length - 1);
 
-    // Need to cap the score between 0 and 4
-    score = Math.min(score, 4);
+    if (common) reasons.push("common_password");
+    else if (words.length > 0) reasons.push("dictionary_word");
+    if (used.some((m) => m.userInput)) reasons.push("user_input");
+    if (used.some((m) => m.l33t)) reasons.push("l33t_substitution");
+
+    for (const pattern of ["keyboard_walk", "sequence", "repeated", "date"]) {
+        if (patterns.has(pattern)) reasons.push(pattern);
+    }
+
+    // Scoring system (0-4)
+    score = ENTROPY_THRESHOLDS.filter((t) => entropy >= t).length;
+    if (common) score = 0;
 
     const labels = ["weak", "fair", "good", "strong", "very_strong"];
     let label = labels[score];
@@ -93,5 +118,450 @@ export function passwordStrength(password, rules = {}) {
     if (password.length < minLength) label = "weak";
     if (password.length > maxLength) label = "weak";
 
-    return { score, label, reasons };
-}
\ No newline at end of file
+    const feedback = reasons.map((r) => FEEDBACK[r]?.({ minLength, maxLength })).filter(Boolean);
+    if (feedback.length === 0 && score < 3) feedback.push(FEEDBACK.low_entropy());
+
+    return {
+        score,
+        label,
+        reasons,
+        entropy: Math.round(entropy * 10) / 10,
+        feedback,
+    };
+}
+
+/**
+ * Minimum entropy (in bits) needed for each score above zero.
+ */
+const ENTROPY_THRESHOLDS = [28, 40, 60, 80];
+
+/**
+ * Actionable feedback for each reason code.
+ */
+const FEEDBACK = {
+    too_short: ({ minLength }) => `Use at least ${minLength} characters.`,
+    too_long: ({ maxLength }) => `Use no more than ${maxLength} characters.`,
+    missing_lowercase: () => "Add a lowercase letter.",
+    missing_uppercase: () => "Add an uppercase letter.",
+    missing_number: () => "Add a number.",
+    missing_symbol: () => "Add a symbol.",
+    common_password: () => "This is one of the most common passwords. Choose something unique.",
+    dictionary_word: () => "Avoid common words and passwords, even with capital letters or numbers added.",
+    user_input: () => "Avoid using your username, email or the board name.",
+    l33t_substitution: () => "Predictable substitutions like \"@\" for \"a\" do not help much.",
+    keyboard_walk: () => "Avoid keyboard patterns like \"qwerty\" or \"asdf\".",
+    sequence: () => "Avoid sequences like \"abc\" or \"123\".",
+    repeated: () => "Avoid repeated characters and repeated words.",
+    date: () => "Avoid dates and years that are associated with you.",
+    low_entropy: () => "Add a few more uncommon words or characters.",
+};
+
+/**
+ * Common character substitutions, mapped back to the letters they replace.
+ */
+const L33T = {
+    "4": "a", "@": "a", "8": "b", "(": "c", "3": "e", "6": "g", "9": "g",
+    "1": "il", "!": "i", "|": "il", "0": "o", "$": "s", "5": "s", "7": "t", "+": "t", "2": "z",
+};
+
+/**
+ * Keyboard rows (US layout) with their horizontal offset, used to detect keyboard walks.
+ */
+const KEYBOARD_ROWS = [
+    ["1234567890-=", 0],
+    ["qwertyuiop[]", 0.5],
+    ["asdfghjkl;'", 0.75],
+    ["zxcvbnm,./", 1.25],
+];
+
+/**
+ * Shifted characters mapped to the key they are typed with.
+ */
+const SHIFTED = Object.fromEntries(
+    Array.from('!@#$%^&*()_+{}:"<>?').map((ch, i) => [ch, "1234567890-=[];',./"[i]])
+);
+
+/**
+ * Key positions on the keyboard, keyed by unshifted character.
+ */
+const KEY_POSITIONS = new Map(
+    KEYBOARD_ROWS.flatMap(([row, offset], y) => Array.from(row).map((ch, x) => [ch, { x: x + offset, y }]))
+);
+
+/**
+ * Build a map of dictionary words to their rank (1 = most common).
+ * User inputs always rank first, since an attacker targeting this account would try them first.
+ * 
+ * @param {string[]|Set<string>} dictionary - The dictionary words in order of commonness.
+ * @param {string[]} userInputs - Words specific to this user or board.
+ * @returns {Map<string, { rank: number, userInput: boolean }>} The ranked words.
+ */
+const rankWords = (dictionary, userInputs) => {
+    const ranked = new Map();
+    let rank = 1;
+
+    for (const word of dictionary) {
+        const w = String(word).toLowerCase();
+        if (w && !ranked.has(w)) ranked.set(w, { rank: rank++, userInput: false });
+    }
+
+    for (const input of userInputs) {
+        // Split inputs like "sam@example.com" or "My Cool BBS" into their parts too
+        const parts = [input, ...String(input).split(/[^A-Za-z0-9]+/)];
+
+        for (const part of parts) {
+            const w = String(part).toLowerCase();
+            if (w.length >= 3) ranked.set(w, { rank: 1, userInput: true });
+        }
+    }
+
+    return ranked;
+};
+
+/**
+ * Find every guessable pattern in a password.
+ * 
+ * @param {string} password - The password.
+ * @param {Map<string, { rank: number, userInput: boolean }>} ranked - The ranked dictionary words.
+ * @returns {Array<{ pattern: string, i: number, j: number, entropy: number }>} Matches with their
+ *          inclusive start and end positions and the bits needed to guess them.
+ */
+const findMatches = (password, ranked) => {
+    return [
+        ...dictionaryMatches(password, ranked),
+        ...sequenceMatches(password),
+        ...repeatMatches(password),
+        ...keyboardMatches(password),
+        ...dateMatches(password),
+    ];
+};
+
+/**
+ * Find dictionary words in a password, including l33t-substituted forms.
+ * 
+ * @param {string} password - The password.
+ * @param {Map<string, { rank: number, userInput: boolean }>} ranked - The ranked dictionary words.
+ * @returns {Object[]} The dictionary matches.
+ */
+const dictionaryMatches = (password, ranked) => {
+    const lower = password.toLowerCase();
+    const variants = new Set([lower, unl33t(lower, 0), unl33t(lower, 1)]);
+    const matches = [];
+
+    for (const variant of variants) {
+        for (const [word, { rank, userInput }] of ranked) {
+            // Short words only count when they are the whole password (or a user input)
+            if (word.length < 4 && word.length !== variant.length && !userInput) continue;
+
+            let i = variant.indexOf(word);
+
+            while (i !== -1) {
+                const j = i + word.length - 1;
+                const original = password.slice(i, j + 1);
+                const l33t = original.toLowerCase() !== word;
+
+                let entropy = Math.log2(rank) + uppercaseBits(original);
+                if (l33t) entropy += l33tBits(original.toLowerCase(), word);
+
+                matches.push({ pattern: "dictionary", i, j, entropy, userInput, l33t });
+                i = variant.indexOf(word, i + 1);
+            }
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Replace l33t characters with the letters they stand for.
+ * 
+ * @param {string} s - The lowercased password.
+ * @param {number} choice - Which letter to use for ambiguous characters (e.g., "1" as "i" or "l").
+ * @returns {string} The string with substitutions reversed.
+ */
+const unl33t = (s, choice) => {
+    return Array.from(s, (ch) => {
+        const sub = L33T[ch];
+        return sub ? sub[Math.min(choice, sub.length - 1)] : ch;
+    }).join("");
+};
+
+/**
+ * Bits needed to guess where uppercase letters were used in a word.
+ * 
+ * @param {string} word - The word as typed.
+ * @returns {number} The extra bits.
+ */
+const uppercaseBits = (word) => {
+    const upper = (word.match(/[A-Z]/g) ?? []).length;
+    const lower = (word.match(/[a-z]/g) ?? []).length;
+
+    if (upper === 0) return 0;
+
+    // Capitalized, all caps or only the last letter capitalized are common enough to cost one bit
+    if (/^[A-Z][^A-Z]+$/.test(word) || /^[^A-Z]+[A-Z]$/.test(word) || lower === 0) return 1;
+
+    return Math.log2(combinations(upper + lower, Math.min(upper, lower)));
+};
+
+/**
+ * Bits needed to guess which letters were swapped for l33t characters.
+ * 
+ * @param {string} typed - The word as typed (lowercased).
+ * @param {string} word - The dictionary word.
+ * @returns {number} The extra bits.
+ */
+const l33tBits = (typed, word) => {
+    let subbed = 0;
+
+    for (let k = 0; k < word.length; k++) {
+        if (typed[k] !== word[k]) subbed++;
+    }
+
+    return Math.max(1, Math.log2(combinations(word.length, subbed)));
+};
+
+/**
+ * Find runs of characters that step by a constant amount (e.g., "abc", "9876", "ace").
+ * 
+ * @param {string} password - The password.
+ * @returns {Object[]} The sequence matches.
+ */
+const sequenceMatches = (password) => {
+    const matches = [];
+    let i = 0;
+
+    while (i < password.length - 2) {
+        const step = password.charCodeAt(i + 1) - password.charCodeAt(i);
+        let j = i + 1;
+
+        while (j + 1 < password.length && password.charCodeAt(j + 1) - password.charCodeAt(j) === step) j++;
+
+        if (j - i >= 2 && Math.abs(step) >= 1 && Math.abs(step) <= 5) {
+            const run = password.slice(i, j + 1);
+            const base = /^[a-z]+$/.test(run) || /^[A-Z]+$/.test(run) ? 26 : /^\d+$/.test(run) ? 10 : 95;
+            const start = /^[aAzZ019]/.test(run) ? 1 : Math.log2(base);
+            const entropy = start + Math.log2(run.length) + (step === 1 ? 0 : 1);
+
+            matches.push({ pattern: "sequence", i, j, entropy });
+            i = j;
+        } else {
+            i++;
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Find repeated characters ("aaa") and repeated chunks ("abcabc").
+ * 
+ * @param {string} password - The password.
+ * @returns {Object[]} The repeat matches.
+ */
+const repeatMatches = (password) => {
+    const matches = [];
+    const re = /(.+?)\1+/g;
+    let m;
+
+    while ((m = re.exec(password)) !== null) {
+        const [whole, unit] = m;
+        const count = whole.length / unit.length;
+
+        if (whole.length >= 3 && count >= 2) {
+            const pool = charPool(unit);
+            const entropy = unit.length * Math.log2(pool) + Math.log2(count);
+            matches.push({ pattern: "repeated", i: m.index, j: m.index + whole.length - 1, entropy });
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Find runs of keys that are next to each other on the keyboard (e.g., "qwerty", "1qaz", "zxcv").
+ * 
+ * @param {string} password - The password.
+ * @returns {Object[]} The keyboard walk matches.
+ */
+const keyboardMatches = (password) => {
+    const keys = Array.from(password, (ch) => SHIFTED[ch] ?? ch.toLowerCase());
+    const matches = [];
+    let i = 0;
+
+    while (i < keys.length - 1) {
+        let j = i;
+        let turns = 0;
+        let lastDir = null;
+
+        while (j + 1 < keys.length && adjacent(keys[j], keys[j + 1])) {
+            const dir = direction(keys[j], keys[j + 1]);
+            if (lastDir !== null && dir !== lastDir) turns++;
+            lastDir = dir;
+            j++;
+        }
+
+        if (j - i >= 3) {
+            const run = password.slice(i, j + 1);
+            const shifted = Array.from(run).filter((ch) => /[A-Z]/.test(ch) || SHIFTED[ch]).length;
+
+            // Starting key, a few likely directions per key, and the places where the walk turns
+            let entropy = Math.log2(KEY_POSITIONS.size) + Math.log2(run.length) + turns * Math.log2(6);
+            if (shifted > 0 && shifted < run.length) entropy += Math.log2(combinations(run.length, shifted));
+            else if (shifted > 0) entropy += 1;
+
+            matches.push({ pattern: "keyboard_walk", i, j, entropy });
+            i = j;
+        } else {
+            i++;
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Check if two keys are next to each other on the keyboard.
+ * 
+ * @param {string} a - The first key.
+ * @param {string} b - The second key.
+ * @returns {boolean} True if adjacent, false if not.
+ */
+const adjacent = (a, b) => {
+    const p = KEY_POSITIONS.get(a);
+    const q = KEY_POSITIONS.get(b);
+    if (!p || !q || a === b) return false;
+
+    if (p.y === q.y) return Math.abs(p.x - q.x) === 1;
+    return Math.abs(p.y - q.y) === 1 && Math.abs(p.x - q.x) <= 1;
+};
+
+/**
+ * Get the direction of travel between two adjacent keys.
+ * 
+ * @param {string} a - The first key.
+ * @param {string} b - The second key.
+ * @returns {string} A string identifying the direction.
+ */
+const direction = (a, b) => {
+    const p = KEY_POSITIONS.get(a);
+    const q = KEY_POSITIONS.get(b);
+    return `${Math.sign(q.x - p.x)},${q.y - p.y}`;
+};
+
+/**
+ * Find years and calendar dates (e.g., "1987", "31/12/1999", "12311999").
+ * 
+ * @param {string} password - The password.
+ * @returns {Object[]} The date matches.
+ */
+const dateMatches = (password) => {
+    const matches = [];
+    const yearRe = /(19\d\d|20\d\d)/g;
+    const dateRe = /(\d{1,2})([-/._ ]?)(\d{1,2})\2(\d{4}|\d{2})/g;
+    let m;
+
+    while ((m = yearRe.exec(password)) !== null) {
+        matches.push({ pattern: "date", i: m.index, j: m.index + 3, entropy: Math.log2(200) });
+    }
+
+    for (let start = 0; start < password.length; start++) {
+        dateRe.lastIndex = start;
+        m = dateRe.exec(password);
+        if (!m || m.index !== start) continue;
+
+        const [whole, a, sep, b, year] = m;
+        const day = Number(a);
+        const month = Number(b);
+        const valid = (day >= 1 && day <= 31 && month >= 1 && month <= 12)
+            || (month >= 1 && month <= 31 && day >= 1 && day <= 12);
+        const validYear = year.length === 2 || /^(19|20)/.test(year);
+
+        if (valid && validYear) {
+            const entropy = Math.log2(31 * 12 * (year.length === 4 ? 200 : 100)) + (sep ? 2 : 0);
+            matches.push({ pattern: "date", i: m.index, j: m.index + whole.length - 1, entropy });
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Work out the cheapest way to guess the whole password from the matches found,
+ * guessing any characters not covered by a match one at a time.
+ * 
+ * @param {string} password - The password.
+ * @param {Object[]} matches - The pattern matches.
+ * @param {number} charBits - Bits needed to guess a single random character.
+ * @returns {{ entropy: number, used: Object[] }} The total entropy and the matches it uses.
+ */
+const minimumEntropy = (password, matches, charBits) => {
+    const n = password.length;
+    const best = new Array(n + 1).fill(Infinity);
+    const via = new Array(n + 1).fill(null);
+    best[0] = 0;
+
+    const byEnd = new Map();
+    for (const m of matches) {
+        if (!byEnd.has(m.j)) byEnd.set(m.j, []);
+        byEnd.get(m.j).push(m);
+    }
+
+    for (let k = 1; k <= n; k++) {
+        best[k] = best[k - 1] + charBits;
+
+        for (const m of byEnd.get(k - 1) ?? []) {
+            const cost = best[m.i] + m.entropy;
+
+            if (cost < best[k]) {
+                best[k] = cost;
+                via[k] = m;
+            }
+        }
+    }
+
+    const used = [];
+
+    for (let k = n; k > 0;) {
+        const m = via[k];
+
+        if (m) {
+            used.unshift(m);
+            k = m.i;
+        } else {
+            k--;
+        }
+    }
+
+    return { entropy: best[n], used };
+};
+
+/**
+ * Estimate the size of the character pool a string was drawn from.
+ * 
+ * @param {string} s - The string.
+ * @returns {number} The pool size.
+ */
+const charPool = (s) => {
+    let pool = 0;
+    if (/[a-z]/.test(s)) pool += 26;
+    if (/[A-Z]/.test(s)) pool += 26;
+    if (/\d/.test(s)) pool += 10;
+    if (/[^A-Za-z0-9]/.test(s)) pool += 33;
+    return Math.max(pool, 1);
+};
+
+/**
+ * Number of ways to choose k items from n.
+ * 
+ * @param {number} n - The number of items.
+ * @param {number} k - The number to choose.
+ * @returns {number} The binomial coefficient.
+ */
+const combinations = (n, k) => {
+    if (k < 0 || k > n) return 0;
+
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+    return result;
+};
\ No newline at end of file
@@ -0,0 +1,273 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { escapeHTML, unescapeHTML } from './escapeHTML.js';
+import { sanitizeURL } from '../core/sanitizeURL.js';
+
+/**
+ * @typedef {Object} SanitizePolicy
+ * @property {Object.<string, string[]>} [tags] - The allowed tags, each mapped to its allowed attributes.
+ *                                               Tags that are not listed are removed, but their content is kept.
+ * @property {string[]} [dropContent] - Tags that are removed together with their content (e.g., "script").
+ * @property {string[]} [urlAttributes] - Attributes holding a URL, which are checked with {@link sanitizeURL}.
+ * @property {string[]} [protocols] - The URL schemes allowed in URL attributes.
+ * @property {boolean} [allowRelative] - True to allow relative URLs in URL attributes.
+ * @property {string|null} [rel] - The `rel` value forced on every link (null to leave links alone).
+ */
+
+/**
+ * The default policy, suited to posts written in a rich-text editor: basic formatting, links,
+ * images, quotes, code, lists and tables.
+ * 
+ * @type {SanitizePolicy}
+ */
+export const FORUM_POST_POLICY = Object.freeze({
+    tags: Object.freeze({
+        a: ["href", "title"],
+        b: [], strong: [], i: [], em: [], u: [], s: [], del: [], ins: [], sub: [], sup: [], small: [], mark: [],
+        p: [], br: [], hr: [], div: [], span: [],
+        h2: [], h3: [], h4: [], h5: [], h6: [],
+        blockquote: ["cite"], code: [], pre: [],
+        ul: [], ol: ["start"], li: [],
+        img: ["src", "alt", "title", "width", "height"],
+        table: [], thead: [], tbody: [], tr: [], th: ["colspan", "rowspan"], td: ["colspan", "rowspan"],
+    }),
+    dropContent: Object.freeze([
+        "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet",
+        "template", "noscript", "noembed", "textarea", "title", "svg", "math", "xmp",
+    ]),
+    urlAttributes: Object.freeze(["href", "src", "cite"]),
+    protocols: Object.freeze(["http", "https", "mailto"]),
+    allowRelative: true,
+    rel: "nofollow ugc",
+});
+
+/**
+ * Clean untrusted HTML (e.g., from a rich-text editor or an imported post) against an allowlist.
+ * 
+ * Tags and attributes that the policy does not list are removed, event handler attributes
+ * (`onclick` and friends) are always removed, and URL attributes using `javascript:`, `data:`
+ * or any other scheme outside the policy are dropped. Links get the policy's `rel` value, and
+ * unbalanced tags are closed, so the result can be inserted into a page as-is. Comments are removed.
+ * 
+ * Unlike {@link escapeHTML}, which makes all markup inert, this keeps the formatting that is allowed.
+ * 
+ * @param {string} input - The HTML to clean.
+ * @param {SanitizePolicy} [policy={}] - The policy, with each field overriding {@link FORUM_POST_POLICY}.
+ * @returns {string} The cleaned HTML.
+ * 
+ * @example
+ * sanitizeHTML('<p onclick="steal()">Hi <b>there</p><script>alert(1)</script>');
+ * // → "<p>Hi <b>there</b></p>"
+ * 
+ * sanitizeHTML('<a href="javascript:alert(1)">x</a> <a href="https://example.com">y</a>');
+ * // → '<a rel="nofollow ugc">x</a> <a href="https://example.com" rel="nofollow ugc">y</a>'
+ * 
+ * sanitizeHTML("<b>bold</b> <i>italic</i>", { tags: { b: [] } });
+ * // → "<b>bold</b> italic"
+ */
+export function sanitizeHTML(input, policy = {}) {
+    if (typeof input !== 'string') return "";
+
+    const { tags, dropContent, urlAttributes, protocols, allowRelative, rel } = { ...FORUM_POST_POLICY, ...policy };
+
+    const html = input.replace(/\u0000/g, "");
+    const out = [];
+    const open = [];
+    let i = 0;
+
+    while (i < html.length) {
+        const lt = html.indexOf("<", i);
+
+        if (lt === -1) {
+            out.push(escapeHTML(html.slice(i)));
+            break;
+        }
+
+        out.push(escapeHTML(html.slice(i, lt)));
+
+        const token = readTag(html, lt);
+
+        if (!token) {
+            out.push("&lt;");
+            i = lt + 1;
+            continue;
+        }
+
+        i = token.end;
+
+        if (token.type !== "start" && token.type !== "end") continue;
+
+        const name = token.name;
+
+        if (token.type === "start" && dropContent.includes(name)) {
+            // Skip to the matching end tag, like browsers do for raw text elements such as <script>
+            const close = find(new RegExp(`</${escapeRegExp(name)}(?=[\\s/>])[^>]*>`, "gi"), html, i);
+            i = close ? close.index + close[0].length : html.length;
+            continue;
+        }
+
+        if (!Object.hasOwn(tags, name)) continue;
+
+        if (token.type === "end") {
+            const index = open.lastIndexOf(name);
+            if (index === -1) continue;
+
+            // Close any tags left open inside this one
+            while (open.length > index) out.push(`</${open.pop()}>`);
+            continue;
+        }
+
+        const attrs = [];
+
+        for (const [attr, raw] of token.attrs) {
+            if (!tags[name].includes(attr) || attr.startsWith("on")) continue;
+            if (attr === "rel" && name === "a" && rel) continue;
+
+            let value = unescapeHTML(raw, { attribute: true });
+
+            if (urlAttributes.includes(attr)) {
+                value = sanitizeURL(value, { protocols, allowRelative });
+                if (value === null) continue;
+            }
+
+            attrs.push(` ${attr}="${escapeHTML(value, { preventDoubleEscape: false })}"`);
+        }
+
+        if (name === "a" && rel) attrs.push(` rel="${escapeHTML(rel, { preventDoubleEscape: false })}"`);
+
+        // Some tags end the previous one implicitly, e.g., "<li>one<li>two"
+        while (open.length > 0 && IMPLIED_END[name]?.includes(open[open.length - 1])) out.push(`</${open.pop()}>`);
+
+        out.push(`<${name}${attrs.join("")}>`);
+        if (!VOID_TAGS.has(name)) open.push(name);
+    }
+
+    while (open.length > 0) out.push(`</${open.pop()}>`);
+
+    return out.join("");
+}
+
+/**
+ * Create a reusable sanitizer bound to a specific policy.
+ * 
+ * @param {SanitizePolicy} [policy={}] - Same policy as {@link sanitizeHTML}.
+ * @returns {(input: string) => string} A function that sanitizes HTML with the given policy.
+ * 
+ * @example
+ * const sanitizeSignature = createHTMLSanitizer({ tags: { b: [], i: [], a: ["href"] } });
+ * sanitizeSignature('<img src="huge.gif"><b>Sam</b>'); // → "<b>Sam</b>"
+ */
+export function createHTMLSanitizer(policy = {}) {
+    return (input) => sanitizeHTML(input, policy);
+}
+
+/**
+ * Elements that have no content and no end tag.
+ */
+const VOID_TAGS = new Set(["area", "br", "col", "embed", "hr", "img", "input", "source", "track", "wbr"]);
+
+/**
+ * Open tags that a start tag closes, as browsers do when parsing lists, paragraphs and tables.
+ */
+const IMPLIED_END = {
+    li: ["li"],
+    p: ["p"],
+    tr: ["td", "th", "tr"],
+    td: ["td", "th"],
+    th: ["td", "th"],
+};
+
+/**
+ * Read the markup starting at a "<": a start or end tag, a comment, or a declaration.
+ * Follows the browser's tokenizer closely enough that what we see as text is text to the browser too.
+ * 
+ * @param {string} html - The HTML.
+ * @param {number} start - The index of the "<".
+ * @returns {{ type: string, name?: string, attrs?: Array<[string, string]>, end: number }|null} The token,
+ *          or null if the "<" is plain text.
+ */
+const readTag = (html, start) => {
+    if (html.startsWith("<!--", start)) {
+        const close = find(/--!?>/g, html, start + 4);
+        return { type: "comment", end: close ? close.index + close[0].length : html.length };
+    }
+
+    if (match(/<[!?]|<\/[^a-z>]/iy, html, start)) {
+        // Declarations, processing instructions and malformed end tags are bogus comments
+        const close = html.indexOf(">", start);
+        return { type: "comment", end: close === -1 ? html.length : close + 1 };
+    }
+
+    const tag = match(/<(\/?)([a-z][^\s/>]*)/iy, html, start);
+    if (!tag) return null;
+
+    const type = tag[1] ? "end" : "start";
+    const attrs = [];
+    const attr = /[\s/]*([^\s/>][^\s/>=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]*)))?|[\s/]*>/y;
+    let i = start + tag[0].length;
+
+    while (i < html.length) {
+        attr.lastIndex = i;
+        const m = attr.exec(html);
+        if (!m) return null;
+
+        i = attr.lastIndex;
+
+        if (m[0].endsWith(">") && m[1] === undefined) {
+            return { type, name: tag[2].toLowerCase(), attrs, end: i };
+        }
+
+        const name = m[1].toLowerCase();
+
+        // The first occurrence of an attribute wins, as in browsers
+        if (!attrs.some(([n]) => n === name)) attrs.push([name, m[2] ?? m[3] ?? m[4] ?? ""]);
+    }
+
+    return null;
+};
+
+/**
+ * Run a global regular expression from a position. The search runs on the original string,
+ * since lowercasing it first can change its length (e.g., "İ") and shift every index after.
+ * 
+ * @param {RegExp} re - The expression (with the "g" flag).
+ * @param {string} text - The text to search.
+ * @param {number} from - The index to start at.
+ * @returns {RegExpExecArray|null} The first match at or after the index.
+ */
+const find = (re, text, from) => {
+    re.lastIndex = from;
+    return re.exec(text);
+};
+
+/**
+ * Match a sticky regular expression exactly at a position, without slicing the text.
+ * 
+ * @param {RegExp} re - The expression (with the "y" flag).
+ * @param {string} text - The text.
+ * @param {number} at - The index to match at.
+ * @returns {RegExpExecArray|null} The match.
+ */
+const match = (re, text, at) => {
+    re.lastIndex = at;
+    return re.exec(text);
+};
+
+/**
+ * Escape a string for use in a regular expression.
+ * 
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
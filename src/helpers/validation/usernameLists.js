@@ -0,0 +1,49 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+/**
+ * Names that imply authority or would clash with board routes and system accounts.
+ * Merge with the `blacklist` option of {@link validateUsername} (the username presets include it).
+ * 
+ * @type {string[]}
+ */
+export const RESERVED_USERNAMES = [
+    // Staff and authority
+    "admin", "administrator", "admins", "moderator", "moderators", "mod", "mods", "sysop", "sysadmin",
+    "root", "superuser", "system", "staff", "team", "owner", "official", "support", "helpdesk", "help",
+    "security", "abuse", "postmaster", "webmaster", "hostmaster", "billing", "legal", "info",
+    // Special accounts and placeholders
+    "anonymous", "anon", "guest", "nobody", "noreply", "no-reply", "null", "undefined", "none",
+    "unknown", "deleted", "banned", "bot", "everyone", "here", "all", "me", "you", "test",
+    // Route-like names
+    "api", "www", "mail", "ftp", "cdn", "static", "assets", "public", "uploads", "media",
+    "login", "logout", "signin", "signout", "signup", "register", "auth", "oauth", "session",
+    "account", "settings", "profile", "profiles", "user", "users", "member", "members", "memberlist",
+    "forum", "forums", "board", "boards", "thread", "threads", "topic", "topics", "post", "posts",
+    "reply", "search", "new", "edit", "delete", "report", "inbox", "messages", "notifications",
+    "admincp", "modcp", "usercp", "dashboard", "about", "contact", "faq", "rules", "terms", "privacy",
+];
+
+/**
+ * Common profanity and slurs to keep out of usernames.
+ * Merge with the `profanity` option of {@link validateUsername} (the username presets include it).
+ * 
+ * @type {string[]}
+ */
+export const PROFANITY = [
+    "arse", "arsehole", "ass", "asshole", "bastard", "bitch", "bollocks", "bullshit", "cock", "cocksucker",
+    "crap", "cum", "cunt", "damn", "dick", "dickhead", "dildo", "douche", "douchebag", "fag", "faggot",
+    "fuck", "fucker", "fucking", "goddamn", "jackass", "jizz", "kike", "motherfucker", "nazi", "nigga",
+    "nigger", "penis", "piss", "porn", "prick", "pussy", "rape", "rapist", "retard", "shit", "shithead",
+    "slut", "spic", "tits", "twat", "vagina", "wank", "wanker", "whore",
+];
@@ -11,22 +11,428 @@
  * root directory.
  */
 
+import { promises as dns } from 'node:dns';
+import { domainToASCII, domainToUnicode } from 'node:url';
+import { DataStore } from '../system/datastore/datastore.js';
+import { DISPOSABLE_DOMAINS } from './disposableDomains.js';
+
+/**
+ * @typedef {Object} EmailOptions
+ * @property {boolean} [allowQuoted=true] - Allow quoted local parts (e.g., "john doe"@example.com).
+ * @property {boolean} [allowUnicodeLocal=false] - Allow non-ASCII characters in the local part (RFC 6531).
+ * @property {boolean} [allowIpLiteral=false] - Allow IP address literals as the domain (e.g., user@[192.0.2.1]).
+ * @property {boolean} [requireTld=true] - Require the domain to have at least two labels and a non-numeric TLD.
+ * @property {boolean} [blockDisposable=false] - Reject addresses at disposable (throwaway) email domains.
+ * @property {string[]|Set<string>} [disposableDomains] - Disposable domains to block (defaults to the bundled list).
+ * 
+ * @typedef {Object} MailDomainOptions
+ * @property {Object} [resolver] - DNS resolver with `resolveMx`, `resolve4` and `resolve6` methods
+ *                                 (defaults to Node's `dns.promises`; inject a stub in tests).
+ * @property {DataStore|Object} [store] - A DataStore or adapter to cache lookups in (omit to not cache).
+ * @property {number} [cacheTtl=3600000] - How long to cache lookups in milliseconds (default is 1 hour).
+ * @property {string} [prefix="email:mx"] - Namespace used for the cached lookups (the store's separator nests namespaces).
+ * 
+ * @typedef {Object} MailDomainResult
+ * @property {boolean} ok - True if the domain can receive mail.
+ * @property {"mx"|"a"|"aaaa"|null} via - The kind of record mail would be delivered by.
+ * @property {string} [error] - The failure reason code ("no_mail_servers" or "dns_lookup_failed").
+ * 
+ * @typedef {Object} EmailResult
+ * @property {boolean} ok - True if the address is valid.
+ * @property {string[]} reasons - List of failure codes (see {@link formatReasons} for human-readable messages).
+ * @property {string} local - The local part (before the "@").
+ * @property {string} domain - The domain in lowercase ASCII (IDNs are converted to punycode).
+ * @property {string} unicodeDomain - The domain in lowercase Unicode (for display).
+ * @property {string} normalized - The canonical address for duplicate-account detection (provider aliases removed),
+ *                                 or an empty string if the address is invalid.
+ */
+
 /**
  * Validate whether a string is a properly formatted email address.
  * 
  * @param {string} email - The email address to validate.
+ * @param {EmailOptions} [options={}] - Options for validating (see {@link parseEmail}).
  * @returns {boolean} True if valid, false if not.'
  * 
  * @example
  * validateEmail("user@example.com") // → true
  * validateEmail("bad@") // → false
  */
-export function validateEmail(email) {
-    if (typeof email !== 'string') return false;
+export function validateEmail(email, options = {}) {
+    return parseEmail(email, options).ok;
+}
+
+/**
+ * Validate an email address against RFC 5321/5322 and break it into its parts.
+ * 
+ * Checks the local part (dot-atom or quoted string, at most 64 octets), the domain (IDNs converted
+ * to punycode, labels of at most 63 octets without leading or trailing hyphens, at most 253 octets)
+ * and the whole address (at most 254 octets).
+ * 
+ * The `normalized` address lowercases the address and removes provider-specific aliases, so that
+ * "J.Doe+forum@GoogleMail.com" and "jdoe@gmail.com" are recognized as the same account.
+ * 
+ * @param {string} email - The email address to validate.
+ * @param {EmailOptions} [options={}] - Options for validating.
+ * @returns {EmailResult} The result.
+ * 
+ * @example
+ * parseEmail("J.Doe+forum@GoogleMail.com");
+ * // → { ok: true, reasons: [], local: "J.Doe+forum", domain: "googlemail.com", normalized: "jdoe@gmail.com", ... }
+ * 
+ * parseEmail("user@bücher.de").domain; // → "xn--bcher-kva.de"
+ * parseEmail("john..doe@example.com").reasons; // → ["local_invalid"]
+ */
+export function parseEmail(email, options = {}) {
+    if (typeof email !== 'string') {
+        return emailResult(["not_a_string"], "", "", "");
+    }
+
+    const {
+        allowQuoted = true,
+        allowUnicodeLocal = false,
+        allowIpLiteral = false,
+        requireTld = true,
+        blockDisposable = false,
+        disposableDomains = DISPOSABLE_DOMAINS,
+    } = options;
+
     const trimmed = email.trim();
+    const at = trimmed.lastIndexOf("@");
+
+    if (at === -1) {
+        return emailResult(["missing_at"], trimmed, "", "");
+    }
+
+    const local = trimmed.slice(0, at);
+    const rawDomain = trimmed.slice(at + 1);
+    const reasons = [];
+
+    // Check the local part
+    if (local === "") reasons.push("local_empty");
+    else if (!validLocal(local, allowQuoted, allowUnicodeLocal)) reasons.push("local_invalid");
+    if (octets(local) > 64) reasons.push("local_too_long");
+
+    // Check the domain
+    let domain = "";
+
+    if (rawDomain === "") {
+        reasons.push("domain_empty");
+    } else if (rawDomain.startsWith("[")) {
+        domain = rawDomain.toLowerCase();
+        if (!allowIpLiteral) reasons.push("ip_literal");
+        else if (!validIpLiteral(domain)) reasons.push("domain_invalid");
+    } else {
+        domain = domainToASCII(rawDomain.toLowerCase());
+
+        if (!domain) {
+            reasons.push("domain_invalid");
+        } else {
+            reasons.push(...domainReasons(domain, requireTld));
+
+            if (blockDisposable && isListed(disposableDomains, domain)) {
+                reasons.push("disposable_domain");
+            }
+        }
+    }
+
+    if (octets(local) + 1 + octets(domain || rawDomain) > 254) reasons.push("address_too_long");
+
+    return emailResult(reasons, local, domain, domain.startsWith("[") ? domain : domainToUnicode(domain));
+}
+
+/**
+ * Validate an email address with {@link parseEmail}, then check that its domain can receive mail.
+ * 
+ * The domain must have MX records, or (as the implicit MX of RFC 5321) A or AAAA records. Domains that
+ * publish a "null MX" (RFC 7505) or have no records fail with "no_mail_servers"; DNS errors such as
+ * timeouts fail with "dns_lookup_failed" and are not cached.
+ * 
+ * @param {string} email - The email address to validate.
+ * @param {EmailOptions & MailDomainOptions} [options={}] - Options for validating and for the DNS check.
+ * @returns {Promise<EmailResult>} A promise that resolves to the result.
+ * 
+ * @example
+ * const result = await validateEmailAsync("user@example.com", { store });
+ * if (result.reasons.includes("no_mail_servers")) reply("That domain cannot receive email.");
+ * 
+ * // In tests
+ * const resolver = { resolveMx: async () => [], resolve4: async () => ["192.0.2.1"], resolve6: async () => [] };
+ * await validateEmailAsync("user@example.com", { resolver }); // → { ok: true, ... }
+ */
+export async function validateEmailAsync(email, options = {}) {
+    const result = parseEmail(email, options);
+    if (!result.ok || result.domain.startsWith("[")) return result;
+
+    const check = await checkMailDomain(result.domain, options);
+    if (check.ok) return result;
+
+    return emailResult([check.error], result.local, result.domain, result.unicodeDomain);
+}
+
+/**
+ * Check that a domain can receive mail: MX records first, then A and AAAA records.
+ * 
+ * @param {string} domain - The ASCII domain to check.
+ * @param {MailDomainOptions} [options={}] - Options for the DNS check.
+ * @returns {Promise<MailDomainResult>} A promise that resolves to the result.
+ * 
+ * @example
+ * await checkMailDomain("example.com"); // → { ok: true, via: "mx" }
+ */
+export async function checkMailDomain(domain, options = {}) {
+    const { resolver = dns, store, cacheTtl = 60 * 60 * 1000, prefix = "email:mx" } = options;
+    const base = store instanceof DataStore || !store ? store : new DataStore(store);
+    const cache = base ? prefix.split(base.separator).reduce((ns, name) => ns.namespace(name), base) : null;
+    const key = domain.toLowerCase();
+
+    if (cache) {
+        const cached = await cache.get(key);
+        if (cached) return cached;
+    }
+
+    let result;
+
+    try {
+        result = await lookupMailDomain(resolver, key);
+    } catch {
+        return { ok: false, via: null, error: "dns_lookup_failed" };
+    }
+
+    if (cache) await cache.set(key, result, { ttl: cacheTtl });
+    return result;
+}
+
+/**
+ * Providers whose addresses have aliases, mapped to how to canonicalize them.
+ * - domain: the canonical domain for the provider.
+ * - dots: true if dots in the local part are ignored.
+ * - tag: the character that starts a sub-address tag (everything after it is ignored).
+ */
+const PROVIDERS = {
+    "gmail.com": { domain: "gmail.com", dots: true, tag: "+" },
+    "googlemail.com": { domain: "gmail.com", dots: true, tag: "+" },
+    "outlook.com": { tag: "+" },
+    "hotmail.com": { tag: "+" },
+    "live.com": { tag: "+" },
+    "msn.com": { tag: "+" },
+    "icloud.com": { tag: "+" },
+    "me.com": { domain: "icloud.com", tag: "+" },
+    "mac.com": { domain: "icloud.com", tag: "+" },
+    "fastmail.com": { tag: "+" },
+    "proton.me": { tag: "+" },
+    "protonmail.com": { tag: "+" },
+    "pm.me": { tag: "+" },
+    "yahoo.com": { tag: "-" },
+    "ymail.com": { tag: "-" },
+};
+
+/**
+ * Characters allowed in an unquoted local part (RFC 5322 atext).
+ */
+const ATEXT = "A-Za-z0-9!#$%&'*+/=?^_`{|}~-";
+
+/**
+ * Build an email result, including the normalized address when the address is valid.
+ * 
+ * @param {string[]} reasons - The failure codes.
+ * @param {string} local - The local part.
+ * @param {string} domain - The ASCII domain.
+ * @param {string} unicodeDomain - The Unicode domain.
+ * @returns {EmailResult} The result.
+ */
+const emailResult = (reasons, local, domain, unicodeDomain) => {
+    const ok = reasons.length === 0;
 
-    // This is inspired by RFC 5322
-    const pattern = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+    return {
+        ok,
+        reasons,
+        local,
+        domain,
+        unicodeDomain,
+        normalized: ok ? normalizeAddress(local, domain) : "",
+    };
+};
 
-    return pattern.test(trimmed);
-}
\ No newline at end of file
+/**
+ * Check if a local part is a valid dot-atom or quoted string.
+ * 
+ * @param {string} local - The local part.
+ * @param {boolean} allowQuoted - Whether quoted strings are allowed.
+ * @param {boolean} allowUnicode - Whether non-ASCII characters are allowed.
+ * @returns {boolean} True if valid, false if not.
+ */
+const validLocal = (local, allowQuoted, allowUnicode) => {
+    const extra = allowUnicode ? "\\u0080-\\u{10FFFF}" : "";
+
+    if (local.startsWith('"')) {
+        if (!allowQuoted) return false;
+        const quoted = new RegExp(`^"(?:[\\x20\\x21\\x23-\\x5B\\x5D-\\x7E${extra}]|\\\\[\\x20-\\x7E])*"$`, "u");
+        return quoted.test(local);
+    }
+
+    const atom = new RegExp(`^[${extra}${ATEXT}]+$`, "u");
+    return local.split(".").every((part) => atom.test(part));
+};
+
+/**
+ * Check an ASCII domain name and return the reasons it is invalid.
+ * 
+ * @param {string} domain - The lowercase ASCII domain.
+ * @param {boolean} requireTld - Whether at least two labels and a non-numeric TLD are required.
+ * @returns {string[]} The failure codes (empty if valid).
+ */
+const domainReasons = (domain, requireTld) => {
+    const reasons = [];
+    const labels = domain.split(".");
+
+    if (domain.length > 253) reasons.push("domain_too_long");
+    if (labels.some((label) => label.length > 63)) reasons.push("label_too_long");
+
+    if (labels.some((label) => !/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/.test(label))) {
+        reasons.push("domain_invalid");
+    } else if (requireTld && (labels.length < 2 || /^\d+$/.test(labels[labels.length - 1]))) {
+        reasons.push("no_tld");
+    }
+
+    return reasons;
+};
+
+/**
+ * Check if a domain literal holds a valid IPv4 or IPv6 address (e.g., "[192.0.2.1]" or "[ipv6:2001:db8::1]").
+ * 
+ * @param {string} literal - The lowercase domain literal, including brackets.
+ * @returns {boolean} True if valid, false if not.
+ */
+const validIpLiteral = (literal) => {
+    const inner = literal.slice(1, -1);
+    if (!literal.endsWith("]")) return false;
+
+    if (inner.startsWith("ipv6:")) {
+        return isIPv6(inner.slice(5));
+    }
+
+    return isIPv4(inner);
+};
+
+/**
+ * Check if a string is a dotted-decimal IPv4 address.
+ * 
+ * @param {string} s - The string.
+ * @returns {boolean} True if valid, false if not.
+ */
+const isIPv4 = (s) => {
+    const parts = s.split(".");
+    return parts.length === 4 && parts.every((p) => /^(?:0|[1-9]\d{0,2})$/.test(p) && Number(p) <= 255);
+};
+
+/**
+ * Check if a string is an IPv6 address (including "::" compression and an embedded IPv4 tail).
+ * 
+ * @param {string} s - The string.
+ * @returns {boolean} True if valid, false if not.
+ */
+const isIPv6 = (s) => {
+    const halves = s.split("::");
+    if (halves.length > 2) return false;
+
+    const groups = halves.flatMap((h) => (h === "" ? [] : h.split(":")));
+    let count = groups.length;
+
+    if (groups.length > 0 && groups[groups.length - 1].includes(".")) {
+        if (!isIPv4(groups.pop())) return false;
+        count++;
+    }
+
+    if (!groups.every((g) => /^[0-9a-f]{1,4}$/.test(g))) return false;
+    return halves.length === 2 ? count < 8 : count === 8;
+};
+
+/**
+ * Check if a domain (or any of its parent domains) is in a list.
+ * 
+ * @param {string[]|Set<string>} list - The domains.
+ * @param {string} domain - The lowercase ASCII domain.
+ * @returns {boolean} True if listed, false if not.
+ */
+const isListed = (list, domain) => {
+    const set = list instanceof Set ? list : new Set(Array.from(list, (d) => String(d).toLowerCase()));
+    const labels = domain.split(".");
+
+    for (let i = 0; i < labels.length - 1; i++) {
+        if (set.has(labels.slice(i).join("."))) return true;
+    }
+
+    return false;
+};
+
+/**
+ * Build the canonical form of an address for duplicate-account detection.
+ * 
+ * @param {string} local - The local part.
+ * @param {string} domain - The lowercase ASCII domain.
+ * @returns {string} The normalized address.
+ */
+const normalizeAddress = (local, domain) => {
+    const provider = PROVIDERS[domain];
+    let name = local.startsWith('"') ? local : local.toLowerCase();
+
+    if (provider && !local.startsWith('"')) {
+        const tag = name.indexOf(provider.tag);
+        if (tag > 0) name = name.slice(0, tag);
+        if (provider.dots) name = name.replace(/\./g, "");
+    }
+
+    return `${name}@${provider?.domain ?? domain}`;
+};
+
+/**
+ * Look up the records a domain would receive mail by.
+ * 
+ * @param {Object} resolver - The DNS resolver.
+ * @param {string} domain - The ASCII domain.
+ * @returns {Promise<MailDomainResult>} A promise that resolves to the result (rejects on DNS errors other than missing records).
+ */
+const lookupMailDomain = async (resolver, domain) => {
+    const noMail = { ok: false, via: null, error: "no_mail_servers" };
+    const mx = await resolveOrEmpty(() => resolver.resolveMx(domain));
+
+    if (mx.length > 0) {
+        // A single MX of "." means the domain accepts no mail (RFC 7505)
+        const usable = mx.filter((r) => r.exchange && r.exchange !== ".");
+        return usable.length > 0 ? { ok: true, via: "mx" } : noMail;
+    }
+
+    if ((await resolveOrEmpty(() => resolver.resolve4(domain))).length > 0) return { ok: true, via: "a" };
+    if ((await resolveOrEmpty(() => resolver.resolve6(domain))).length > 0) return { ok: true, via: "aaaa" };
+
+    return noMail;
+};
+
+/**
+ * Run a DNS query, treating "no such domain" and "no records" as an empty answer.
+ * 
+ * @param {() => Promise<Array>} query - The query to run.
+ * @returns {Promise<Array>} A promise that resolves to the records (rejects on other DNS errors).
+ */
+const resolveOrEmpty = async (query) => {
+    try {
+        return (await query()) ?? [];
+    } catch (err) {
+        if (NO_RECORDS.includes(err?.code)) return [];
+        throw err;
+    }
+};
+
+/**
+ * DNS error codes that mean the domain or record does not exist.
+ */
+const NO_RECORDS = ["ENOTFOUND", "ENODATA", "NXDOMAIN"];
+
+/**
+ * Get the length of a string in UTF-8 octets.
+ * 
+ * @param {string} s - The string.
+ * @returns {number} The number of octets.
+ */
+const octets = (s) => Buffer.byteLength(s, 'utf8');
@@ -11,29 +11,141 @@
  * root directory.
  */
 
+import { graphemeLength, isMixedScript } from '../core/unicode.js';
+import { DataStore } from '../system/datastore/datastore.js';
+import { skeleton } from './confusables.js';
+import { RESERVED_USERNAMES, PROFANITY } from './usernameLists.js';
+
 /**
  * @typedef {Object} UsernameRules
- * @property {number} [min=1] - Minimum character length.
- * @property {number} [max=64] - Maxium character length.
+ * @property {number} [min=1] - Minimum length in user-perceived characters (an emoji or accented letter counts as one).
+ * @property {number} [max=64] - Maxium length in user-perceived characters.
  * @property {RegExp} [allowed] - Regex that the entire username must match (e.g., /^[A-Za-z0-9_-]+$/)
  * @property {RegExp} [startsWith] - Regex that must match the first character(s)
  * @property {RegExp} [endsWith] - Regex that must mtch the last character(s).
  * @property {RegExp[]} [disallow] - Array of patterns that must not appear.
- * @property {string[]|Set<string>} [blacklist] - Exact values that are forbidden.
+ * @property {string[]|Set<string>} [blacklist] - Values that are forbidden (and lookalikes of them, with `confusables`).
+ * @property {string[]|Set<string>} [profanity] - Words that are forbidden, compared case-insensitively after NFKC normalization.
+ *                                                Lookalikes are not folded here, since that turns ordinary words into
+ *                                                profanity (e.g., "click" looks like "dick" once "cl" reads as "d").
  * @property {string[]|Set<string>} [whitelist] - Exact values that are allowed (overrides other failures if matched).
+ *                                                Lookalikes of whitelisted values are not allowed by it.
+ * @property {string[]|Set<string>} [taken] - Names already in use; new names that are the same (or look alike, with `confusables`)
+ *                                           are rejected.
  * @property {string[]|Set<string>} [noConsecutive] - Characters that must not repeat consecutely (e.g., ['_', '-']).
  * @property {{name: string => string}} [normalize] - Optional transformation before checks (e.g., s => s.trim().toLowerCase()).
+ * @property {boolean} [unicodeNormalize=false] - Apply NFKC normalization before any other checks (e.g., "ｊｏｈｎ" → "john").
+ * @property {boolean} [allowMixedScript=true] - Allow names that mix scripts (false rejects e.g. Latin with Cyrillic).
+ * @property {boolean} [allowInvisible=true] - Allow invisible characters (false rejects zero-width spaces and direction overrides).
+ * @property {boolean} [confusables=false] - Also compare the blacklist and taken names by their confusable skeleton, ignoring case,
+ *                                           so lookalikes like "аdmin" (with a Cyrillic "а") are caught. This also folds letter
+ *                                           sequences that look like one letter ("rn" → "m", "cl" → "d", "vv" → "w") and the
+ *                                           digits "0" and "1" into "o" and "l", so some ordinary names collide (e.g., "clara"
+ *                                           and "dara").
  * @property {Array<name: string) => string|void|false>} [custom] - Custom validators; return a string (error message) if failing, otherwise void/false.
+ *                                                                   With {@link validateUsernameAsync} they may also return a promise.
+ * @property {UniqueRule} [unique] - Check that the name is not already claimed in a datastore (async validation only).
+ * @property {number} [timeout=5000] - Milliseconds each async validator may take before failing (async validation only).
+ * 
+ * @typedef {Object} UniqueRule
+ * @property {DataStore|Object} store - A DataStore, or any adapter meeting the adapter contract.
+ * @property {string} [prefix="usernames"] - Namespace the claimed names are stored under.
  * 
  * @typedef {Object} UsernameResult
  * @property {boolean} ok - True if all rules passed.
- * @property {string[]} reasons - List of human-readable failures.
+ * @property {string[]} reasons - List of failure codes (see {@link formatReasons} for human-readable messages).
  * @property {string} value - The normalized username (after 'normalize', if provided).
  */
 
+/**
+ * The rules that turn on every Unicode check, shared by the presets.
+ */
+const UNICODE_CHECKS = Object.freeze({
+    unicodeNormalize: true,
+    allowMixedScript: false,
+    allowInvisible: false,
+    confusables: true,
+});
+
+/**
+ * Ready-made rule sets for common username policies. All of them turn on the Unicode checks and block
+ * the bundled reserved names (and their lookalikes) and profanity; use {@link usernamePreset} to customize one.
+ * 
+ * - strictAscii: 3-20 ASCII letters, digits, "_" and "-", starting with a letter.
+ * - permissiveUnicode: 2-32 letters, digits and emoji in any single script, with " ", "_", "-" and "." as separators.
+ * - irc: nicknames that are valid on IRC (RFC 2812 characters), up to 16 characters.
+ * 
+ * @type {{ strictAscii: UsernameRules, permissiveUnicode: UsernameRules, irc: UsernameRules }}
+ */
+export const USERNAME_PRESETS = Object.freeze({
+    strictAscii: Object.freeze({
+        ...UNICODE_CHECKS,
+        min: 3,
+        max: 20,
+        allowed: /^[A-Za-z0-9_-]+$/,
+        startsWith: /^[A-Za-z]/,
+        endsWith: /[A-Za-z0-9]$/,
+        noConsecutive: Object.freeze(["_", "-"]),
+        blacklist: Object.freeze([...RESERVED_USERNAMES]),
+        profanity: Object.freeze([...PROFANITY]),
+    }),
+    permissiveUnicode: Object.freeze({
+        ...UNICODE_CHECKS,
+        min: 2,
+        max: 32,
+        normalize: (s) => s.trim(),
+        allowed: /^[\p{L}\p{M}\p{N}\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200D\uFE0F ._-]+$/u,
+        startsWith: /^[\p{L}\p{N}\p{Extended_Pictographic}]/u,
+        endsWith: /[\p{L}\p{M}\p{N}\p{Extended_Pictographic}\uFE0F]$/u,
+        noConsecutive: Object.freeze([" ", "_", "-", "."]),
+        blacklist: Object.freeze([...RESERVED_USERNAMES]),
+        profanity: Object.freeze([...PROFANITY]),
+    }),
+    irc: Object.freeze({
+        ...UNICODE_CHECKS,
+        min: 1,
+        max: 16,
+        allowed: /^[A-Za-z0-9[\]\\`_^{|}-]+$/,
+        startsWith: /^[A-Za-z[\]\\`_^{|}]/,
+        blacklist: Object.freeze([...RESERVED_USERNAMES]),
+        profanity: Object.freeze([...PROFANITY]),
+    }),
+});
+
+/**
+ * Get a copy of a username preset with overrides applied. The `blacklist`, `profanity`, `disallow` and `custom`
+ * lists are merged with the preset's lists rather than replacing them.
+ * 
+ * @param {"strictAscii"|"permissiveUnicode"|"irc"} name - The preset name.
+ * @param {UsernameRules} [overrides={}] - Rules to change or add.
+ * @returns {UsernameRules} The rules.
+ * 
+ * @example
+ * const rules = usernamePreset("strictAscii", { max: 16, blacklist: ["retrobbs"] });
+ * validateUsername("Moderator", rules); // → { ok: false, reasons: ["blacklisted"], ... }
+ */
+export function usernamePreset(name, overrides = {}) {
+    const preset = USERNAME_PRESETS[name];
+
+    if (!preset || !Object.hasOwn(USERNAME_PRESETS, name)) {
+        throw new TypeError(`Unknown username preset: ${name}`);
+    }
+
+    const rules = { ...preset, ...overrides };
+
+    for (const key of ["blacklist", "profanity", "disallow", "custom"]) {
+        if (preset[key] && overrides[key]) rules[key] = [...preset[key], ...overrides[key]];
+    }
+
+    return rules;
+}
+
 /**
  * Validate a username against caller-supplied rules.
  * 
+ * The Unicode checks (`unicodeNormalize`, `allowMixedScript`, `allowInvisible` and `confusables`) are off
+ * unless the rules turn them on, as the {@link USERNAME_PRESETS} do.
+ * 
  * @param {string} username - The username to validate.
  * @param {UsernameRules} [rules={}] - The UsernameRules to use (omit to use default rules).
  * @returns {UsernameResult} - The UsernameResult for the given username.
@@ -56,13 +168,20 @@ export function validateUsername(username, rules = {}) {
         endsWith,
         disallow = [],
         blacklist,
+        profanity,
         whitelist,
         noConsecutive,
+        taken,
         normalize,
+        unicodeNormalize = false,
+        allowMixedScript = true,
+        allowInvisible = true,
+        confusables = false,
         custom = [],
     } = rules;
 
-    let value = normalize ? normalize(username) : username;
+    let value = unicodeNormalize ? username.normalize("NFKC") : username;
+    if (normalize) value = normalize(value);
 
     // Check the whitelist
     if (whitelist && hasExact(whitelist, value)) {
@@ -74,12 +193,17 @@ export function validateUsername(username, rules = {}) {
     }
 
     // Check the length
-    if (value.length < min)reasons.push("too_short");
-    if (value.length > max) reasons.push("too_long");
+    const length = graphemeLength(value);
+    if (length < min)reasons.push("too_short");
+    if (length > max) reasons.push("too_long");
 
     // Check for invalid characters
     if (allowed && !allowed.test(value)) reasons.push("invalid_chars");
 
+    // Check for lookalike tricks
+    if (!allowInvisible && INVISIBLE.test(value)) reasons.push("invisible_chars");
+    if (!allowMixedScript && isMixedScript(value)) reasons.push("mixed_script");
+
     // Check start and endswith
     if (startsWith && !startsWith.test(value)) reasons.push("bad_start");
     if (endsWith && !endsWith.test(value)) reasons.push("bad_end");
@@ -99,11 +223,19 @@ export function validateUsername(username, rules = {}) {
         }
     }
 
-    // Check the blacklist
-    if (blacklist && hasExact(blacklist, value)) {
+    // Check the blacklist (including lookalikes) and profanity (by the case-folded name only)
+    if (
+        (blacklist && (hasExact(blacklist, value) || (confusables && hasLookalike(blacklist, value))))
+        || (profanity && hasFolded(profanity, value))
+    ) {
         reasons.push("blacklisted");
     }
 
+    // Check names already in use
+    if (taken && (hasExact(taken, value) || (confusables && hasLookalike(taken, value)))) {
+        reasons.push("taken");
+    }
+
     // Custom validators
     for (const fn of custom) {
         try {
@@ -119,16 +251,162 @@ export function validateUsername(username, rules = {}) {
     };
 }
 
+/**
+ * Validate a username against caller-supplied rules, awaiting async custom validators and
+ * checking that the name has not been claimed (see {@link claimUsername}).
+ * 
+ * Custom validators run concurrently, and each one fails with "custom_validator_timeout" if it
+ * takes longer than `rules.timeout`, or "custom_validator_error" if it throws or rejects.
+ * 
+ * @param {string} username - The username to validate.
+ * @param {UsernameRules} [rules={}] - The UsernameRules to use (omit to use default rules).
+ * @returns {Promise<UsernameResult>} A promise that resolves to the UsernameResult for the given username.
+ * 
+ * @example
+ * const rules = { min: 3, unique: { store }, custom: [async (name) => (await isBanned(name) ? "banned" : undefined)] };
+ * const result = await validateUsernameAsync("alice", rules);
+ * if (result.ok && await claimUsername(store, result.value, { owner: user.id })) {
+ *      // The name is now reserved for this user
+ * }
+ */
+export async function validateUsernameAsync(username, rules = {}) {
+    const { custom = [], unique, timeout = 5000, ...syncRules } = rules;
+    const result = validateUsername(username, syncRules);
+
+    if (typeof username !== 'string') return result;
+    if (syncRules.whitelist && hasExact(syncRules.whitelist, result.value)) return result;
+
+    const validators = [...custom];
+
+    if (unique) {
+        validators.push(async (name) => {
+            const claimed = await isUsernameClaimed(unique.store, name, { ...unique, confusables: syncRules.confusables });
+            return claimed ? "taken" : undefined;
+        });
+    }
+
+    const outcomes = await Promise.all(validators.map((fn) => runValidator(fn, result.value, timeout)));
+
+    for (const res of outcomes) {
+        if (typeof res === 'string' && res && !result.reasons.includes(res)) result.reasons.push(res);
+    }
+
+    result.ok = result.reasons.length === 0;
+    return result;
+}
+
 /**
  * Create a reusable validator function bound to a fixed rule set.
  * 
  * @param {UsernameRules} rules - The UserName rules to use.
- * @returns {(username: string) => UsernameResult} - the UsernameResult for this validation.
+ * @param {Object} [options={}] - Options for the validator.
+ * @param {boolean} [options.async=false] - True to create an async validator using {@link validateUsernameAsync}.
+ * @returns {((username: string) => UsernameResult)|((username: string) => Promise<UsernameResult>)} - the validator function.
  */
-export function createUsernameValidator(rules) {
+export function createUsernameValidator(rules, options = {}) {
+    if (options.async) return (name) => validateUsernameAsync(name, rules);
     return (name) => validateUsername(name, rules);
 }
 
+/**
+ * Claim a username in the datastore so that it (and names that look like it) can no longer be registered.
+ * The claim is atomic when the adapter supports `setIfAbsent`, so two users racing for the same name
+ * cannot both get it.
+ * 
+ * @param {DataStore|Object} store - A DataStore, or any adapter meeting the adapter contract.
+ * @param {string} username - The (validated) username to claim.
+ * @param {Object} [options={}] - Options for claiming.
+ * @param {*} [options.owner=true] - Value stored with the claim (e.g., the user ID).
+ * @param {string} [options.prefix="usernames"] - Namespace the claimed names are stored under.
+ * @param {boolean} [options.confusables=true] - Claim by confusable skeleton, so lookalikes are claimed too. Letter
+ *                                               sequences are not folded here, so "clara" does not claim "dara".
+ * @returns {Promise<boolean>} A promise that resolves to true if the name was claimed, false if it was already taken.
+ */
+export async function claimUsername(store, username, options = {}) {
+    const names = usernameStore(store, options.prefix);
+    const key = usernameKey(username, options.confusables);
+    const owner = options.owner ?? true;
+
+    if (typeof names.adapter.setIfAbsent === 'function') {
+        return names.setIfAbsent(key, owner);
+    }
+
+    if (await names.has(key)) return false;
+    await names.set(key, owner);
+    return true;
+}
+
+/**
+ * Release a claimed username so it can be registered again (e.g., after a rename or account deletion).
+ * 
+ * @param {DataStore|Object} store - A DataStore, or any adapter meeting the adapter contract.
+ * @param {string} username - The username to release.
+ * @param {Object} [options={}] - Options for releasing (`prefix` and `confusables`, as for {@link claimUsername}).
+ * @returns {Promise<boolean>} A promise that resolves to true if a claim was removed, false otherwise.
+ */
+export async function releaseUsername(store, username, options = {}) {
+    return usernameStore(store, options.prefix).delete(usernameKey(username, options.confusables));
+}
+
+/**
+ * Check if a username (or a name that looks like it) has been claimed.
+ * 
+ * @param {DataStore|Object} store - A DataStore, or any adapter meeting the adapter contract.
+ * @param {string} username - The username to check.
+ * @param {Object} [options={}] - Options for checking (`prefix` and `confusables`, as for {@link claimUsername}).
+ * @returns {Promise<boolean>} A promise that resolves to true if the name is taken, false if it is free.
+ */
+export async function isUsernameClaimed(store, username, options = {}) {
+    return usernameStore(store, options.prefix).has(usernameKey(username, options.confusables));
+}
+
+/**
+ * Get the datastore namespace that claimed usernames are stored under.
+ * 
+ * @param {DataStore|Object} store - A DataStore, or any adapter meeting the adapter contract.
+ * @param {string} [prefix="usernames"] - The namespace.
+ * @returns {DataStore} The namespaced datastore.
+ */
+const usernameStore = (store, prefix = "usernames") => {
+    const base = store instanceof DataStore ? store : new DataStore(store);
+    return base.namespace(prefix);
+};
+
+/**
+ * Get the key a username is claimed under.
+ * 
+ * @param {string} username - The username.
+ * @param {boolean} [confusables=true] - True to use the confusable skeleton, false to use the case-folded name.
+ * @returns {string} The key.
+ */
+const usernameKey = (username, confusables = true) => {
+    return confusables ? skeleton(username) : username.normalize("NFKC").toLowerCase();
+};
+
+/**
+ * Run a custom validator, turning errors and timeouts into reason codes.
+ * 
+ * @param {(name: string) => any} fn - The validator.
+ * @param {string} value - The username.
+ * @param {number} timeout - Milliseconds the validator may take.
+ * @returns {Promise<string|void>} A promise that resolves to the validator's result or a failure reason code.
+ */
+const runValidator = async (fn, value, timeout) => {
+    let timer;
+
+    const expired = new Promise((resolve) => {
+        timer = setTimeout(() => resolve("custom_validator_timeout"), timeout);
+    });
+
+    try {
+        return await Promise.race([Promise.resolve().then(() => fn(value)), expired]);
+    } catch {
+        return "custom_validator_error";
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
 /**
  * Check if a given value exists in the array or set.
  * 
@@ -150,6 +428,59 @@ const hasExact = (listOrSet, value) => {
     return false;
 };
 
+/**
+ * Check if a value matches any value in the array or set, ignoring case and compatibility forms (NFKC).
+ * 
+ * @param {Array|Set<string>} listOrSet - An array or Set of values to check against.
+ * @param {string} value - The value to search for.
+ * @returns {boolean} True if a match exists, false if not.
+ * 
+ * @example
+ * hasFolded(["dick"], "DICK"); // → true
+ * hasFolded(["dick"], "click"); // → false
+ */
+const hasFolded = (listOrSet, value) => {
+    if (!Array.isArray(listOrSet) && !(listOrSet instanceof Set)) return false;
+
+    const target = usernameKey(value, false);
+
+    for (const item of listOrSet) {
+        if (usernameKey(item, false) === target) return true;
+    }
+
+    return false;
+};
+
+/**
+ * Check if a value looks like any value in the array or set, by comparing confusable skeletons.
+ * Letter sequences are folded too (e.g., "rn" → "m"), since a near-miss is worth rejecting when checking
+ * reserved and taken names.
+ * 
+ * @param {Array|Set<string>} listOrSet - An array or Set of values to check against.
+ * @param {string} value - The value to search for.
+ * @returns {boolean} True if a lookalike exists, false if not.
+ * 
+ * @example
+ * hasLookalike(["admin"], "аdmin"); // → true (the first "а" is Cyrillic)
+ */
+const hasLookalike = (listOrSet, value) => {
+    if (!Array.isArray(listOrSet) && !(listOrSet instanceof Set)) return false;
+
+    const target = skeleton(value, { sequences: true });
+
+    for (const item of listOrSet) {
+        if (skeleton(item, { sequences: true }) === target) return true;
+    }
+
+    return false;
+};
+
+/**
+ * Invisible characters (zero-width, direction overrides and other default-ignorables), except the
+ * zero-width joiner and variation selectors that emoji sequences depend on.
+ */
+const INVISIBLE = /(?![\u200D\uFE0E\uFE0F])\p{Default_Ignorable_Code_Point}/u;
+
 /**
  * Escape special characters in a string so it can be safely inserted
  * into a regular expression pattern.
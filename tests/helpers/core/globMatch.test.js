@@ -0,0 +1,55 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { globMatch, globEscape } from "../../../src/helpers/core/globMatch";
+
+/**
+ * Unit tests for the core/globMatch helpers.
+ */
+describe("globMatch()", () => {
+    it("matches * against any sequence", () => {
+        expect(globMatch("user:*", "user:42")).toBe(true);
+        expect(globMatch("user:*", "user:")).toBe(true);
+        expect(globMatch("user:*", "users:1")).toBe(false);
+        expect(globMatch("*:typing", "thread:42:typing")).toBe(true);
+    });
+
+    it("matches ? against a single character", () => {
+        expect(globMatch("thread:4?", "thread:42")).toBe(true);
+        expect(globMatch("thread:4?", "thread:4")).toBe(false);
+    });
+
+    it("supports character classes, ranges and negation", () => {
+        expect(globMatch("h[ae]llo", "hallo")).toBe(true);
+        expect(globMatch("h[ae]llo", "hillo")).toBe(false);
+        expect(globMatch("id:[0-9]", "id:7")).toBe(true);
+        expect(globMatch("id:[^0-9]", "id:7")).toBe(false);
+        expect(globMatch("id:[!0-9]", "id:x")).toBe(true);
+    });
+
+    it("treats regex characters and escaped glob characters literally", () => {
+        expect(globMatch("a.b", "axb")).toBe(false);
+        expect(globMatch("a.b", "a.b")).toBe(true);
+        expect(globMatch("a\\*b", "a*b")).toBe(true);
+        expect(globMatch("a\\*b", "axb")).toBe(false);
+        expect(globMatch("[oops", "[oops")).toBe(true);
+    });
+
+    it("escapes strings so they match themselves", () => {
+        const s = "sessions:[1]*?\\";
+        expect(globMatch(globEscape(s), s)).toBe(true);
+        expect(globMatch(globEscape(s) + "*", `${s}abc`)).toBe(true);
+        expect(globMatch(globEscape(s), "sessions:1x?\\")).toBe(false);
+    });
+});
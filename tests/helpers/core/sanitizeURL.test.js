@@ -0,0 +1,48 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { sanitizeURL } from "../../../src/helpers/core/sanitizeURL";
+
+/**
+ * Unit tests for the sanitizeURL helper.
+ */
+describe("sanitizeURL()", () => {
+    it("allows http, https, mailto and relative URLs", () => {
+        expect(sanitizeURL("https://example.com")).toBe("https://example.com");
+        expect(sanitizeURL("mailto:sam@example.com")).toBe("mailto:sam@example.com");
+        expect(sanitizeURL("/thread/42#post-7")).toBe("/thread/42#post-7");
+        expect(sanitizeURL("//cdn.example.com/a.png")).toBe("//cdn.example.com/a.png");
+    });
+
+    it("rejects dangerous schemes, however they are disguised", () => {
+        expect(sanitizeURL("javascript:alert(1)")).toBeNull();
+        expect(sanitizeURL("  JaVaScRiPt:alert(1)")).toBeNull();
+        expect(sanitizeURL("java\tscript:alert(1)")).toBeNull();
+        expect(sanitizeURL("\u0000javascript:alert(1)")).toBeNull();
+        expect(sanitizeURL("vbscript:msgbox(1)")).toBeNull();
+        expect(sanitizeURL("data:text/html;base64,PHNjcmlwdD4=")).toBeNull();
+    });
+
+    it("respects the allowed protocols and relative option", () => {
+        expect(sanitizeURL("mailto:a@b.c", { protocols: ["https"] })).toBeNull();
+        expect(sanitizeURL("/x", { allowRelative: false })).toBeNull();
+        expect(sanitizeURL("//evil.example", { allowRelative: false })).toBeNull();
+    });
+
+    it("encodes spaces and rejects empty or non-string input", () => {
+        expect(sanitizeURL("https://example.com/a b")).toBe("https://example.com/a%20b");
+        expect(sanitizeURL("   ")).toBeNull();
+        expect(sanitizeURL(42)).toBeNull();
+    });
+});
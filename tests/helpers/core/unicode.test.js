@@ -0,0 +1,50 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { graphemes, graphemeLength, getScripts, isMixedScript } from "../../../src/helpers/core/unicode";
+
+/**
+ * Unit tests for the grapheme helpers.
+ */
+describe("graphemes()", () => {
+    it("splits text into user-perceived characters", () => {
+        expect(graphemes("é👍🏽a")).toEqual(["é", "👍🏽", "a"]);
+    });
+
+    it("counts emoji sequences as one character", () => {
+        expect(graphemeLength("👨‍👩‍👧")).toBe(1);
+        expect(graphemeLength("🇬🇧🇺🇸")).toBe(2);
+        expect(graphemeLength("")).toBe(0);
+    });
+});
+
+/**
+ * Unit tests for the script detection helpers.
+ */
+describe("getScripts()", () => {
+    it("returns the scripts used, ignoring shared characters", () => {
+        expect([...getScripts("pаypal")]).toEqual(["Latin", "Cyrillic"]);
+        expect([...getScripts("bob_123!")]).toEqual(["Latin"]);
+        expect(getScripts("123").size).toBe(0);
+    });
+
+    it("detects unusual script mixes", () => {
+        expect(isMixedScript("аdmin")).toBe(true);
+        expect(isMixedScript("Αlex")).toBe(true);
+        expect(isMixedScript("admin")).toBe(false);
+        expect(isMixedScript("東京tokyoとうきょう")).toBe(false);
+        expect(isMixedScript("서울seoul")).toBe(false);
+        expect(isMixedScript("서울とうきょう")).toBe(true);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { parseBBCode, renderBBCode, createBBCodeRenderer } from "../../../src/helpers/formatting/bbcode";
+
+/**
+ * Unit tests for the BBCode parser.
+ */
+describe("parseBBCode()", () => {
+    it("builds a tree of tags and text", () => {
+        expect(parseBBCode("[b]Hi[/b] there")).toEqual({
+            type: "root",
+            children: [
+                { type: "tag", name: "b", attr: null, children: [{ type: "text", value: "Hi" }] },
+                { type: "text", value: " there" },
+            ],
+        });
+    });
+
+    it("reads quoted and unquoted attributes", () => {
+        expect(parseBBCode("[quote=\"Sam Wilcox\"]x[/quote]").children[0].attr).toBe("Sam Wilcox");
+        expect(parseBBCode("[QUOTE=sam]x[/QUOTE]").children[0]).toMatchObject({ name: "quote", attr: "sam" });
+    });
+
+    it("keeps unknown and stray tags as text", () => {
+        expect(parseBBCode("[foo]x[/foo] [/b]").children).toEqual([{ type: "text", value: "[foo]x[/foo] [/b]" }]);
+    });
+
+    it("does not parse tags inside code", () => {
+        const code = parseBBCode("[code][b]x[/b][/code]").children[0];
+        expect(code.children).toEqual([{ type: "text", value: "[b]x[/b]" }]);
+    });
+
+    it("finds the end of code when the text changes length when lowercased", () => {
+        const [code, bold] = parseBBCode("[code]İİİİ[/CODE][b]x[/b]").children;
+        expect(code.children).toEqual([{ type: "text", value: "İİİİ" }]);
+        expect(bold).toMatchObject({ name: "b", children: [{ type: "text", value: "x" }] });
+    });
+
+    it("reopens formatting tags closed out of order", () => {
+        expect(renderBBCode("[b][i]x[/b]y[/i]")).toBe("<strong><em>x</em></strong><em>y</em>");
+        expect(renderBBCode("[b][i]x[/b][/i]")).toBe("<strong><em>x</em></strong>");
+    });
+
+    it("closes unclosed tags at the end", () => {
+        expect(renderBBCode("[b]bold [i]both")).toBe("<strong>bold <em>both</em></strong>");
+        expect(renderBBCode("[code]<b>")).toBe("<pre><code>&lt;b&gt;</code></pre>");
+    });
+
+    it("leaves tags nested beyond the maximum depth as text", () => {
+        expect(renderBBCode("[b][i][u]x", { maxDepth: 2 })).toBe("<strong><em>[u]x</em></strong>");
+    });
+});
+
+/**
+ * Unit tests for the BBCode renderer.
+ */
+describe("renderBBCode()", () => {
+    it("renders basic formatting and escapes text", () => {
+        expect(renderBBCode("[b]a[/b][i]b[/i][u]c[/u][s]d[/s] <script>&"))
+            .toBe("<strong>a</strong><em>b</em><u>c</u><s>d</s> &lt;script&gt;&amp;");
+    });
+
+    it("converts line breaks", () => {
+        expect(renderBBCode("a\nb")).toBe("a<br>\nb");
+        expect(renderBBCode("a\nb", { breaks: false })).toBe("a\nb");
+    });
+
+    it("renders links and rejects dangerous URLs", () => {
+        expect(renderBBCode("[url]https://example.com/?a=1&b=2[/url]"))
+            .toBe('<a href="https://example.com/?a=1&amp;b=2" rel="nofollow ugc noopener">https://example.com/?a=1&amp;b=2</a>');
+        expect(renderBBCode("[url=/thread/1]go[/url]")).toBe('<a href="/thread/1" rel="nofollow ugc noopener">go</a>');
+        expect(renderBBCode("[url=javascript:alert(1)]click[/url]")).toBe("click");
+        expect(renderBBCode("[url]java\tscript:alert(1)[/url]")).not.toContain("<a");
+        expect(renderBBCode("[url=data:text/html,x]x[/url]")).toBe("x");
+    });
+
+    it("does not nest links", () => {
+        expect(renderBBCode("[url=http://a][url=http://b]x[/url][/url]")).toBe('<a href="http://a" rel="nofollow ugc noopener">x</a>');
+        expect(renderBBCode("[url=http://a][b][url=http://b]x[/url][/b] y[/url] [url=http://c]z[/url]")).toBe(
+            '<a href="http://a" rel="nofollow ugc noopener"><strong>x</strong> y</a> <a href="http://c" rel="nofollow ugc noopener">z</a>'
+        );
+    });
+
+    it("renders images from http(s) URLs only", () => {
+        expect(renderBBCode("[img=100x50]https://example.com/a.png[/img]"))
+            .toBe('<img src="https://example.com/a.png" alt="" width="100" height="50" loading="lazy">');
+        expect(renderBBCode("[img]javascript:alert(1)[/img]")).toBe("javascript:alert(1)");
+        expect(renderBBCode('[img]https://e.com/a.png" onerror="alert(1)[/img]')).not.toMatch(/" onerror/);
+    });
+
+    it("renders quotes with an escaped author", () => {
+        expect(renderBBCode("[quote=<b>Sam</b>]\nHello\n[/quote]\nafter"))
+            .toBe('<blockquote class="bbcode-quote"><cite>&lt;b&gt;Sam&lt;/b&gt;</cite>Hello</blockquote>after');
+    });
+
+    it("renders code blocks with a language", () => {
+        expect(renderBBCode("[code=js]\nlet a = 1 < 2;\n[/code]"))
+            .toBe('<pre><code class="language-js">let a = 1 &lt; 2;\n</code></pre>');
+        expect(renderBBCode('[code="><script>]x[/code]')).toBe("<pre><code>x</code></pre>");
+    });
+
+    it("renders ordered and unordered lists", () => {
+        expect(renderBBCode("[list]\n[*]one\n[*]two\n[/list]")).toBe("<ul><li>one</li><li>two</li></ul>");
+        expect(renderBBCode("[list=1][*]a[*]b[/list]")).toBe("<ol><li>a</li><li>b</li></ol>");
+        expect(renderBBCode("[list=a][*]a[/list]")).toBe('<ol type="a"><li>a</li></ol>');
+        expect(renderBBCode("[*]outside")).toBe("[*]outside");
+    });
+
+    it("validates colors and sizes", () => {
+        expect(renderBBCode("[color=red]r[/color]")).toBe('<span style="color: red">r</span>');
+        expect(renderBBCode("[color=#A0b]x[/color]")).toBe('<span style="color: #a0b">x</span>');
+        expect(renderBBCode("[color=red;background:url(x)]x[/color]")).toBe("x");
+        expect(renderBBCode("[size=5]x[/size][size=120]y[/size]"))
+            .toBe('<span style="font-size: 150%">x</span><span style="font-size: 120%">y</span>');
+        expect(renderBBCode("[size=9999]x[/size]")).toBe("x");
+    });
+
+    it("renders spoilers", () => {
+        expect(renderBBCode("[spoiler]x[/spoiler]"))
+            .toBe('<details class="bbcode-spoiler"><summary>Spoiler</summary>x</details>');
+        expect(renderBBCode("[spoiler=The <end>]x[/spoiler]")).toContain("<summary>The &lt;end&gt;</summary>");
+    });
+
+    it("supports custom and disabled tags", () => {
+        const render = createBBCodeRenderer({
+            tags: {
+                mention: { render: (node, content, ctx) => `<a href="/user/${encodeURIComponent(ctx.text(node))}">@${content}</a>` },
+                img: false,
+            },
+        });
+
+        expect(render("[mention]sam[/mention]")).toBe('<a href="/user/sam">@sam</a>');
+        expect(render("[img]https://example.com/a.png[/img]")).toBe("[img]https://example.com/a.png[/img]");
+        expect(() => renderBBCode("x", { tags: { bad: {} } })).toThrow(TypeError);
+    });
+
+    it("returns an empty string for non-strings", () => {
+        expect(renderBBCode(null)).toBe("");
+    });
+});
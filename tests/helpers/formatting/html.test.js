@@ -0,0 +1,82 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { html, rawHTML, SafeHTML } from "../../../src/helpers/formatting/html";
+
+const XSS = '"><img src=x onerror=alert(1)>';
+
+/**
+ * Unit tests for the html template tag.
+ */
+describe("html``", () => {
+    it("escapes values in text content", () => {
+        expect(String(html`<p>${XSS}</p>`)).toBe("<p>&quot;&gt;&lt;img src=x onerror=alert(1)&gt;</p>");
+    });
+
+    it("returns SafeHTML that is not escaped again when nested", () => {
+        const items = ["a", "<b>"];
+        const list = html`<ul>${items.map((item) => html`<li>${item}</li>`)}</ul>`;
+
+        expect(list).toBeInstanceOf(SafeHTML);
+        expect(String(list)).toBe("<ul><li>a</li><li>&lt;b&gt;</li></ul>");
+        expect(String(html`<div>${rawHTML("<b>ok</b>")}</div>`)).toBe("<div><b>ok</b></div>");
+    });
+
+    it("renders nothing for null, undefined and false", () => {
+        expect(String(html`${null}${undefined}${false}${0}`)).toBe("0");
+    });
+
+    it("escapes quoted and unquoted attribute values", () => {
+        expect(String(html`<b title="${XSS}">`)).toBe("<b title=\"&quot;&gt;&lt;img src=x onerror=alert(1)&gt;\">");
+        expect(String(html`<b title='${"' onclick='x"}'>`)).toBe("<b title='&#39; onclick=&#39;x'>");
+        expect(String(html`<input value=${"x onfocus=alert(1)"}>`)).toBe("<input value=x&#x20;onfocus&#x3d;alert&#x28;1&#x29;>");
+    });
+
+    it("does not end a tag at a \">\" inside a quoted attribute", () => {
+        expect(String(html`<a title="a > b" class=${"x onmouseover=alert(1)"}>`)).toBe(
+            "<a title=\"a > b\" class=x&#x20;onmouseover&#x3d;alert&#x28;1&#x29;>"
+        );
+        expect(() => html`<a title='>' ${"onclick"}=x>`).toThrow(TypeError);
+        expect(String(html`<a title="a > b">${"<b>"}</a>`)).toBe("<a title=\"a > b\">&lt;b&gt;</a>");
+    });
+
+    it("rejects unsafe URLs in URL attributes", () => {
+        expect(String(html`<a href="${"javascript:alert(1)"}">x</a>`)).toBe("<a href=\"about:invalid\">x</a>");
+        expect(String(html`<img src="${"https://example.com/a b\"c"}">`)).toBe("<img src=\"https://example.com/a%20b%22c\">");
+    });
+
+    it("encodes URLs containing emoji", () => {
+        expect(String(html`<a href="${"https://example.com/😀"}">x</a>`)).toBe("<a href=\"https://example.com/%F0%9F%98%80\">x</a>");
+    });
+
+    it("escapes values in event handlers and styles", () => {
+        expect(String(html`<button onclick="go('${"');alert(1);//"}')">`)).toBe(
+            "<button onclick=\"go('\\x27\\x29\\x3balert\\x281\\x29\\x3b\\x2f\\x2f')\">"
+        );
+        expect(String(html`<div style="color: ${"red;background:url(x)"}">`)).toBe(
+            "<div style=\"color: red\\3b background\\3a url\\28 x\\29 \">"
+        );
+    });
+
+    it("embeds values in scripts as JSON", () => {
+        expect(String(html`<script>var s = ${{ t: "</script><script>alert(1)//" }};</script>`)).toBe(
+            "<script>var s = {\"t\":\"\\u003c/script\\u003e\\u003cscript\\u003ealert(1)//\"};</script>"
+        );
+    });
+
+    it("throws when a value would become a tag or attribute name", () => {
+        expect(() => html`<div ${"onclick=alert(1)"}>`).toThrow(TypeError);
+        expect(() => html`<${"script"}>`).toThrow(TypeError);
+    });
+});
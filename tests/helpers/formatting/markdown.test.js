@@ -0,0 +1,158 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { renderMarkdown, createMarkdownRenderer } from "../../../src/helpers/formatting/markdown";
+
+const hooks = {
+    mention: (name) => `/user/${encodeURIComponent(name)}`,
+    thread: (id) => `/thread/${id}`,
+};
+
+/**
+ * Unit tests for the Markdown renderer.
+ */
+describe("renderMarkdown()", () => {
+    it("renders emphasis", () => {
+        expect(renderMarkdown("*em* _em_ **strong** __strong__ ~~del~~")).toBe(
+            "<p><em>em</em> <em>em</em> <strong>strong</strong> <strong>strong</strong> <del>del</del></p>"
+        );
+    });
+
+    it("nests emphasis properly", () => {
+        expect(renderMarkdown("***both*** ___both___")).toBe("<p><em><strong>both</strong></em> <em><strong>both</strong></em></p>");
+        expect(renderMarkdown("*a **b** c*")).toBe("<p><em>a <strong>b</strong> c</em></p>");
+        expect(renderMarkdown("**a *b** c*")).toBe("<p><strong>a *b</strong> c*</p>");
+    });
+
+    it("does not treat underscores inside words as emphasis", () => {
+        expect(renderMarkdown("snake_case_name")).toBe("<p>snake_case_name</p>");
+    });
+
+    it("never passes raw HTML through", () => {
+        expect(renderMarkdown("<script>alert(1)</script>")).toBe("<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>");
+        expect(renderMarkdown("<img src=x onerror=alert(1)>")).toBe("<p>&lt;img src=x onerror=alert(1)&gt;</p>");
+    });
+
+    it("honors backslash escapes", () => {
+        expect(renderMarkdown("\\*not em\\*")).toBe("<p>*not em*</p>");
+    });
+
+    it("renders inline code without formatting its contents", () => {
+        expect(renderMarkdown("`<b> **x**` and ``a ` b``")).toBe(
+            "<p><code>&lt;b&gt; **x**</code> and <code>a ` b</code></p>"
+        );
+    });
+
+    it("renders fenced code blocks with a language class", () => {
+        expect(renderMarkdown("```js\nif (a < b) {}\n```\nafter")).toBe(
+            "<pre><code class=\"language-js\">if (a &lt; b) {}</code></pre>\n<p>after</p>"
+        );
+    });
+
+    it("renders links with formatted text and a title", () => {
+        expect(renderMarkdown("[see **this**](https://example.com \"Title\")")).toBe(
+            "<p><a href=\"https://example.com\" title=\"Title\" rel=\"nofollow ugc noopener\">see <strong>this</strong></a></p>"
+        );
+    });
+
+    it("drops links with unsafe URLs", () => {
+        expect(renderMarkdown("[click](javascript:alert(1))")).toBe("<p>click</p>");
+        expect(renderMarkdown("[x](https://a.com/\"onmouseover=alert(1))")).toContain("href=\"https://a.com/&quot;onmouseover=alert(1)\"");
+    });
+
+    it("keeps autolinks and code spans in a link title as plain text", () => {
+        expect(renderMarkdown("[a](http://b \"<http://x/onmouseover=alert(1)//>\")")).toBe(
+            "<p><a href=\"http://b\" title=\"http://x/onmouseover=alert(1)//\" rel=\"nofollow ugc noopener\">a</a></p>"
+        );
+        expect(renderMarkdown("[a](http://b \"`x\" onmouseover=\"y`\")")).toBe(
+            "<p><a href=\"http://b\" title=\"x&quot; onmouseover=&quot;y\" rel=\"nofollow ugc noopener\">a</a></p>"
+        );
+        expect(renderMarkdown("[a](http://b/`<i>`)")).not.toContain("<code>");
+    });
+
+    it("autolinks URLs without trailing punctuation", () => {
+        expect(renderMarkdown("(see https://example.com/path).")).toBe(
+            "<p>(see <a href=\"https://example.com/path\" rel=\"nofollow ugc noopener\">https://example.com/path</a>).</p>"
+        );
+        expect(renderMarkdown("<https://example.com/?a=1&b=2>")).toBe(
+            "<p><a href=\"https://example.com/?a=1&amp;b=2\" rel=\"nofollow ugc noopener\">https://example.com/?a=1&amp;b=2</a></p>"
+        );
+        expect(renderMarkdown("https://example.com", { autolink: false })).toBe("<p>https://example.com</p>");
+    });
+
+    it("renders headings from the configured level", () => {
+        expect(renderMarkdown("# Title\n## Sub")).toBe("<h2>Title</h2>\n<h3>Sub</h3>");
+        expect(renderMarkdown("# Title", { maxHeading: 4 })).toBe("<h4>Title</h4>");
+        expect(renderMarkdown("###### Deep")).toBe("<h6>Deep</h6>");
+        expect(renderMarkdown("# Title", { maxHeading: 0 })).toBe("<p># Title</p>");
+    });
+
+    it("renders paragraphs, line breaks and rules", () => {
+        expect(renderMarkdown("one\ntwo\n\n---\n\nthree")).toBe("<p>one<br>\ntwo</p>\n<hr>\n<p>three</p>");
+        expect(renderMarkdown("one\ntwo", { breaks: false })).toBe("<p>one\ntwo</p>");
+    });
+
+    it("renders nested blockquotes", () => {
+        expect(renderMarkdown("> quote\n>> nested")).toBe(
+            "<blockquote><p>quote</p>\n<blockquote><p>nested</p></blockquote></blockquote>"
+        );
+    });
+
+    it("renders nested and ordered lists", () => {
+        expect(renderMarkdown("- one\n- two\n  - nested")).toBe(
+            "<ul><li>one</li><li>two\n<ul><li>nested</li></ul></li></ul>"
+        );
+        expect(renderMarkdown("3. a\n4. b")).toBe("<ol start=\"3\"><li>a</li><li>b</li></ol>");
+        expect(renderMarkdown("1. a\n\n2. b")).toBe("<ol><li><p>a</p></li><li><p>b</p></li></ol>");
+    });
+
+    it("stops nesting at maxDepth", () => {
+        expect(renderMarkdown(">>> deep", { maxDepth: 1 })).toBe("<blockquote><p>&gt;&gt; deep</p></blockquote>");
+    });
+
+    it("links mentions and threads through the hooks", () => {
+        expect(renderMarkdown("Thanks @sam, see #42.", hooks)).toBe(
+            "<p>Thanks <a href=\"/user/sam\" class=\"mention\">@sam</a>, see <a href=\"/thread/42\" class=\"thread-link\">#42</a>.</p>"
+        );
+    });
+
+    it("does not link mentions and threads inside link text", () => {
+        expect(renderMarkdown("[see @bob in #7](https://a.com)", hooks)).toBe(
+            "<p><a href=\"https://a.com\" rel=\"nofollow ugc noopener\">see @bob in #7</a></p>"
+        );
+    });
+
+    it("leaves mentions as text when a hook returns null or an unsafe URL", () => {
+        expect(renderMarkdown("@ghost", { mention: () => null })).toBe("<p>@ghost</p>");
+        expect(renderMarkdown("@evil", { mention: () => "javascript:alert(1)" })).toBe("<p>@evil</p>");
+    });
+
+    it("does not link email addresses or code as mentions", () => {
+        expect(renderMarkdown("sam@example.com `@sam`", hooks)).toBe("<p>sam@example.com <code>@sam</code></p>");
+    });
+
+    it("returns an empty string for non-strings", () => {
+        expect(renderMarkdown(null)).toBe("");
+    });
+});
+
+/**
+ * Unit tests for creating a reusable Markdown renderer.
+ */
+describe("createMarkdownRenderer()", () => {
+    it("binds the options", () => {
+        const render = createMarkdownRenderer({ maxHeading: 3, ...hooks });
+        expect(render("# @sam")).toBe("<h3><a href=\"/user/sam\" class=\"mention\">@sam</a></h3>");
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { FileAdapter } from "../../../../../src/helpers/system/datastore/adapters/fileAdapter";
+import { DataStore } from "../../../../../src/helpers/system/datastore/datastore";
+
+/**
+ * Unit tests for the file-backed datastore adapter.
+ */
+describe("FileAdapter", () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "bbskit-file-"));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const logFile = () => path.join(dir, "datastore.log");
+
+    it("requires a directory", () => {
+        expect(() => new FileAdapter()).toThrow(TypeError);
+    });
+
+    it("meets the adapter contract", async () => {
+        const adapter = new FileAdapter({ dir });
+
+        await adapter.set("a", { v: 1, e: null });
+        await adapter.mset([["b", { v: 2, e: null }], ["c", { v: 3, e: null }]]);
+        expect(await adapter.get("a")).toStrictEqual({ v: 1, e: null });
+        expect(await adapter.has("b")).toBe(true);
+        expect(await adapter.mget(["a", "x", "c"])).toStrictEqual([{ v: 1, e: null }, undefined, { v: 3, e: null }]);
+        expect(await adapter.incr("a", 4)).toBe(5);
+        expect(await adapter.incr("n")).toBe(1);
+        expect(await adapter.delete("b")).toBe(true);
+        expect(await adapter.delete("b")).toBe(false);
+        expect(await adapter.keys()).toStrictEqual(["a", "c", "n"]);
+        expect(await adapter.size()).toBe(3);
+
+        await adapter.clear();
+        expect(await adapter.size()).toBe(0);
+    });
+
+    it("persists data across instances", async () => {
+        const first = new FileAdapter({ dir });
+        await first.set("user:1", { v: "Alice", e: null });
+        await first.incr("views", 2);
+        await first.delete("views");
+        await first.set("views", { v: 7, e: null });
+        await first.close();
+
+        const second = new FileAdapter({ dir });
+        expect(await second.get("user:1")).toStrictEqual({ v: "Alice", e: null });
+        expect(await second.get("views")).toStrictEqual({ v: 7, e: null });
+        expect(await second.size()).toBe(2);
+    });
+
+    it("recovers from a torn write at the end of the log", async () => {
+        const first = new FileAdapter({ dir });
+        await first.set("good", { v: 1, e: null });
+        await first.close();
+        await fs.appendFile(logFile(), '{"op":"set","k":"bad","v":{"v"');
+
+        const second = new FileAdapter({ dir });
+        expect(await second.keys()).toStrictEqual(["good"]);
+        await second.set("next", { v: 2, e: null });
+        await second.close();
+
+        const third = new FileAdapter({ dir });
+        expect(await third.keys()).toStrictEqual(["good", "next"]);
+    });
+
+    it("refuses to load a log that is corrupt before its last line", async () => {
+        await fs.writeFile(logFile(), '{"op":"set","k":"a","v":{"v":1,"e":null}}\n{"op":"se\n{"op":"set","k":"b","v":{"v":2,"e":null}}\n');
+
+        const adapter = new FileAdapter({ dir });
+        await expect(adapter.keys()).rejects.toThrow("line 2");
+        expect((await fs.readFile(logFile(), "utf8")).split("\n")).toHaveLength(4);
+    });
+
+    it("leaves memory unchanged when a write fails", async () => {
+        const adapter = new FileAdapter({ dir });
+        await adapter.set("a", { v: 1, e: null });
+
+        // Appending to a directory fails
+        await fs.rm(logFile());
+        await fs.mkdir(logFile());
+
+        await expect(adapter.set("a", { v: 2, e: null })).rejects.toThrow();
+        await expect(adapter.mset([["b", { v: 3, e: null }]])).rejects.toThrow();
+        await expect(adapter.incr("a")).rejects.toThrow();
+        await expect(adapter.delete("a")).rejects.toThrow();
+        expect(await adapter.mget(["a", "b"])).toStrictEqual([{ v: 1, e: null }, undefined]);
+    });
+
+    it("keeps its data when clearing fails", async () => {
+        const adapter = new FileAdapter({ dir });
+        await adapter.set("a", { v: 1, e: null });
+
+        // Writing the temporary file fails
+        await fs.mkdir(`${logFile()}.tmp`);
+
+        await expect(adapter.clear()).rejects.toThrow();
+        expect(await adapter.keys()).toStrictEqual(["a"]);
+        await fs.rm(`${logFile()}.tmp`, { recursive: true });
+    });
+
+    it("replays an mset completely or not at all", async () => {
+        const first = new FileAdapter({ dir });
+        await first.mset([["a", { v: 1, e: null }], ["b", { v: 2, e: null }]]);
+        await first.close();
+
+        const data = await fs.readFile(logFile(), "utf8");
+        expect(data.trim().split("\n")).toHaveLength(1);
+        await fs.writeFile(logFile(), data + '{"op":"mset","entries":[["c",{"v":3,"e":null}],["d",');
+
+        expect(await new FileAdapter({ dir }).keys()).toStrictEqual(["a", "b"]);
+    });
+
+    it("ignores a leftover temporary file from an interrupted compaction", async () => {
+        const first = new FileAdapter({ dir });
+        await first.set("a", { v: 1, e: null });
+        await first.close();
+        await fs.writeFile(`${logFile()}.tmp`, '{"op":"set","k":"partial"');
+
+        const second = new FileAdapter({ dir });
+        expect(await second.keys()).toStrictEqual(["a"]);
+        await expect(fs.access(`${logFile()}.tmp`)).rejects.toThrow();
+    });
+
+    it("compacts the log once the threshold is reached", async () => {
+        const adapter = new FileAdapter({ dir, compactThreshold: 5 });
+
+        for (let i = 0; i < 4; i++) await adapter.incr("counter");
+        expect((await fs.readFile(logFile(), "utf8")).trim().split("\n")).toHaveLength(4);
+
+        await adapter.incr("counter");
+        const lines = (await fs.readFile(logFile(), "utf8")).trim().split("\n");
+        expect(lines).toHaveLength(1);
+        expect(JSON.parse(lines[0])).toStrictEqual({ op: "set", k: "counter", v: { v: 5, e: null } });
+    });
+
+    it("drops expired entries when compacting", async () => {
+        const adapter = new FileAdapter({ dir });
+        await adapter.set("old", { v: 1, e: Date.now() - 1 });
+        await adapter.set("live", { v: 2, e: null });
+        await adapter.compact();
+
+        expect(await adapter.keys()).toStrictEqual(["live"]);
+        expect(await new FileAdapter({ dir }).keys()).toStrictEqual(["live"]);
+    });
+
+    it("stores data for separate boards in separate directories", async () => {
+        const boardA = new DataStore(new FileAdapter({ dir: path.join(dir, "board-a") }));
+        const boardB = new DataStore(new FileAdapter({ dir: path.join(dir, "board-b") }));
+
+        await boardA.set("title", "Board A", { ttl: 60000 });
+        await boardB.set("title", "Board B");
+
+        expect(await boardA.get("title")).toBe("Board A");
+        expect(await boardB.get("title")).toBe("Board B");
+    });
+});
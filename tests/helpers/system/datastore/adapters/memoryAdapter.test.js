@@ -0,0 +1,450 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { MemoryAdapter } from "../../../../../src/helpers/system/datastore/adapters/memoryAdapter";
+
+/**
+ * Unit tests for the in-memory datastore adapter.
+ */
+describe("MemoryAdapter", () => {
+    it("meets the adapter contract", async () => {
+        const adapter = new MemoryAdapter();
+
+        await adapter.set("a", { v: 1, e: null });
+        await adapter.mset([["b", { v: 2, e: null }]]);
+        expect(await adapter.get("a")).toStrictEqual({ v: 1, e: null });
+        expect(await adapter.mget(["b", "c"])).toStrictEqual([{ v: 2, e: null }, undefined]);
+        expect(await adapter.has("b")).toBe(true);
+        expect(await adapter.incr("a", 2)).toBe(3);
+        expect(await adapter.keys()).toStrictEqual(["a", "b"]);
+        expect(await adapter.size()).toBe(2);
+        expect(await adapter.delete("a")).toBe(true);
+
+        await adapter.clear();
+        expect(await adapter.size()).toBe(0);
+    });
+});
+
+/**
+ * Unit tests for MemoryAdapter TTL sweeping and expiry events.
+ */
+describe("MemoryAdapter (expiry)", () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("does not report expired keys from keys() or size()", async () => {
+        vi.useFakeTimers();
+        const adapter = new MemoryAdapter();
+        await adapter.set("flood:1", { v: 1, e: Date.now() + 100 });
+        await adapter.set("keep", { v: 2, e: null });
+
+        vi.advanceTimersByTime(100);
+        expect(await adapter.keys()).toStrictEqual(["keep"]);
+        expect(await adapter.size()).toBe(1);
+    });
+
+    it("removes expired entries when they are read", async () => {
+        vi.useFakeTimers();
+        const adapter = new MemoryAdapter();
+        await adapter.set("a", { v: 1, e: Date.now() + 10 });
+
+        vi.advanceTimersByTime(10);
+        expect(await adapter.has("a")).toBe(false);
+        expect(await adapter.incr("a")).toBe(1);
+    });
+
+    it("sweeps in the background and emits expire events", async () => {
+        vi.useFakeTimers();
+        const adapter = new MemoryAdapter({ sweepInterval: 1000 });
+        const expired = [];
+        adapter.on("expire", (key, value) => expired.push([key, value.v]));
+
+        await adapter.set("presence:alice", { v: true, e: Date.now() + 1500 });
+        await adapter.set("presence:bob", { v: true, e: Date.now() + 5000 });
+
+        vi.advanceTimersByTime(1000);
+        expect(expired).toStrictEqual([]);
+
+        vi.advanceTimersByTime(1000);
+        expect(expired).toStrictEqual([["presence:alice", true]]);
+        expect(adapter._m.has("presence:alice")).toBe(false);
+
+        await adapter.close();
+        vi.advanceTimersByTime(10000);
+        expect(expired).toHaveLength(1);
+    });
+
+    it("unrefs the sweeper timer", async () => {
+        const adapter = new MemoryAdapter({ sweepInterval: 1000 });
+        expect(adapter._timer.hasRef()).toBe(false);
+        await adapter.close();
+        expect(adapter._timer).toBeNull();
+    });
+
+    it("returns the number of swept entries", async () => {
+        const adapter = new MemoryAdapter();
+        await adapter.mset([["a", { v: 1, e: Date.now() - 1 }], ["b", { v: 2, e: Date.now() - 1 }], ["c", "raw"]]);
+        expect(adapter.sweep()).toBe(2);
+        expect(await adapter.get("c")).toBe("raw");
+    });
+});
+
+/**
+ * Unit tests for MemoryAdapter capacity limits and eviction policies.
+ */
+describe("MemoryAdapter (eviction)", () => {
+    const w = (v) => ({ v, e: null });
+
+    it("rejects unknown policies", () => {
+        expect(() => new MemoryAdapter({ policy: "fifo" })).toThrow(TypeError);
+    });
+
+    it("evicts the least recently used entry", async () => {
+        const adapter = new MemoryAdapter({ maxEntries: 2 });
+        const evicted = [];
+        adapter.on("evict", (key) => evicted.push(key));
+
+        await adapter.set("a", w(1));
+        await adapter.set("b", w(2));
+        await adapter.get("a");
+        await adapter.set("c", w(3));
+
+        expect(evicted).toStrictEqual(["b"]);
+        expect((await adapter.keys()).sort()).toStrictEqual(["a", "c"]);
+    });
+
+    it("evicts the least frequently used entry", async () => {
+        const adapter = new MemoryAdapter({ maxEntries: 2, policy: "lfu" });
+        const evicted = [];
+        adapter.on("evict", (key, value) => evicted.push([key, value.v]));
+
+        await adapter.set("a", w(1));
+        await adapter.set("b", w(2));
+        await adapter.get("b");
+        await adapter.get("b");
+        await adapter.get("a");
+        await adapter.set("c", w(3));
+        await adapter.set("d", w(4));
+
+        expect(evicted).toStrictEqual([["a", 1], ["c", 3]]);
+        expect(await adapter.has("b")).toBe(true);
+        expect(await adapter.has("d")).toBe(true);
+    });
+
+    it("evicts by approximate byte size", async () => {
+        const adapter = new MemoryAdapter({ maxBytes: 60 });
+
+        await adapter.set("post:1", w("x".repeat(20)));
+        await adapter.set("post:2", w("y".repeat(20)));
+        expect(await adapter.size()).toBe(1);
+        expect(await adapter.has("post:2")).toBe(true);
+        expect(adapter.stats().bytes).toBeLessThanOrEqual(60);
+
+        await adapter.delete("post:2");
+        expect(adapter.stats().bytes).toBe(0);
+    });
+
+    it("drops an entry that is larger than the byte limit on its own", async () => {
+        const adapter = new MemoryAdapter({ maxBytes: 50 });
+        await adapter.set("small", w(1));
+        await adapter.set("huge", w("z".repeat(100)));
+
+        expect(await adapter.keys()).toStrictEqual(["small"]);
+    });
+
+    it("applies limits to mset and incr", async () => {
+        const adapter = new MemoryAdapter({ maxEntries: 2 });
+        await adapter.mset([["a", w(1)], ["b", w(2)], ["c", w(3)]]);
+        expect(await adapter.keys()).toStrictEqual(["b", "c"]);
+
+        await adapter.incr("d");
+        expect(await adapter.keys()).toStrictEqual(["c", "d"]);
+    });
+
+    it("reports hit, miss, eviction and expiration statistics", async () => {
+        const adapter = new MemoryAdapter({ maxEntries: 1 });
+        await adapter.set("a", w(1));
+        await adapter.get("a");
+        await adapter.get("missing");
+        await adapter.mget(["a", "nope"]);
+        await adapter.set("b", { v: 2, e: Date.now() - 1 });
+        await adapter.get("b");
+
+        expect(adapter.stats()).toStrictEqual({
+            hits: 2,
+            misses: 3,
+            evictions: 1,
+            expirations: 1,
+            size: 0,
+            bytes: null,
+        });
+    });
+});
+
+/**
+ * Unit tests for MemoryAdapter atomic operations and transactions.
+ */
+describe("MemoryAdapter (atomic operations)", () => {
+    const w = (v) => ({ v, e: null });
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    it("sets only absent or expired keys with setIfAbsent", async () => {
+        const adapter = new MemoryAdapter();
+        await adapter.set("stale", { v: 1, e: Date.now() - 1 });
+
+        expect(await adapter.setIfAbsent("name:alice", w(1))).toBe(true);
+        expect(await adapter.setIfAbsent("name:alice", w(2))).toBe(false);
+        expect(await adapter.setIfAbsent("stale", w(3))).toBe(true);
+        expect(await adapter.get("name:alice")).toStrictEqual(w(1));
+    });
+
+    it("lets exactly one concurrent caller claim a username", async () => {
+        const adapter = new MemoryAdapter();
+        const results = await Promise.all(
+            Array.from({ length: 20 }, (_, i) => adapter.setIfAbsent("name:alice", w(i)))
+        );
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect((await adapter.get("name:alice")).v).toBe(results.indexOf(true));
+    });
+
+    it("compares unwrapped values with compareAndSet", async () => {
+        const adapter = new MemoryAdapter();
+
+        expect(await adapter.compareAndSet("lock", undefined, w("alice"))).toBe(true);
+        expect(await adapter.compareAndSet("lock", undefined, w("bob"))).toBe(false);
+        expect(await adapter.compareAndSet("lock", "bob", w(null))).toBe(false);
+        expect(await adapter.compareAndSet("lock", "alice", w({ by: "bob" }))).toBe(true);
+        expect(await adapter.compareAndSet("lock", { by: "bob" }, w("carol"))).toBe(true);
+        expect(await adapter.get("lock")).toStrictEqual(w("carol"));
+    });
+
+    it("returns the previous value with getAndSet", async () => {
+        const adapter = new MemoryAdapter();
+
+        expect(await adapter.getAndSet("k", w(1))).toBeUndefined();
+        expect(await adapter.getAndSet("k", w(2))).toStrictEqual(w(1));
+        expect(await adapter.get("k")).toStrictEqual(w(2));
+    });
+
+    it("keeps concurrent read-modify-write transactions consistent", async () => {
+        const adapter = new MemoryAdapter();
+
+        await Promise.all(Array.from({ length: 10 }, () => adapter.transaction(async (tx) => {
+            const curr = await tx.get("replies");
+            await tick();
+            await tx.set("replies", w((curr?.v ?? 0) + 1));
+        }, { retries: 20 })));
+
+        expect(await adapter.get("replies")).toStrictEqual(w(10));
+    });
+
+    it("retries a transaction when a plain write changes a key it read", async () => {
+        const adapter = new MemoryAdapter();
+        await adapter.set("k", w(1));
+        let runs = 0;
+
+        const result = await adapter.transaction(async (tx) => {
+            runs++;
+            const curr = await tx.get("k");
+            if (runs === 1) await adapter.set("k", w(5));
+            await tx.set("k", w(curr.v * 2));
+            return curr.v;
+        });
+
+        expect(runs).toBe(2);
+        expect(result).toBe(5);
+        expect(await adapter.get("k")).toStrictEqual(w(10));
+    });
+
+    it("buffers writes and deletes until the transaction commits", async () => {
+        const adapter = new MemoryAdapter();
+        await adapter.set("a", w(1));
+
+        await adapter.transaction(async (tx) => {
+            await tx.set("b", w(2));
+            expect(await tx.delete("a")).toBe(true);
+            expect(await tx.has("a")).toBe(false);
+            expect(await tx.get("b")).toStrictEqual(w(2));
+            expect(await adapter.has("b")).toBe(false);
+        });
+
+        expect(await adapter.keys()).toStrictEqual(["b"]);
+    });
+
+    it("discards writes when the transaction function throws", async () => {
+        const adapter = new MemoryAdapter();
+
+        await expect(adapter.transaction(async (tx) => {
+            await tx.set("a", w(1));
+            throw new Error("boom");
+        })).rejects.toThrow("boom");
+        expect(await adapter.has("a")).toBe(false);
+    });
+
+    it("gives up after too many conflicts", async () => {
+        const adapter = new MemoryAdapter();
+
+        await expect(adapter.transaction(async (tx) => {
+            await tx.get("k");
+            await adapter.incr("k");
+        }, { retries: 2 })).rejects.toThrow(/3 conflicting attempts/);
+    });
+
+    it("executes queued multi commands together", async () => {
+        const adapter = new MemoryAdapter();
+        await adapter.set("lock", w("alice"));
+
+        const results = await adapter.multi()
+            .incr("views", 2)
+            .setIfAbsent("lock", w("bob"))
+            .compareAndSet("lock", "alice", w("carol"))
+            .getAndSet("views", w(0))
+            .set("x", w(1))
+            .get("x")
+            .delete("x")
+            .exec();
+
+        expect(results).toStrictEqual([2, false, true, { v: 2, e: null }, undefined, w(1), true]);
+        expect(await adapter.get("lock")).toStrictEqual(w("carol"));
+    });
+});
+
+/**
+ * Unit tests for MemoryAdapter key scanning.
+ */
+describe("MemoryAdapter.scan()", () => {
+    const w = (v) => ({ v, e: null });
+
+    const scanAll = async (adapter, pattern, count, between) => {
+        const seen = [];
+        let cursor = 0;
+
+        do {
+            const page = await adapter.scan(pattern, { cursor, count });
+            expect(page.keys.length).toBeLessThanOrEqual(count);
+            seen.push(...page.keys);
+            cursor = page.cursor;
+            if (between) await between();
+        } while (cursor !== 0);
+
+        return seen;
+    };
+
+    it("pages through matching keys", async () => {
+        const adapter = new MemoryAdapter();
+        for (let i = 0; i < 25; i++) await adapter.set(`user:${i}`, w(i));
+        await adapter.set("thread:1", w(1));
+
+        const seen = await scanAll(adapter, "user:*", 10);
+        expect(seen).toHaveLength(25);
+        expect(new Set(seen).size).toBe(25);
+        expect(seen).not.toContain("thread:1");
+    });
+
+    it("returns every stable key exactly once despite concurrent changes", async () => {
+        const adapter = new MemoryAdapter({ maxEntries: 1000 });
+        for (let i = 0; i < 30; i++) await adapter.set(`k:${i}`, w(i));
+        let n = 0;
+
+        const seen = await scanAll(adapter, "k:*", 7, async () => {
+            await adapter.delete(`k:${n}`);
+            await adapter.get(`k:29`);
+            await adapter.set(`k:1${n}`, w(0));
+            await adapter.set(`new:${n++}`, w(0));
+        });
+
+        const stable = Array.from({ length: 30 }, (_, i) => `k:${i}`).filter((k) => Number(k.slice(2)) >= n);
+        for (const k of stable) expect(seen.filter((s) => s === k)).toHaveLength(1);
+    });
+
+    it("keeps paging correctly after most keys are deleted and re-added", async () => {
+        const adapter = new MemoryAdapter({ maxEntries: 10000 });
+        for (let i = 0; i < 3000; i++) await adapter.set(`k:${i}`, w(i));
+        for (let i = 0; i < 2500; i++) await adapter.delete(`k:${i}`);
+        for (let i = 0; i < 100; i++) await adapter.set(`k:${i}`, w(i));
+
+        let n = 2999;
+
+        const seen = await scanAll(adapter, "k:*", 50, async () => {
+            await adapter.delete(`k:${n--}`);
+        });
+
+        expect(new Set(seen).size).toBe(seen.length);
+        for (let i = 0; i < 100; i++) expect(seen).toContain(`k:${i}`);
+        for (let i = 2500; i < 2900; i++) expect(seen).toContain(`k:${i}`);
+    });
+
+    it("skips expired keys", async () => {
+        const adapter = new MemoryAdapter();
+        await adapter.set("a", { v: 1, e: Date.now() - 1 });
+        await adapter.set("b", w(2));
+
+        expect(await adapter.scan()).toStrictEqual({ cursor: 0, keys: ["b"] });
+    });
+});
+
+/**
+ * Unit tests for MemoryAdapter pub/sub.
+ */
+describe("MemoryAdapter (pub/sub)", () => {
+    it("delivers messages to exact and wildcard subscribers", async () => {
+        const adapter = new MemoryAdapter();
+        const got = [];
+
+        await adapter.subscribe("thread:42:reply", (m, c) => got.push(["exact", c, m]));
+        await adapter.subscribe("thread:42:*", (m, c) => got.push(["wild", c, m]));
+        await adapter.subscribe("thread:7:*", (m, c) => got.push(["other", c, m]));
+
+        expect(await adapter.publish("thread:42:reply", { postId: 1 })).toBe(2);
+        expect(await adapter.publish("thread:42:typing", "alice")).toBe(1);
+        expect(got).toStrictEqual([
+            ["exact", "thread:42:reply", { postId: 1 }],
+            ["wild", "thread:42:reply", { postId: 1 }],
+            ["wild", "thread:42:typing", "alice"],
+        ]);
+    });
+
+    it("stops delivering after unsubscribing", async () => {
+        const adapter = new MemoryAdapter();
+        const got = [];
+        const handler = (m) => got.push(m);
+
+        const first = await adapter.subscribe("chan", handler);
+        await adapter.subscribe("chan", handler);
+        await first();
+
+        expect(await adapter.publish("chan", 1)).toBe(1);
+        expect(got).toStrictEqual([1]);
+    });
+
+    it("isolates failing and async handlers", async () => {
+        const adapter = new MemoryAdapter();
+        const got = [];
+
+        await adapter.subscribe("chan", () => { throw new Error("boom"); });
+        await adapter.subscribe("chan", async (m) => {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            got.push(m);
+        });
+
+        expect(await adapter.publish("chan", "hi")).toBe(2);
+        expect(got).toStrictEqual(["hi"]);
+    });
+
+    it("requires a handler function", async () => {
+        await expect(new MemoryAdapter().subscribe("chan")).rejects.toThrow(TypeError);
+    });
+});
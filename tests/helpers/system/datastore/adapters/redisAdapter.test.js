@@ -0,0 +1,192 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { RedisAdapter, RespParser, encodeCommand } from "../../../../../src/helpers/system/datastore/adapters/redisAdapter";
+import { DataStore } from "../../../../../src/helpers/system/datastore/datastore";
+import { startRespStandIn } from "./respStandIn";
+
+/**
+ * Unit tests for the RESP encoder and parser.
+ */
+describe("RESP protocol", () => {
+    it("encodes commands as arrays of bulk strings", () => {
+        expect(encodeCommand(["SET", "motd", "hé"]).toString()).toBe("*3\r\n$3\r\nSET\r\n$4\r\nmotd\r\n$3\r\nhé\r\n");
+    });
+
+    it("parses replies split across chunks", () => {
+        const replies = [];
+        const parser = new RespParser((r) => replies.push(r));
+        const raw = Buffer.from("+OK\r\n:42\r\n$5\r\nhello\r\n$-1\r\n*2\r\n$1\r\na\r\n:1\r\n-ERR bad\r\n");
+
+        for (let i = 0; i < raw.length; i += 3) parser.feed(raw.subarray(i, i + 3));
+
+        expect(replies.slice(0, 5)).toStrictEqual(["OK", 42, "hello", null, ["a", 1]]);
+        expect(replies[5]).toBeInstanceOf(Error);
+        expect(replies[5].message).toBe("ERR bad");
+    });
+});
+
+/**
+ * Unit tests for the Redis adapter against an in-process RESP stand-in.
+ */
+describe("RedisAdapter", () => {
+    let server;
+    let adapter;
+
+    beforeEach(async () => {
+        server = await startRespStandIn();
+        adapter = new RedisAdapter({ port: server.port });
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+        await server.close();
+    });
+
+    it("meets the adapter contract", async () => {
+        await adapter.set("a", { v: { name: "Alice" }, e: null });
+        await adapter.mset([["b", { v: 2, e: null }], ["c", { v: "three", e: null }]]);
+
+        expect(await adapter.get("a")).toStrictEqual({ v: { name: "Alice" }, e: null });
+        expect(await adapter.get("missing")).toBeUndefined();
+        expect(await adapter.has("b")).toBe(true);
+        expect(await adapter.mget(["b", "x", "c"])).toStrictEqual([{ v: 2, e: null }, undefined, { v: "three", e: null }]);
+        expect((await adapter.keys()).sort()).toStrictEqual(["a", "b", "c"]);
+        expect(await adapter.size()).toBe(3);
+        expect(await adapter.delete("a")).toBe(true);
+        expect(await adapter.delete("a")).toBe(false);
+    });
+
+    it("maps mget, mset and incr to native commands", async () => {
+        await adapter.mset([["x", { v: 1, e: null }], ["y", { v: 2, e: null }]]);
+        await adapter.mget(["x", "y"]);
+        await adapter.incr("x", 4);
+        await adapter.incr("y", 0.5);
+
+        const names = server.commands.map((c) => c[0]);
+        expect(names).toContain("MSET");
+        expect(names).toContain("MGET");
+        expect(names).toContain("INCRBY");
+        expect(names).toContain("INCRBYFLOAT");
+        expect(await adapter.mget(["x", "y"])).toStrictEqual([{ v: 5, e: null }, { v: 2.5, e: null }]);
+    });
+
+    it("stores expiry with the value instead of in it", async () => {
+        const e = Date.now() + 60000;
+        await adapter.set("session", { v: "abc", e });
+
+        expect(server.data.get("session")).toStrictEqual({ v: '"abc"', e });
+        expect(server.commands).toContainEqual(["SET", "session", '"abc"', "PXAT", String(e)]);
+
+        const got = await adapter.get("session");
+        expect(got.v).toBe("abc");
+        expect(Math.abs(got.e - e)).toBeLessThan(50);
+    });
+
+    it("sets values and expiries from mset in one transaction", async () => {
+        const e = Date.now() + 60000;
+        await adapter.mset([["a", { v: 1, e }], ["b", { v: 2, e: null }]]);
+
+        expect(server.commands.map((c) => c[0])).toStrictEqual(["MULTI", "MSET", "PEXPIREAT", "EXEC"]);
+        expect(server.data.get("a").e).toBe(e);
+        expect(server.data.get("b").e).toBeNull();
+    });
+
+    it("reads values and their expiry in one transaction", async () => {
+        const e = Date.now() + 60000;
+        await adapter.set("a", { v: 1, e });
+        server.commands.length = 0;
+
+        // Commands sent at the same time must not end up inside the transaction
+        const [got, has, many] = await Promise.all([adapter.get("a"), adapter.has("a"), adapter.mget(["a", "b"])]);
+
+        expect(got.v).toBe(1);
+        expect(Math.abs(got.e - e)).toBeLessThan(50);
+        expect(has).toBe(true);
+        expect(many[0].v).toBe(1);
+        expect(many[1]).toBeUndefined();
+        expect(server.commands.map((c) => c[0])).toStrictEqual(["MULTI", "GET", "PTTL", "EXEC", "EXISTS", "MULTI", "MGET", "PTTL", "PTTL", "EXEC"]);
+    });
+
+    it("keeps the expiry when incrementing", async () => {
+        const e = Date.now() + 60000;
+        await adapter.set("flood", { v: 1, e });
+
+        expect(await adapter.incr("flood")).toBe(2);
+        expect(server.data.get("flood").e).toBe(e);
+    });
+
+    it("scopes keys and clear to a prefix", async () => {
+        const scoped = new RedisAdapter({ port: server.port, prefix: "board1:" });
+
+        try {
+            await adapter.set("other", { v: 1, e: null });
+            await scoped.set("k", { v: 2, e: null });
+
+            expect(await scoped.keys()).toStrictEqual(["k"]);
+            expect(await scoped.size()).toBe(1);
+
+            await scoped.clear();
+            expect(await adapter.keys()).toStrictEqual(["other"]);
+        } finally {
+            await scoped.close();
+        }
+    });
+
+    it("lists and counts keys with SCAN instead of KEYS", async () => {
+        const scoped = new RedisAdapter({ port: server.port, prefix: "board1:" });
+
+        try {
+            await scoped.mset(Array.from({ length: 1500 }, (_, i) => [`k${i}`, { v: i, e: null }]));
+
+            expect(await scoped.keys()).toHaveLength(1500);
+            expect(await scoped.size()).toBe(1500);
+            expect(server.commands.map((c) => c[0])).not.toContain("KEYS");
+            expect(server.commands.filter((c) => c[0] === "SCAN").length).toBeGreaterThan(2);
+        } finally {
+            await scoped.close();
+        }
+    });
+
+    it("closes the connection when the database cannot be selected", async () => {
+        const wrong = new RedisAdapter({ port: server.port, db: 99 });
+
+        await expect(wrong.get("a")).rejects.toThrow(/out of range/);
+        await vi.waitFor(async () => expect(await server.connections()).toBe(0));
+        await wrong.close();
+    });
+
+    it("refuses to clear without a prefix", async () => {
+        await adapter.set("other", { v: 1, e: null });
+
+        await expect(adapter.clear()).rejects.toThrow(/requires a prefix/);
+        expect(server.commands.map((c) => c[0])).not.toContain("FLUSHDB");
+        expect(await adapter.has("other")).toBe(true);
+    });
+
+    it("rejects with server error replies", async () => {
+        await adapter.set("name", { v: "Alice", e: null });
+        await expect(adapter.incr("name")).rejects.toThrow(/not an integer/);
+    });
+
+    it("works behind the DataStore facade", async () => {
+        const store = new DataStore(adapter);
+        await store.set("title", "My Board", { ttl: 60000 });
+        await store.incr("views", 1, { ttl: 60000 });
+
+        expect(await store.get("title")).toBe("My Board");
+        expect(await store.incr("views")).toBe(2);
+        expect(server.data.get("views").e).not.toBeNull();
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import net from "node:net";
+import { RespParser } from "../../../../../src/helpers/system/datastore/adapters/redisAdapter";
+import { globToRegExp } from "../../../../../src/helpers/core/globMatch";
+
+/**
+ * In-process stand-in for a Redis server, implementing just the commands the adapter uses
+ * (including MULTI/EXEC, run without interleaving since the stand-in is single-threaded).
+ * 
+ * @returns {Promise<{ port: number, data: Map, commands: string[][], connections: () => Promise<number>, close: () => Promise<void> }>}
+ *          A promise that resolves once the server is listening on a random local port.
+ */
+export async function startRespStandIn() {
+    const data = new Map();
+    const commands = [];
+
+    const live = (k) => {
+        const entry = data.get(k);
+        if (!entry) return undefined;
+
+        if (entry.e != null && entry.e <= Date.now()) {
+            data.delete(k);
+            return undefined;
+        }
+
+        return entry;
+    };
+
+    const incrBy = (k, delta, float) => {
+        const entry = live(k);
+        const curr = entry ? Number(entry.v) : 0;
+        if (entry && (Number.isNaN(curr) || (!float && !Number.isInteger(curr)))) {
+            return new Error("ERR value is not an integer or out of range");
+        }
+
+        const next = curr + delta;
+        data.set(k, { v: String(next), e: entry?.e ?? null });
+        return float ? String(next) : next;
+    };
+
+    const handlers = {
+        PING: () => "PONG",
+        SELECT: ([db]) => Number(db) < 16 ? "OK" : new Error("ERR DB index is out of range"),
+        GET: ([k]) => live(k)?.v ?? null,
+        SET: ([k, v, opt, at]) => {
+            data.set(k, { v, e: opt?.toUpperCase() === "PXAT" ? Number(at) : null });
+            live(k);
+            return "OK";
+        },
+        DEL: (ks) => ks.filter((k) => live(k) && data.delete(k)).length,
+        EXISTS: (ks) => ks.filter((k) => live(k)).length,
+        FLUSHDB: () => { data.clear(); return "OK"; },
+        DBSIZE: () => [...data.keys()].filter((k) => live(k)).length,
+        SCAN: ([cursor, , p, , count = 10]) => {
+            const keys = [...data.keys()].filter((k) => live(k) && globToRegExp(p).test(k));
+            const end = Number(cursor) + Number(count);
+            return [end < keys.length ? String(end) : "0", keys.slice(Number(cursor), end)];
+        },
+        MGET: (ks) => ks.map((k) => live(k)?.v ?? null),
+        MSET: (args) => {
+            for (let i = 0; i < args.length; i += 2) data.set(args[i], { v: args[i + 1], e: null });
+            return "OK";
+        },
+        INCRBY: ([k, d]) => incrBy(k, Number(d), false),
+        INCRBYFLOAT: ([k, d]) => incrBy(k, Number(d), true),
+        PEXPIREAT: ([k, at]) => {
+            const entry = live(k);
+            if (!entry) return 0;
+            entry.e = Number(at);
+            live(k);
+            return 1;
+        },
+        PTTL: ([k]) => {
+            const entry = live(k);
+            if (!entry) return -2;
+            return entry.e == null ? -1 : entry.e - Date.now();
+        },
+    };
+
+    const encode = (reply) => {
+        if (reply instanceof Error) return `-${reply.message}\r\n`;
+        if (reply === null) return "$-1\r\n";
+        if (typeof reply === "number") return `:${reply}\r\n`;
+        if (Array.isArray(reply)) return `*${reply.length}\r\n${reply.map(encode).join("")}`;
+        if (reply === "OK" || reply === "PONG" || reply === "QUEUED") return `+${reply}\r\n`;
+        return `$${Buffer.byteLength(reply)}\r\n${reply}\r\n`;
+    };
+
+    const run = (name, args) => {
+        const handler = handlers[name.toUpperCase()];
+        return handler ? handler(args) : new Error(`ERR unknown command '${name}'`);
+    };
+
+    const server = net.createServer((socket) => {
+        // Commands queued by MULTI on this connection, or null outside a transaction
+        let queue = null;
+
+        const parser = new RespParser(([name, ...args]) => {
+            commands.push([name, ...args]);
+            const upper = name.toUpperCase();
+            let reply;
+
+            if (upper === "MULTI") {
+                queue = [];
+                reply = "OK";
+            } else if (upper === "EXEC") {
+                reply = queue ? queue.map(([n, a]) => run(n, a)) : new Error("ERR EXEC without MULTI");
+                queue = null;
+            } else if (queue) {
+                queue.push([name, args]);
+                reply = "QUEUED";
+            } else {
+                reply = run(name, args);
+            }
+
+            socket.write(encode(reply));
+        });
+
+        socket.on("data", (chunk) => parser.feed(chunk));
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        port: server.address().port,
+        data,
+        commands,
+        connections: () => new Promise((resolve, reject) => server.getConnections((err, n) => (err ? reject(err) : resolve(n)))),
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
@@ -0,0 +1,144 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { SqliteAdapter } from "../../../../../src/helpers/system/datastore/adapters/sqliteAdapter";
+import { DataStore } from "../../../../../src/helpers/system/datastore/datastore";
+
+/**
+ * Unit tests for the SQLite datastore adapter.
+ */
+describe("SqliteAdapter", () => {
+    let adapter;
+
+    beforeEach(() => {
+        adapter = new SqliteAdapter();
+    });
+
+    afterEach(async () => {
+        await adapter.close();
+    });
+
+    it("meets the adapter contract", async () => {
+        await adapter.set("a", { v: "Alice", e: null });
+        await adapter.mset([["b", { v: [1, 2], e: null }], ["c", { v: { x: 1 }, e: null }]]);
+
+        expect(await adapter.get("a")).toStrictEqual({ v: "Alice", e: null });
+        expect(await adapter.get("missing")).toBeUndefined();
+        expect(await adapter.has("b")).toBe(true);
+        expect(await adapter.mget(["c", "x"])).toStrictEqual([{ v: { x: 1 }, e: null }, undefined]);
+        expect(await adapter.keys()).toStrictEqual(["a", "b", "c"]);
+        expect(await adapter.size()).toBe(3);
+        expect(await adapter.delete("a")).toBe(true);
+        expect(await adapter.delete("a")).toBe(false);
+
+        await adapter.clear();
+        expect(await adapter.size()).toBe(0);
+    });
+
+    it("increments atomically in SQL and keeps the expiry", async () => {
+        const e = Date.now() + 60000;
+        await adapter.set("views", { v: 10, e });
+
+        expect(await adapter.incr("views", 5)).toBe(15);
+        expect(await adapter.incr("views", -3)).toBe(12);
+        expect(await adapter.get("views")).toStrictEqual({ v: 12, e });
+        expect(await adapter.incr("fresh")).toBe(1);
+        expect(await adapter.get("fresh")).toStrictEqual({ v: 1, e: null });
+    });
+
+    it("rolls back mset when any entry fails", async () => {
+        const circular = {};
+        circular.self = circular;
+
+        await expect(adapter.mset([["ok", { v: 1, e: null }], ["bad", { v: circular, e: null }]])).rejects.toThrow();
+        expect(await adapter.has("ok")).toBe(false);
+    });
+
+    it("skips and purges expired rows", async () => {
+        await adapter.set("old", { v: 1, e: Date.now() - 1 });
+        await adapter.set("live", { v: 2, e: Date.now() + 60000 });
+
+        expect(await adapter.has("old")).toBe(false);
+        expect(await adapter.keys()).toStrictEqual(["live"]);
+        expect(await adapter.size()).toBe(1);
+        expect(await adapter.purgeExpired()).toBe(1);
+        expect(await adapter.get("old")).toBeUndefined();
+    });
+
+    it("purges expired rows in the background", async () => {
+        vi.useFakeTimers();
+
+        try {
+            const purging = new SqliteAdapter({ purgeInterval: 1000 });
+            const count = purging.db.prepare("SELECT COUNT(*) FROM datastore").pluck();
+            await purging.set("old", { v: 1, e: Date.now() + 500 });
+            await purging.set("live", { v: 2, e: null });
+
+            vi.advanceTimersByTime(1000);
+            expect(count.get()).toBe(1);
+
+            await purging.close();
+            expect(vi.getTimerCount()).toBe(0);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it("refuses to increment a value that is not an envelope", async () => {
+        adapter.db.prepare("INSERT INTO datastore (k, v, e) VALUES ('raw', '\"abc\"', NULL)").run();
+        await expect(adapter.incr("raw")).rejects.toThrow(/envelope/);
+    });
+
+    it("indexes the expiry column", () => {
+        const indexes = adapter.db.prepare("PRAGMA index_list(datastore)").all().map((r) => r.name);
+        expect(indexes).toContain("datastore_e");
+    });
+
+    it("leaves an injected database open on close", async () => {
+        const shared = new SqliteAdapter({ table: "shared" });
+        const other = new SqliteAdapter({ db: shared.db, table: "other" });
+
+        await other.set("a", { v: 1, e: null });
+        await other.close();
+        expect(shared.db.open).toBe(true);
+        expect(await other.get("a")).toStrictEqual({ v: 1, e: null });
+
+        await shared.close();
+        expect(shared.db.open).toBe(false);
+    });
+
+    it("rejects unsafe table names", () => {
+        expect(() => new SqliteAdapter({ table: "x; DROP TABLE y" })).toThrow(TypeError);
+    });
+
+    it("persists to a single database file", async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), "bbskit-sqlite-"));
+        const filename = path.join(dir, "board.db");
+
+        try {
+            const first = new SqliteAdapter({ filename });
+            await new DataStore(first).set("title", "My Board");
+            await first.close();
+
+            const second = new SqliteAdapter({ filename });
+            expect(await new DataStore(second).get("title")).toBe("My Board");
+            await second.close();
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,319 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { DataStore } from "../../../../src/helpers/system/datastore/datastore";
+import { MemoryAdapter } from "../../../../src/helpers/system/datastore/adapters/memoryAdapter";
+
+/**
+ * Unit tests for the DataStore facade.
+ */
+describe("DataStore", () => {
+    let adapter;
+    let store;
+
+    beforeEach(() => {
+        adapter = new MemoryAdapter();
+        store = new DataStore(adapter);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("throws when no adapter is given", () => {
+        expect(() => new DataStore()).toThrow(TypeError);
+    });
+
+    it("sets and gets plain values without exposing the envelope", async () => {
+        await store.set("motd", "Welcome!");
+        expect(await store.get("motd")).toBe("Welcome!");
+        expect(await adapter.get("motd")).toStrictEqual({ v: "Welcome!", e: null });
+    });
+
+    it("returns undefined for missing keys", async () => {
+        expect(await store.get("nope")).toBeUndefined();
+        expect(await store.has("nope")).toBe(false);
+    });
+
+    it("expires values after their ttl", async () => {
+        vi.useFakeTimers();
+        await store.set("session", { id: 1 }, { ttl: 1000 });
+        expect(await store.has("session")).toBe(true);
+
+        vi.advanceTimersByTime(1000);
+        expect(await store.get("session")).toBeUndefined();
+        expect(await adapter.has("session")).toBe(false);
+    });
+
+    it("does not delete a value set again after an expired read", async () => {
+        const get = adapter.get.bind(adapter);
+
+        // Another writer sets the key between the read and anything the read does next
+        adapter.get = async (key) => {
+            await adapter.set(key, { v: "fresh", e: null });
+            return { v: "stale", e: Date.now() - 1 };
+        };
+
+        expect(await store.get("k")).toBeUndefined();
+
+        adapter.get = get;
+        expect(await store.get("k")).toBe("fresh");
+    });
+
+    it("deletes keys", async () => {
+        await store.set("a", 1);
+        expect(await store.delete("a")).toBe(true);
+        expect(await store.has("a")).toBe(false);
+    });
+
+    it("handles mget and mset with expiry", async () => {
+        vi.useFakeTimers();
+        await store.mset([["user:1", "Alice"], ["user:2", "Bob"]]);
+        await store.mset([["user:3", "Carol"]], { ttl: 50 });
+        vi.advanceTimersByTime(50);
+
+        expect(await store.mget(["user:1", "user:2", "user:3", "user:4"]))
+            .toStrictEqual(["Alice", "Bob", undefined, undefined]);
+        expect(await adapter.has("user:3")).toBe(false);
+    });
+
+    it("increments counters and keeps the original expiry", async () => {
+        vi.useFakeTimers();
+        expect(await store.incr("flood", 1, { ttl: 1000 })).toBe(1);
+        vi.advanceTimersByTime(500);
+        expect(await store.incr("flood")).toBe(2);
+        vi.advanceTimersByTime(500);
+        expect(await store.get("flood")).toBeUndefined();
+        expect(await store.incr("flood", 5)).toBe(5);
+    });
+
+    it("passes keys, size and clear through to the adapter", async () => {
+        await store.mset([["a", 1], ["b", 2]]);
+        expect(await store.keys()).toStrictEqual(["a", "b"]);
+        expect(await store.size()).toBe(2);
+        await store.clear();
+        expect(await store.size()).toBe(0);
+    });
+});
+
+/**
+ * Unit tests for namespaced DataStore views.
+ */
+describe("DataStore.namespace()", () => {
+    let adapter;
+    let store;
+
+    beforeEach(() => {
+        adapter = new MemoryAdapter();
+        store = new DataStore(adapter);
+    });
+
+    it("prefixes keys transparently", async () => {
+        const sessions = store.namespace("sessions");
+        await sessions.set("abc", { userId: 1 });
+
+        expect(await sessions.get("abc")).toStrictEqual({ userId: 1 });
+        expect(await adapter.has("sessions:abc")).toBe(true);
+        expect(await store.get("sessions:abc")).toStrictEqual({ userId: 1 });
+    });
+
+    it("scopes keys, size and clear to the namespace", async () => {
+        const sessions = store.namespace("sessions");
+        const flood = store.namespace("flood");
+        await sessions.mset([["a", 1], ["b", 2]]);
+        await flood.incr("user:1");
+        await store.set("global", true);
+
+        expect(await sessions.keys()).toStrictEqual(["a", "b"]);
+        expect(await sessions.size()).toBe(2);
+        expect(await flood.keys()).toStrictEqual(["user:1"]);
+
+        await sessions.clear();
+        expect(await sessions.size()).toBe(0);
+        expect(await flood.get("user:1")).toBe(1);
+        expect(await store.get("global")).toBe(true);
+    });
+
+    it("supports nested namespaces", async () => {
+        const threads = store.namespace("threads");
+        const views = threads.namespace("views");
+        await views.incr("42", 3);
+        await threads.set("title:42", "Hello");
+
+        expect(await adapter.keys()).toContain("threads:views:42");
+        expect(await views.keys()).toStrictEqual(["42"]);
+        expect(await threads.keys()).toStrictEqual(["views:42", "title:42"]);
+
+        await views.clear();
+        expect(await threads.keys()).toStrictEqual(["title:42"]);
+    });
+
+    it("supports a custom separator", async () => {
+        const custom = new DataStore(adapter, { separator: "/" }).namespace("users");
+        await custom.set("1", "Alice");
+        expect(await adapter.has("users/1")).toBe(true);
+    });
+
+    it("rejects empty namespace names", () => {
+        expect(() => store.namespace("")).toThrow(TypeError);
+    });
+
+    it("rejects namespace names containing the separator", () => {
+        expect(() => store.namespace("a:b")).toThrow(TypeError);
+        expect(() => store.namespace("a").namespace("b:c")).toThrow(TypeError);
+        expect(() => new DataStore(adapter, { separator: "/" }).namespace("a:b")).not.toThrow();
+    });
+});
+
+/**
+ * Unit tests for DataStore atomic operations.
+ */
+describe("DataStore (atomic operations)", () => {
+    let adapter;
+    let store;
+
+    beforeEach(() => {
+        adapter = new MemoryAdapter();
+        store = new DataStore(adapter).namespace("board");
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("claims values with setIfAbsent and a ttl", async () => {
+        vi.useFakeTimers();
+        expect(await store.setIfAbsent("lock", "alice", { ttl: 1000 })).toBe(true);
+        expect(await store.setIfAbsent("lock", "bob")).toBe(false);
+
+        vi.advanceTimersByTime(1000);
+        expect(await store.setIfAbsent("lock", "bob")).toBe(true);
+        expect(await adapter.get("board:lock")).toStrictEqual({ v: "bob", e: null });
+    });
+
+    it("compares plain values with compareAndSet", async () => {
+        await store.set("status", "open");
+        expect(await store.compareAndSet("status", "closed", "open")).toBe(false);
+        expect(await store.compareAndSet("status", "open", "locked")).toBe(true);
+        expect(await store.get("status")).toBe("locked");
+    });
+
+    it("returns the previous plain value with getAndSet", async () => {
+        expect(await store.getAndSet("motd", "hi")).toBeUndefined();
+        expect(await store.getAndSet("motd", "bye")).toBe("hi");
+    });
+
+    it("runs transactions with plain values and namespaced keys", async () => {
+        await store.set("credits:1", 25);
+
+        const spend = () => store.transaction(async (tx) => {
+            const balance = (await tx.get("credits:1")) ?? 0;
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            if (balance < 10) return false;
+            await tx.set("credits:1", balance - 10, { ttl: 60000 });
+            return true;
+        });
+
+        const results = await Promise.all([spend(), spend(), spend()]);
+        expect(results.filter(Boolean)).toHaveLength(2);
+        expect(await store.get("credits:1")).toBe(5);
+        expect((await adapter.get("board:credits:1")).e).not.toBeNull();
+    });
+
+    it("rejects atomic operations on adapters that do not support them", async () => {
+        const plain = new DataStore({ get: async () => undefined });
+        await expect(plain.setIfAbsent("a", 1)).rejects.toThrow(/setIfAbsent/);
+        await expect(plain.transaction(async () => {})).rejects.toThrow(TypeError);
+    });
+});
+
+/**
+ * Unit tests for DataStore key scanning.
+ */
+describe("DataStore.scan()", () => {
+    it("scans within a namespace", async () => {
+        const adapter = new MemoryAdapter();
+        const store = new DataStore(adapter);
+        const users = store.namespace("users");
+
+        await users.mset([["1", "Alice"], ["2", "Bob"], ["10", "Carol"]]);
+        await store.set("users1", "not in namespace");
+
+        const first = await users.scan("1*", { count: 1 });
+        expect(first.keys).toStrictEqual(["1"]);
+
+        const second = await users.scan("1*", { cursor: first.cursor, count: 1 });
+        expect(second.keys).toStrictEqual(["10"]);
+    });
+
+    it("iterates over all matching keys in batches", async () => {
+        const adapter = new MemoryAdapter();
+        const store = new DataStore(adapter);
+        for (let i = 0; i < 12; i++) await store.set(`session:${i}`, i);
+        await store.set("other", 1);
+
+        const seen = [];
+        for await (const key of store.scanIterator("session:*", { count: 5 })) seen.push(key);
+
+        expect(seen).toHaveLength(12);
+        expect(seen[0]).toBe("session:0");
+    });
+
+    it("falls back to keys() for adapters without scan", async () => {
+        const adapter = new MemoryAdapter();
+        adapter.scan = undefined;
+        const store = new DataStore(adapter).namespace("t");
+        await store.mset([["a:1", 1], ["b:1", 2]]);
+
+        expect(await store.scan("a:*")).toStrictEqual({ cursor: 0, keys: ["a:1"] });
+    });
+
+    it("pages the keys() fallback by count", async () => {
+        const adapter = new MemoryAdapter();
+        adapter.scan = undefined;
+        const store = new DataStore(adapter);
+        await store.mset([["a:3", 1], ["a:1", 2], ["a:2", 3], ["b:1", 4]]);
+
+        const first = await store.scan("a:*", { count: 2 });
+        expect(first).toStrictEqual({ cursor: 2, keys: ["a:1", "a:2"] });
+        expect(await store.scan("a:*", { cursor: first.cursor, count: 2 })).toStrictEqual({ cursor: 0, keys: ["a:3"] });
+    });
+});
+
+/**
+ * Unit tests for DataStore pub/sub.
+ */
+describe("DataStore (pub/sub)", () => {
+    it("scopes channels to the namespace", async () => {
+        const adapter = new MemoryAdapter();
+        const store = new DataStore(adapter);
+        const board = store.namespace("board1");
+        const got = [];
+
+        await board.subscribe("thread:42:*", (m, c) => got.push([c, m]));
+        await store.publish("thread:42:reply", "outside namespace");
+        await board.publish("thread:42:reply", { postId: 5 });
+        await store.publish("board1:thread:42:typing", "alice");
+
+        expect(got).toStrictEqual([
+            ["thread:42:reply", { postId: 5 }],
+            ["thread:42:typing", "alice"],
+        ]);
+    });
+
+    it("rejects pub/sub on adapters that do not support it", async () => {
+        const plain = new DataStore({ get: async () => undefined });
+        await expect(plain.publish("a", 1)).rejects.toThrow(/publish/);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { RateLimiter } from "../../../src/helpers/system/rateLimiter";
+import { DataStore } from "../../../src/helpers/system/datastore/datastore";
+import { MemoryAdapter } from "../../../src/helpers/system/datastore/adapters/memoryAdapter";
+
+/**
+ * Unit tests for the rate limiter.
+ */
+describe("RateLimiter", () => {
+    let store;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(60000 * 1000);
+        store = new DataStore(new MemoryAdapter());
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("validates its options", () => {
+        expect(() => new RateLimiter(store, { limit: 0, window: 1000 })).toThrow(TypeError);
+        expect(() => new RateLimiter(store, { limit: 1, window: 1000, strategy: "leaky" })).toThrow(TypeError);
+    });
+
+    it("requires transactions for the token strategy", () => {
+        const adapter = new MemoryAdapter();
+        adapter.transaction = undefined;
+
+        expect(() => new RateLimiter(adapter, { strategy: "token", limit: 1, window: 1000 })).toThrow("transactions");
+        expect(() => new RateLimiter(adapter, { strategy: "fixed", limit: 1, window: 1000 })).not.toThrow();
+    });
+
+    it("rejects a cost above the limit", async () => {
+        for (const strategy of ["fixed", "sliding", "token"]) {
+            const limiter = new RateLimiter(store, { strategy, limit: 3, window: 1000 });
+            await expect(limiter.consume("a", 4)).rejects.toThrow(RangeError);
+            expect((await limiter.consume("a", 3)).allowed).toBe(true);
+        }
+    });
+
+    it("accepts a raw adapter", async () => {
+        const limiter = new RateLimiter(new MemoryAdapter(), { limit: 1, window: 1000 });
+        expect((await limiter.consume("a")).allowed).toBe(true);
+    });
+
+    describe("fixed window", () => {
+        it("allows up to the limit per window and reports retry-after", async () => {
+            const limiter = new RateLimiter(store, { limit: 3, window: 60000 });
+
+            expect(await limiter.consume("user:1")).toStrictEqual({ allowed: true, limit: 3, remaining: 2, retryAfter: 0 });
+            await limiter.consume("user:1");
+            expect((await limiter.consume("user:1")).remaining).toBe(0);
+
+            vi.advanceTimersByTime(20000);
+            expect(await limiter.consume("user:1")).toStrictEqual({ allowed: false, limit: 3, remaining: 0, retryAfter: 40000 });
+            expect((await limiter.consume("user:2")).allowed).toBe(true);
+
+            vi.advanceTimersByTime(40000);
+            expect((await limiter.consume("user:1")).allowed).toBe(true);
+        });
+
+        it("supports a cost per action", async () => {
+            const limiter = new RateLimiter(store, { limit: 10, window: 1000 });
+            expect((await limiter.consume("a", 7)).remaining).toBe(3);
+            expect((await limiter.consume("a", 4)).allowed).toBe(false);
+        });
+    });
+
+    describe("sliding window", () => {
+        it("weights the previous window", async () => {
+            const limiter = new RateLimiter(store, { strategy: "sliding", limit: 4, window: 60000 });
+
+            for (let i = 0; i < 4; i++) expect((await limiter.consume("u")).allowed).toBe(true);
+            expect((await limiter.consume("u")).allowed).toBe(false);
+
+            // 15s into the next window, 75% of the previous 4 still counts
+            vi.advanceTimersByTime(75000);
+            expect(await limiter.consume("u")).toStrictEqual({ allowed: true, limit: 4, remaining: 0, retryAfter: 0 });
+            expect((await limiter.consume("u")).allowed).toBe(false);
+
+            // 30s into the next window, only 50% counts
+            vi.advanceTimersByTime(15000);
+            const res = await limiter.consume("u");
+            expect(res.allowed).toBe(true);
+            expect(res.remaining).toBe(0);
+        });
+
+        it("does not count denied attempts and gives an accurate retry-after", async () => {
+            const limiter = new RateLimiter(store, { strategy: "sliding", limit: 1, window: 30000 });
+
+            expect((await limiter.consume("u")).allowed).toBe(true);
+            vi.advanceTimersByTime(10000);
+
+            const denied = await limiter.consume("u");
+            expect(denied.allowed).toBe(false);
+            expect(denied.retryAfter).toBe(50000);
+
+            vi.advanceTimersByTime(denied.retryAfter - 1);
+            expect((await limiter.consume("u")).allowed).toBe(false);
+            vi.advanceTimersByTime(1);
+            expect((await limiter.consume("u")).allowed).toBe(true);
+        });
+
+        it("does not let concurrent callers overshoot the limit", async () => {
+            const limiter = new RateLimiter(store, { strategy: "sliding", limit: 5, window: 60000 });
+            const results = await Promise.all(Array.from({ length: 20 }, () => limiter.consume("u")));
+            expect(results.filter((r) => r.allowed)).toHaveLength(5);
+        });
+    });
+
+    describe("token bucket", () => {
+        it("allows bursts up to the bucket size and refills over time", async () => {
+            const limiter = new RateLimiter(store, { strategy: "token", limit: 2, window: 30000 });
+
+            expect((await limiter.consume("u")).allowed).toBe(true);
+            expect((await limiter.consume("u")).allowed).toBe(true);
+
+            const denied = await limiter.consume("u");
+            expect(denied.allowed).toBe(false);
+            expect(denied.retryAfter).toBe(15000);
+
+            vi.advanceTimersByTime(15000);
+            expect(await limiter.consume("u")).toStrictEqual({ allowed: true, limit: 2, remaining: 0, retryAfter: 0 });
+        });
+
+        it("enforces a wait between replies", async () => {
+            const limiter = new RateLimiter(store, { strategy: "token", limit: 1, window: 30000 });
+
+            expect((await limiter.consume("reply:u")).allowed).toBe(true);
+            vi.advanceTimersByTime(12000);
+            expect((await limiter.consume("reply:u")).retryAfter).toBe(18000);
+        });
+
+        it("stays consistent under concurrent callers", async () => {
+            const limiter = new RateLimiter(store, { strategy: "token", limit: 3, window: 60000 });
+            const results = await Promise.all(Array.from({ length: 10 }, () => limiter.consume("u")));
+            expect(results.filter((r) => r.allowed)).toHaveLength(3);
+        });
+    });
+
+    it("resets recorded usage", async () => {
+        for (const strategy of ["fixed", "sliding", "token"]) {
+            const limiter = new RateLimiter(store, { strategy, limit: 1, window: 60000 });
+            await limiter.consume("u");
+            expect((await limiter.consume("u")).allowed).toBe(false);
+
+            await limiter.reset("u");
+            expect((await limiter.consume("u")).allowed).toBe(true);
+        }
+    });
+
+    it("keeps its keys in its own namespace", async () => {
+        const limiter = new RateLimiter(store, { limit: 1, window: 60000, prefix: "flood" });
+        await limiter.consume("u");
+        expect(await store.keys()).toStrictEqual([`flood:fixed:u:${Math.floor(Date.now() / 60000)}`]);
+    });
+});
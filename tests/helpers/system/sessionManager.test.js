@@ -0,0 +1,168 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { SessionManager } from "../../../src/helpers/system/sessionManager";
+import { DataStore } from "../../../src/helpers/system/datastore/datastore";
+import { MemoryAdapter } from "../../../src/helpers/system/datastore/adapters/memoryAdapter";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Unit tests for the session manager.
+ */
+describe("SessionManager", () => {
+    let adapter;
+    let sessions;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        adapter = new MemoryAdapter();
+        sessions = new SessionManager(new DataStore(adapter), { ttl: 30 * MINUTE });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("creates sessions with random URL-safe IDs", async () => {
+        const a = await sessions.create(1, { theme: "dark" });
+        const b = await sessions.create(1);
+
+        expect(a.id).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(a.id).not.toBe(b.id);
+        expect(a).toMatchObject({ userId: 1, data: { theme: "dark" }, remember: false });
+        expect((await sessions.get(a.id)).data).toStrictEqual({ theme: "dark" });
+    });
+
+    it("rejects short session IDs", () => {
+        expect(() => new SessionManager(adapter, { idBytes: 8 })).toThrow(TypeError);
+    });
+
+    it("stores sessions in the { v, e } envelope with a ttl", async () => {
+        const s = await sessions.create(1);
+        const wrapped = await adapter.get(`sessions:sess:${s.id}`);
+
+        expect(wrapped.v.id).toBe(s.id);
+        expect(wrapped.e).toBe(Date.now() + 30 * MINUTE);
+    });
+
+    it("slides the expiry forward on each read", async () => {
+        const s = await sessions.create(1);
+
+        vi.advanceTimersByTime(20 * MINUTE);
+        expect(await sessions.get(s.id)).toBeDefined();
+
+        vi.advanceTimersByTime(20 * MINUTE);
+        expect(await sessions.get(s.id)).toBeDefined();
+
+        vi.advanceTimersByTime(30 * MINUTE);
+        expect(await sessions.get(s.id)).toBeUndefined();
+    });
+
+    it("keeps remember-me sessions alive much longer", async () => {
+        const normal = await sessions.create(1);
+        const remembered = await sessions.create(1, {}, { remember: true });
+
+        vi.advanceTimersByTime(7 * DAY);
+        expect(await sessions.get(normal.id)).toBeUndefined();
+        expect((await sessions.get(remembered.id)).remember).toBe(true);
+
+        vi.advanceTimersByTime(31 * DAY);
+        expect(await sessions.get(remembered.id)).toBeUndefined();
+    });
+
+    it("updates session data", async () => {
+        const s = await sessions.create(1, { a: 1 });
+        await sessions.update(s.id, { a: 2 });
+
+        expect((await sessions.get(s.id)).data).toStrictEqual({ a: 2 });
+        expect(await sessions.update("missing", {})).toBeUndefined();
+    });
+
+    it("lists a user's live sessions and prunes expired ones", async () => {
+        const short = await sessions.create(1);
+        const long = await sessions.create(1, {}, { remember: true });
+        await sessions.create(2);
+
+        expect((await sessions.list(1)).map((s) => s.id)).toStrictEqual([short.id, long.id]);
+
+        vi.advanceTimersByTime(31 * MINUTE);
+        expect((await sessions.list(1)).map((s) => s.id)).toStrictEqual([long.id]);
+        expect((await adapter.get("sessions:user:1")).v).toStrictEqual([long.id]);
+        expect(await sessions.list(3)).toStrictEqual([]);
+    });
+
+    it("keeps the user index bounded without calls to list()", async () => {
+        const old = await sessions.create(1);
+        vi.advanceTimersByTime(31 * MINUTE);
+
+        const fresh = await sessions.create(1);
+        const index = await adapter.get("sessions:user:1");
+
+        expect(index.v).toStrictEqual([fresh.id]);
+        expect(index.v).not.toContain(old.id);
+    });
+
+    it("revokes a remember-me session that stays in use longer than rememberTtl", async () => {
+        const s = await sessions.create(1, {}, { remember: true });
+
+        for (let day = 0; day < 40; day++) {
+            vi.advanceTimersByTime(DAY);
+            expect(await sessions.get(s.id)).toBeDefined();
+        }
+
+        expect((await sessions.list(1)).map((x) => x.id)).toStrictEqual([s.id]);
+        expect(await sessions.destroyAll(1)).toBe(1);
+        expect(await sessions.get(s.id)).toBeUndefined();
+    });
+
+    it("revokes one or all sessions for a user", async () => {
+        const a = await sessions.create(1);
+        const b = await sessions.create(1);
+        const c = await sessions.create(1);
+
+        expect(await sessions.destroy(a.id)).toBe(true);
+        expect(await sessions.destroy(a.id)).toBe(false);
+        expect(await sessions.get(a.id)).toBeUndefined();
+
+        expect(await sessions.destroyAll(1, { except: c.id })).toBe(1);
+        expect(await sessions.get(b.id)).toBeUndefined();
+        expect((await sessions.list(1)).map((s) => s.id)).toStrictEqual([c.id]);
+
+        expect(await sessions.destroyAll(1)).toBe(1);
+        expect(await adapter.has("sessions:user:1")).toBe(false);
+    });
+
+    it("rotates the session ID on privilege change", async () => {
+        const s = await sessions.create(1, { role: "member" }, { remember: true });
+        const rotated = await sessions.rotate(s.id, { role: "moderator" });
+
+        expect(rotated.id).not.toBe(s.id);
+        expect(rotated).toMatchObject({ userId: 1, remember: true, createdAt: s.createdAt, data: { role: "moderator" } });
+        expect(await sessions.get(s.id)).toBeUndefined();
+        expect((await sessions.list(1)).map((x) => x.id)).toStrictEqual([rotated.id]);
+        expect(await sessions.rotate("missing")).toBeUndefined();
+    });
+
+    it("keeps the user index consistent under concurrent creation", async () => {
+        const created = await Promise.all(Array.from({ length: 10 }, () => sessions.create(1)));
+        expect((await sessions.list(1)).map((s) => s.id).sort()).toStrictEqual(created.map((s) => s.id).sort());
+    });
+
+    it("ignores invalid session IDs", async () => {
+        expect(await sessions.get(undefined)).toBeUndefined();
+        expect(await sessions.get("")).toBeUndefined();
+    });
+});
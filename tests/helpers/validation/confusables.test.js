@@ -0,0 +1,56 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { skeleton, isConfusable } from "../../../src/helpers/validation/confusables";
+
+/**
+ * Unit tests for the confusable skeleton helpers.
+ */
+describe("skeleton()", () => {
+    it("maps lookalikes from other scripts to Latin", () => {
+        expect(skeleton("аdmіn")).toBe("admin");
+        expect(skeleton("ΑDΜΙΝ")).toBe("admin");
+        expect(skeleton("ΡΑΥΡΑL")).toBe("paypal");
+    });
+
+    it("ignores case, width, accents and invisible characters", () => {
+        expect(skeleton("ＡｄＭｉｎ")).toBe("admin");
+        expect(skeleton("ádmìn")).toBe("admin");
+        expect(skeleton("ad​min")).toBe("admin");
+    });
+
+    it("maps lookalike digits and letter sequences", () => {
+        expect(skeleton("g00gle")).toBe("google");
+        expect(skeleton("rnoderator", { sequences: true })).toBe("moderator");
+    });
+
+    it("only folds letter sequences when asked", () => {
+        expect(skeleton("clara")).toBe("clara");
+        expect(skeleton("clara", { sequences: true })).toBe("dara");
+    });
+
+    it("returns an empty string for non-strings", () => {
+        expect(skeleton(null)).toBe("");
+    });
+});
+
+/**
+ * Unit tests for isConfusable.
+ */
+describe("isConfusable()", () => {
+    it("compares strings by skeleton", () => {
+        expect(isConfusable("paypal", "pаypa1")).toBe(true);
+        expect(isConfusable("paypal", "paypa")).toBe(false);
+    });
+});
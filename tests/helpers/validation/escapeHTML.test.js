@@ -12,7 +12,17 @@
  */
 
 import { describe, it, expect } from "vitest";
-import { escapeHTML, createEscaper } from "../../../src/helpers/validation/escapeHTML";
+import {
+    escapeHTML,
+    escapeAttr,
+    escapeURL,
+    escapeJSString,
+    escapeCSS,
+    escapeJSON,
+    unescapeHTML,
+    normalizeEntities,
+    createEscaper,
+} from "../../../src/helpers/validation/escapeHTML";
 
 /**
  * Unit tests to validate escapeHTML defaults.
@@ -115,4 +125,118 @@ describe("escapeHTML (edge cases)", () => {
         const out = escapeHTML(input);
         expect(out).toBe("5 &amp; 6 &amp; 7 &lt; 8 &gt;");
     });
-});
\ No newline at end of file
+});
+
+/**
+ * Unit tests for the context-specific escapers.
+ */
+describe("context escapers", () => {
+    it("escapeAttr escapes everything that could end an attribute", () => {
+        expect(escapeAttr('x" onmouseover="alert(1)')).toBe("x&#x22;&#x20;onmouseover&#x3d;&#x22;alert&#x28;1&#x29;");
+        expect(escapeAttr("a b`c")).toBe("a&#x20;b&#x60;c");
+        expect(escapeAttr("über_name-1.0")).toBe("&#xfc;ber_name-1.0");
+    });
+
+    it("escapeURL rejects unsafe schemes and encodes invalid characters", () => {
+        expect(escapeURL("javascript:alert(1)")).toBe("about:invalid");
+        expect(escapeURL("data:text/html,<script>alert(1)</script>", { fallback: "#" })).toBe("#");
+        expect(escapeURL("https://example.com/a b\"<x>'?q=%41")).toBe("https://example.com/a%20b%22%3Cx%3E%27?q=%41");
+        expect(escapeURL("Tom & Jerry's (1)", { component: true })).toBe("Tom%20%26%20Jerry%27s%20%281%29");
+    });
+
+    it("escapeURL encodes characters outside the BMP and lone surrogates", () => {
+        expect(escapeURL("https://example.com/😀?q=é")).toBe("https://example.com/%F0%9F%98%80?q=%C3%A9");
+        expect(escapeURL("/a\uD800b")).toBe("/a%EF%BF%BDb");
+        expect(escapeURL("😀\uDC00", { component: true })).toBe("%F0%9F%98%80%EF%BF%BD");
+    });
+
+    it("escapeJSString prevents breaking out of strings and scripts", () => {
+        expect(escapeJSString("\"; alert(1); //")).toBe("\\x22\\x3b\\x20alert\\x281\\x29\\x3b\\x20\\x2f\\x2f");
+        expect(escapeJSString("</script>")).toBe("\\x3c\\x2fscript\\x3e");
+        expect(escapeJSString("a\u2028b\\")).toBe("a\\u2028b\\x5c");
+    });
+
+    it("escapeCSS prevents breaking out of declarations", () => {
+        expect(escapeCSS("red; background: url(javascript:x)")).toBe("red\\3b \\20 background\\3a \\20 url\\28 javascript\\3a x\\29 ");
+        expect(escapeCSS("</style>")).toBe("\\3c \\2f style\\3e ");
+    });
+
+    it("escapeJSON produces JSON that cannot end a script block", () => {
+        const json = escapeJSON({ title: "</script><!--<script>", n: 1 });
+
+        expect(json).toBe("{\"title\":\"\\u003c/script\\u003e\\u003c!--\\u003cscript\\u003e\",\"n\":1}");
+        expect(JSON.parse(json).title).toBe("</script><!--<script>");
+        expect(escapeJSON(undefined)).toBe("null");
+    });
+
+    it("createEscaper builds escapers for each context", () => {
+        expect(createEscaper({ context: "attr" })("a b")).toBe("a&#x20;b");
+        expect(createEscaper({ context: "url", component: true })("a&b")).toBe("a%26b");
+        expect(createEscaper({ context: "json" })(["<"])).toBe("[\"\\u003c\"]");
+        expect(() => createEscaper({ context: "sql" })).toThrow(TypeError);
+    });
+});
+
+/**
+ * Unit tests for decoding entities.
+ */
+describe("unescapeHTML", () => {
+    it("decodes named references from the full HTML5 table", () => {
+        expect(unescapeHTML("&lt;b&gt; &quot;&apos; &copy; &hearts; &NotEqualTilde; &Afr;")).toBe("<b> \"' © ♥ \u2242\u0338 \u{1D504}");
+    });
+
+    it("decodes only one level of escaping", () => {
+        expect(unescapeHTML("&amp;amp; &amp;lt;")).toBe("&amp; &lt;");
+    });
+
+    it("decodes decimal and hex references", () => {
+        expect(unescapeHTML("&#65;&#x42;&#X43; &#128512;&#x1f600;")).toBe("ABC 😀😀");
+    });
+
+    it("replaces invalid code points with U+FFFD", () => {
+        expect(unescapeHTML("&#0;&#xD800;&#xDFFF;&#x110000;&#99999999999;")).toBe("\uFFFD".repeat(5));
+    });
+
+    it("reads 0x80-0x9F as Windows-1252", () => {
+        expect(unescapeHTML("&#128;&#x93;hi&#x94;&#150;")).toBe("€“hi”–");
+    });
+
+    it("decodes legacy names without a semicolon", () => {
+        expect(unescapeHTML("&copy 2024 &copy2024 &amp &notin; &notit;")).toBe("© 2024 ©2024 & ∉ ¬it;");
+        expect(unescapeHTML("&hellip &bogus; & &#;")).toBe("&hellip &bogus; & &#;");
+    });
+
+    it("keeps query parameters in attribute values", () => {
+        expect(unescapeHTML("?a=1&copy=2&not3", { attribute: true })).toBe("?a=1&copy=2&not3");
+        expect(unescapeHTML("?a=1&copy=2")).toBe("?a=1©=2");
+    });
+
+    it("returns empty string for non-string input", () => {
+        expect(unescapeHTML(null)).toBe("");
+    });
+
+    it("reverses escapeHTML", () => {
+        const input = `<a href="x">Tom & Jerry's</a>`;
+        expect(unescapeHTML(escapeHTML(input))).toBe(input);
+    });
+});
+
+/**
+ * Unit tests for normalizing entities.
+ */
+describe("normalizeEntities", () => {
+    it("rewrites mixed escaping into one form", () => {
+        expect(normalizeEntities("Tom &#38; Jerry &AMP; &lt;3 &copy 2024 & <b>")).toBe(
+            "Tom &amp; Jerry &amp; &lt;3 © 2024 &amp; &lt;b&gt;"
+        );
+    });
+
+    it("is stable when applied twice", () => {
+        const once = normalizeEntities("&amp;amp; &#x3C;&quot;&eacute;");
+        expect(normalizeEntities(once)).toBe(once);
+    });
+
+    it("can write non-ASCII characters as numeric references", () => {
+        expect(normalizeEntities("café &eacute; 😀", { ascii: true })).toBe("caf&#xe9; &#xe9; &#x1f600;");
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { MessageCatalog, formatReason, formatReasons } from "../../../src/helpers/validation/messages";
+import { validateUsername } from "../../../src/helpers/validation/validateUsername";
+import { passwordStrength } from "../../../src/helpers/validation/passwordStrength";
+
+/**
+ * Unit tests for the validator message catalog.
+ */
+describe("MessageCatalog", () => {
+    it("formats English messages with parameters", () => {
+        const catalog = new MessageCatalog();
+        expect(catalog.format("too_short", { min: 3 })).toBe("Must be at least 3 characters long.");
+        expect(catalog.format("too_long", { max: 1 })).toBe("Must be at most 1 character long.");
+        expect(catalog.format("too_short")).toBe("Is too short.");
+    });
+
+    it("passes the part after the colon as {arg}", () => {
+        const catalog = new MessageCatalog();
+        expect(catalog.format("consecutive:_")).toBe("Must not contain \"_\" more than once in a row.");
+        expect(catalog.format("disallowed_pattern:^admin")).toBe("Contains a word or pattern that is not allowed.");
+    });
+
+    it("uses registered locales with plural rules", () => {
+        const catalog = new MessageCatalog().register("pl", {
+            too_short: {
+                count: "min",
+                one: "Minimum {min} znak.",
+                few: "Minimum {min} znaki.",
+                many: "Minimum {min} znaków.",
+            },
+        });
+
+        expect(catalog.format("too_short", { min: 1 }, "pl")).toBe("Minimum 1 znak.");
+        expect(catalog.format("too_short", { min: 3 }, "pl")).toBe("Minimum 3 znaki.");
+        expect(catalog.format("too_short", { min: 5 }, "pl")).toBe("Minimum 5 znaków.");
+    });
+
+    it("falls back to the base language and then to English", () => {
+        const catalog = new MessageCatalog().register("pt", { blacklisted: "Este nome não está disponível." });
+        expect(catalog.format("blacklisted", {}, "pt-BR")).toBe("Este nome não está disponível.");
+        expect(catalog.format("invalid_chars", {}, "pt-BR")).toBe("Contains characters that are not allowed.");
+    });
+
+    it("supports function messages and a default locale", () => {
+        const catalog = new MessageCatalog({ locale: "fr" }).register("fr", {
+            too_long: ({ max }) => `Maximum ${max} caractères.`,
+        });
+        expect(catalog.format("too_long", { max: 20 })).toBe("Maximum 20 caractères.");
+    });
+
+    it("falls back gracefully for custom codes", () => {
+        const catalog = new MessageCatalog();
+        expect(catalog.has("name_taken")).toBe(false);
+        expect(catalog.format("name_taken")).toBe("Name taken.");
+        expect(catalog.format("Please pick a different name")).toBe("Please pick a different name");
+    });
+
+    it("rejects invalid locales", () => {
+        expect(() => new MessageCatalog().register("", {})).toThrow(TypeError);
+    });
+});
+
+/**
+ * Unit tests for formatting validator results with the shared catalog.
+ */
+describe("formatReasons()", () => {
+    it("formats username validation results using the rules as parameters", () => {
+        const rules = { min: 4, noConsecutive: ["_"] };
+        const result = validateUsername("a__", rules);
+        expect(formatReasons(result.reasons, rules)).toEqual([
+            "Must be at least 4 characters long.",
+            "Must not contain \"_\" more than once in a row.",
+        ]);
+    });
+
+    it("formats password strength reasons", () => {
+        const messages = formatReasons(passwordStrength("P@ssw0rd").reasons);
+        expect(messages).toContain("Is one of the most commonly used passwords.");
+    });
+
+    it("formats a single reason", () => {
+        expect(formatReason("missing_number")).toBe("Must contain a number.");
+    });
+});
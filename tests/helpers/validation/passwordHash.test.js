@@ -0,0 +1,97 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { hashPassword, verifyPassword, needsRehash } from "../../../src/helpers/validation/passwordHash";
+
+// Low costs keep the tests fast; production defaults are much higher
+const fastScrypt = { cost: 2 ** 10 };
+const fastPbkdf2 = { algorithm: "pbkdf2", iterations: 1000 };
+
+/**
+ * Unit tests for the password hashing helpers.
+ */
+describe("hashPassword()", () => {
+    it("produces a self-describing scrypt hash", async () => {
+        const hash = await hashPassword("hunter2", fastScrypt);
+        expect(hash).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/);
+    });
+
+    it("produces a self-describing PBKDF2 hash", async () => {
+        const hash = await hashPassword("hunter2", { ...fastPbkdf2, digest: "sha512" });
+        expect(hash).toMatch(/^\$pbkdf2-sha512\$i=1000\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/);
+    });
+
+    it("uses a random salt for every hash", async () => {
+        const a = await hashPassword("same", fastScrypt);
+        const b = await hashPassword("same", fastScrypt);
+        expect(a).not.toBe(b);
+    });
+
+    it("rejects invalid input and options", async () => {
+        await expect(hashPassword(null)).rejects.toThrow(TypeError);
+        await expect(hashPassword("x", { algorithm: "md5" })).rejects.toThrow(TypeError);
+        await expect(hashPassword("x", { cost: 1000 })).rejects.toThrow(TypeError);
+        await expect(hashPassword("x", { algorithm: "pbkdf2", digest: "sha1" })).rejects.toThrow(TypeError);
+    });
+});
+
+describe("verifyPassword()", () => {
+    it("verifies scrypt and PBKDF2 hashes", async () => {
+        for (const opts of [fastScrypt, fastPbkdf2]) {
+            const hash = await hashPassword("correct horse", opts);
+            expect(await verifyPassword("correct horse", hash)).toBe(true);
+            expect(await verifyPassword("correct horsE", hash)).toBe(false);
+        }
+    });
+
+    it("normalizes unicode before hashing", async () => {
+        const hash = await hashPassword("café", fastScrypt);
+        expect(await verifyPassword("café", hash)).toBe(true);
+    });
+
+    it("returns false for malformed hashes or non-string passwords", async () => {
+        const hash = await hashPassword("pw", fastScrypt);
+
+        expect(await verifyPassword(123, hash)).toBe(false);
+        expect(await verifyPassword("pw", "not a hash")).toBe(false);
+        expect(await verifyPassword("pw", "$scrypt$ln=99,r=8,p=1$abc$def")).toBe(false);
+        expect(await verifyPassword("pw", "$bcrypt$x$abc$def")).toBe(false);
+        expect(await verifyPassword("pw", hash.replace(/\$[^$]+$/, "$!!!"))).toBe(false);
+        expect(await verifyPassword("pw", undefined)).toBe(false);
+    });
+});
+
+describe("needsRehash()", () => {
+    it("is false when the settings match", async () => {
+        const hash = await hashPassword("pw", fastScrypt);
+        expect(needsRehash(hash, fastScrypt)).toBe(false);
+    });
+
+    it("is true when the cost parameters change", async () => {
+        const hash = await hashPassword("pw", fastScrypt);
+        expect(needsRehash(hash, { cost: 2 ** 11 })).toBe(true);
+        expect(needsRehash(hash, { ...fastScrypt, blockSize: 16 })).toBe(true);
+    });
+
+    it("is true when switching algorithms or raising PBKDF2 iterations", async () => {
+        const hash = await hashPassword("pw", fastPbkdf2);
+        expect(needsRehash(hash, fastPbkdf2)).toBe(false);
+        expect(needsRehash(hash, { ...fastPbkdf2, iterations: 2000 })).toBe(true);
+        expect(needsRehash(hash, fastScrypt)).toBe(true);
+    });
+
+    it("is true for malformed hashes", () => {
+        expect(needsRehash("garbage")).toBe(true);
+    });
+});
@@ -25,7 +25,7 @@ describe("passwordStrength()", () => {
     });
 
     it("recongizes mixed-case strong passwords", () => {
-        const result = passwordStrength("Abc123!1");
+        const result = passwordStrength("Xk9#mQ2!");
         expect(result.label).toMatch(/good|strong|very_strong/);
     });
 
@@ -51,4 +51,54 @@ describe("passwordStrength()", () => {
         expect(passwordStrength(null).label).toBe("invalid");
         expect(passwordStrength(undefined).label).toBe("invalid");
     });
-});
\ No newline at end of file
+
+    it("returns an entropy estimate and feedback", () => {
+        const result = passwordStrength("Xk9#mQ2!");
+        expect(result.entropy).toBeGreaterThan(40);
+        expect(Array.isArray(result.feedback)).toBe(true);
+    });
+
+    it("rates dictionary words with predictable decorations as weak", () => {
+        const result = passwordStrength("Password1!");
+        expect(result.label).toBe("weak");
+        expect(result.reasons).toContain("dictionary_word");
+        expect(result.feedback.length).toBeGreaterThan(0);
+    });
+
+    it("flags common passwords even with l33t substitutions", () => {
+        const result = passwordStrength("P@ssw0rd");
+        expect(result.score).toBe(0);
+        expect(result.reasons).toContain("common_password");
+        expect(result.reasons).toContain("l33t_substitution");
+    });
+
+    it("detects keyboard walks", () => {
+        const result = passwordStrength("Zxcvbn!9Qa");
+        expect(result.reasons).toContain("keyboard_walk");
+    });
+
+    it("detects sequences, repeats and dates", () => {
+        expect(passwordStrength("Kf!abcdefg").reasons).toContain("sequence");
+        expect(passwordStrength("Kf!xxxxxxx").reasons).toContain("repeated");
+        expect(passwordStrength("Kf!31/12/1999").reasons).toContain("date");
+    });
+
+    it("penalizes user-supplied words", () => {
+        const rules = { userInputs: ["nodebysam", "Retro BBS"] };
+        const result = passwordStrength("Nodebysam#42", rules);
+        expect(result.reasons).toContain("user_input");
+        expect(result.score).toBeLessThan(passwordStrength("Nodebysam#42").score);
+    });
+
+    it("accepts a custom dictionary", () => {
+        const result = passwordStrength("Floppydisk!7", { dictionary: ["floppydisk"] });
+        expect(result.reasons).toContain("dictionary_word");
+        expect(passwordStrength("Floppydisk!7", { dictionary: [] }).reasons).not.toContain("dictionary_word");
+    });
+
+    it("scores long random passphrases highly", () => {
+        const result = passwordStrength("mauve-Otter-71-kiln");
+        expect(result.label).toBe("very_strong");
+        expect(result.reasons).toEqual([]);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * BBSKit
+ * A NodeJS bulletin board system kit that provides various
+ * useful helpers for building a bulletin board system.
+ * 
+ * By Sam Wilcox aka NodeBySam
+ * https://github.com/nodebysam/bbskit
+ * 
+ * BBSKit is released under the MIT license.
+ * For further details, please see the LICENSE file in the
+ * root directory.
+ */
+
+import { describe, it, expect } from "vitest";
+import { sanitizeHTML, createHTMLSanitizer, FORUM_POST_POLICY } from "../../../src/helpers/validation/sanitizeHTML";
+
+/**
+ * Unit tests for the HTML sanitizer.
+ */
+describe("sanitizeHTML()", () => {
+    it("keeps allowed tags and attributes", () => {
+        expect(sanitizeHTML("<p>Hi <b>there</b><br><img src=\"/a.png\" alt=\"A\"></p>")).toBe(
+            "<p>Hi <b>there</b><br><img src=\"/a.png\" alt=\"A\"></p>"
+        );
+    });
+
+    it("removes disallowed tags but keeps their content", () => {
+        expect(sanitizeHTML("<h1>Big</h1> <font color=red>red</font>")).toBe("Big red");
+    });
+
+    it("removes dangerous tags together with their content", () => {
+        expect(sanitizeHTML("a<script>alert(1)</script>b<style>*{}</style>c<svg><script>x</script></svg>d")).toBe("abcd");
+        expect(sanitizeHTML("<textarea><b>x</b></textarea>y")).toBe("y");
+        expect(sanitizeHTML("<script>never closed")).toBe("");
+    });
+
+    it("finds the end of dropped tags when the text changes length when lowercased", () => {
+        expect(sanitizeHTML(`<script>${"İ".repeat(20)}</SCRIPT><p>keep me</p> tail`)).toBe("<p>keep me</p> tail");
+        expect(sanitizeHTML("<style>x</stylex></style >y")).toBe("y");
+    });
+
+    it("removes disallowed attributes and event handlers", () => {
+        expect(sanitizeHTML("<b class=\"x\" onclick=\"steal()\">t</b>")).toBe("<b>t</b>");
+        expect(sanitizeHTML("<IMG SRC=x ONERROR=alert(1)>")).toBe("<img src=\"x\">");
+        expect(sanitizeHTML("<b onmouseover=alert(1)>t</b>", { tags: { b: ["onmouseover"] } })).toBe("<b>t</b>");
+    });
+
+    it("drops javascript: and data: URLs, including encoded ones", () => {
+        expect(sanitizeHTML("<a href=\"javascript:alert(1)\">x</a>")).toBe("<a rel=\"nofollow ugc\">x</a>");
+        expect(sanitizeHTML("<a href=\"jav&#x09;ascript&colon;alert(1)\">x</a>")).toBe("<a rel=\"nofollow ugc\">x</a>");
+        expect(sanitizeHTML("<a href=\"&#106;avascript:alert(1)\">x</a>")).toBe("<a rel=\"nofollow ugc\">x</a>");
+        expect(sanitizeHTML("<a href=\"java&Tab;script&colon;alert(1)\">x</a>")).toBe("<a rel=\"nofollow ugc\">x</a>");
+        expect(sanitizeHTML("<img src=\"data:image/svg+xml;base64,PHN2Zz4=\">")).toBe("<img>");
+    });
+
+    it("keeps query parameters that look like entities", () => {
+        expect(sanitizeHTML("<a href=\"/search?q=1&copy=2&amp;x=&lt;\">s</a>")).toBe(
+            "<a href=\"/search?q=1&amp;copy=2&amp;x=&lt;\" rel=\"nofollow ugc\">s</a>"
+        );
+    });
+
+    it("forces rel on links", () => {
+        expect(sanitizeHTML("<a href=\"https://example.com\" rel=\"author\">y</a>")).toBe(
+            "<a href=\"https://example.com\" rel=\"nofollow ugc\">y</a>"
+        );
+        expect(sanitizeHTML("<a href=\"/x\">y</a>", { rel: null })).toBe("<a href=\"/x\">y</a>");
+    });
+
+    it("escapes attribute values and stray text", () => {
+        expect(sanitizeHTML("<a title='say \"hi\"' href=\"x>y\">q</a>")).toBe(
+            "<a title=\"say &quot;hi&quot;\" href=\"x&gt;y\" rel=\"nofollow ugc\">q</a>"
+        );
+        expect(sanitizeHTML("1 < 2 && 3 > 2 &copy;")).toBe("1 &lt; 2 &amp;&amp; 3 &gt; 2 &copy;");
+        expect(sanitizeHTML("<a")).toBe("&lt;a");
+    });
+
+    it("removes comments and declarations", () => {
+        expect(sanitizeHTML("<!-- <script>x</script> -->after<!DOCTYPE html><?xml x?>")).toBe("after");
+    });
+
+    it("closes unbalanced and mis-nested tags", () => {
+        expect(sanitizeHTML("<p>unclosed <em>em")).toBe("<p>unclosed <em>em</em></p>");
+        expect(sanitizeHTML("<b><i>x</b>y</i>")).toBe("<b><i>x</i></b>y");
+        expect(sanitizeHTML("</div>stray")).toBe("stray");
+        expect(sanitizeHTML("<ul><li>one<li>two</ul>")).toBe("<ul><li>one</li><li>two</li></ul>");
+    });
+
+    it("does not let split tags through", () => {
+        expect(sanitizeHTML("<scr<script>ipt>alert(1)</script>")).not.toMatch(/<script/i);
+    });
+
+    it("accepts a custom policy", () => {
+        expect(sanitizeHTML("<b>bold</b> <i>italic</i>", { tags: { b: [] } })).toBe("<b>bold</b> italic");
+        expect(sanitizeHTML("<a href=\"ftp://x\">f</a>", { protocols: ["ftp"] })).toBe("<a href=\"ftp://x\" rel=\"nofollow ugc\">f</a>");
+    });
+
+    it("returns an empty string for non-strings", () => {
+        expect(sanitizeHTML(null)).toBe("");
+    });
+});
+
+/**
+ * Unit tests for creating a reusable HTML sanitizer.
+ */
+describe("createHTMLSanitizer()", () => {
+    it("binds the policy", () => {
+        const sanitize = createHTMLSanitizer({ tags: { ...FORUM_POST_POLICY.tags, img: [] } });
+        expect(sanitize("<img src=\"x.gif\"><b>Sam</b>")).toBe("<img><b>Sam</b>");
+    });
+});
@@ -12,7 +12,33 @@
  */
 
 import { describe, it, expect } from "vitest";
-import { validateEmail } from "../../../src/helpers/validation/validateEmail";
+import { validateEmail, parseEmail, validateEmailAsync, checkMailDomain } from "../../../src/helpers/validation/validateEmail";
+import { MemoryAdapter } from "../../../src/helpers/system/datastore/adapters/memoryAdapter";
+
+/**
+ * Build a stub DNS resolver from a table of records and count the queries made.
+ * 
+ * @param {Object<string, { mx?: Array, a?: string[], aaaa?: string[], error?: string }>} zones - Records by domain.
+ * @returns {Object} The resolver.
+ */
+const stubResolver = (zones) => {
+    const resolver = { queries: 0 };
+
+    const answer = (type) => async (domain) => {
+        resolver.queries++;
+        const zone = zones[domain];
+
+        if (zone?.error) throw Object.assign(new Error(zone.error), { code: zone.error });
+        if (!zone) throw Object.assign(new Error("not found"), { code: "ENOTFOUND" });
+        if (!zone[type]) throw Object.assign(new Error("no data"), { code: "ENODATA" });
+        return zone[type];
+    };
+
+    resolver.resolveMx = answer("mx");
+    resolver.resolve4 = answer("a");
+    resolver.resolve6 = answer("aaaa");
+    return resolver;
+};
 
 /**
  * Unit tests for unit testing the validation/validateEmail method.
@@ -46,6 +72,169 @@ describe("validateEmail()", () => {
 
     it("returns false for invalid characters", () => {
         expect(validateEmail("user@@example.com")).toBe(false);
-        expect(validateEmail("user!@example.com")).toBe(false);
+        expect(validateEmail("user name@example.com")).toBe(false);
+    });
+});
+
+/**
+ * Unit tests for the structured RFC 5321/5322 email validator.
+ */
+describe("parseEmail()", () => {
+    it("returns the parts of a valid address", () => {
+        expect(parseEmail("User@Example.com")).toEqual({
+            ok: true,
+            reasons: [],
+            local: "User",
+            domain: "example.com",
+            unicodeDomain: "example.com",
+            normalized: "user@example.com",
+        });
+    });
+
+    it("accepts valid addresses the old pattern rejected", () => {
+        expect(parseEmail("user!#$&'*/=?^`{|}~@example.com").ok).toBe(true);
+        expect(parseEmail('"john doe"@example.com').ok).toBe(true);
+        expect(parseEmail('"a@b"@example.com').local).toBe('"a@b"');
+        expect(parseEmail("first.last+tag@sub.example.co.uk").ok).toBe(true);
+    });
+
+    it("rejects misplaced dots in the local part", () => {
+        expect(parseEmail("john..doe@example.com").reasons).toContain("local_invalid");
+        expect(parseEmail(".john@example.com").reasons).toContain("local_invalid");
+        expect(parseEmail("john.@example.com").reasons).toContain("local_invalid");
+    });
+
+    it("rejects invalid domain labels", () => {
+        expect(parseEmail("user@-example.com").reasons).toContain("domain_invalid");
+        expect(parseEmail("user@example-.com").reasons).toContain("domain_invalid");
+        expect(parseEmail("user@example..com").reasons).toContain("domain_invalid");
+        expect(parseEmail("user@localhost").reasons).toContain("no_tld");
+        expect(parseEmail("user@localhost", { requireTld: false }).ok).toBe(true);
+    });
+
+    it("enforces RFC length limits", () => {
+        expect(parseEmail(`${"a".repeat(64)}@example.com`).ok).toBe(true);
+        expect(parseEmail(`${"a".repeat(65)}@example.com`).reasons).toContain("local_too_long");
+        expect(parseEmail(`user@${"a".repeat(64)}.com`).reasons).toContain("label_too_long");
+
+        const long = `${"a".repeat(60)}@${Array(5).fill("b".repeat(60)).join(".")}.com`;
+        expect(parseEmail(long).reasons).toContain("address_too_long");
+    });
+
+    it("converts internationalized domains to punycode", () => {
+        const r = parseEmail("user@Bücher.de");
+        expect(r.ok).toBe(true);
+        expect(r.domain).toBe("xn--bcher-kva.de");
+        expect(r.unicodeDomain).toBe("bücher.de");
+    });
+
+    it("only allows non-ASCII local parts when enabled", () => {
+        expect(parseEmail("jöhn@example.com").ok).toBe(false);
+        expect(parseEmail("jöhn@example.com", { allowUnicodeLocal: true }).ok).toBe(true);
+    });
+
+    it("only allows IP literals when enabled", () => {
+        expect(parseEmail("user@[192.0.2.1]").reasons).toContain("ip_literal");
+        expect(parseEmail("user@[192.0.2.1]", { allowIpLiteral: true }).ok).toBe(true);
+        expect(parseEmail("user@[IPv6:2001:db8::1]", { allowIpLiteral: true }).ok).toBe(true);
+        expect(parseEmail("user@[300.0.0.1]", { allowIpLiteral: true }).ok).toBe(false);
+    });
+
+    it("blocks disposable domains when enabled", () => {
+        expect(parseEmail("x@mailinator.com").ok).toBe(true);
+        expect(parseEmail("x@mailinator.com", { blockDisposable: true }).reasons).toContain("disposable_domain");
+        expect(parseEmail("x@eu.mailinator.com", { blockDisposable: true }).reasons).toContain("disposable_domain");
+        expect(parseEmail("x@burner.test", { blockDisposable: true, disposableDomains: ["burner.test"] }).ok).toBe(false);
+    });
+
+    it("normalizes provider aliases for duplicate detection", () => {
+        expect(parseEmail("J.Doe+forum@GoogleMail.com").normalized).toBe("jdoe@gmail.com");
+        expect(parseEmail("jane+bbs@outlook.com").normalized).toBe("jane@outlook.com");
+        expect(parseEmail("jane.doe+bbs@example.com").normalized).toBe("jane.doe+bbs@example.com");
+        expect(parseEmail("bad@").normalized).toBe("");
+    });
+
+    it("returns not_a_string for non-strings", () => {
+        expect(parseEmail(null).reasons).toEqual(["not_a_string"]);
+    });
+});
+
+/**
+ * Unit tests for the async email validator and mail domain checks.
+ */
+describe("validateEmailAsync()", () => {
+    const zones = {
+        "example.com": { mx: [{ exchange: "mx.example.com", priority: 10 }] },
+        "a-only.test": { a: ["192.0.2.1"] },
+        "v6-only.test": { aaaa: ["2001:db8::1"] },
+        "nullmx.test": { mx: [{ exchange: ".", priority: 0 }], a: ["192.0.2.1"] },
+        "broken.test": { error: "ETIMEOUT" },
+        "xn--bcher-kva.de": { mx: [{ exchange: "mx.bücher.de", priority: 10 }] },
+    };
+
+    it("accepts domains with MX records", async () => {
+        const r = await validateEmailAsync("user@example.com", { resolver: stubResolver(zones) });
+        expect(r.ok).toBe(true);
+        expect(r.normalized).toBe("user@example.com");
+    });
+
+    it("falls back to A and AAAA records", async () => {
+        const resolver = stubResolver(zones);
+        expect(await checkMailDomain("a-only.test", { resolver })).toEqual({ ok: true, via: "a" });
+        expect(await checkMailDomain("v6-only.test", { resolver })).toEqual({ ok: true, via: "aaaa" });
+    });
+
+    it("reports domains with no mail servers", async () => {
+        const resolver = stubResolver(zones);
+        expect((await validateEmailAsync("user@missing.test", { resolver })).reasons).toEqual(["no_mail_servers"]);
+        expect((await validateEmailAsync("user@nullmx.test", { resolver })).reasons).toEqual(["no_mail_servers"]);
+    });
+
+    it("reports DNS failures separately", async () => {
+        const r = await validateEmailAsync("user@broken.test", { resolver: stubResolver(zones) });
+        expect(r.ok).toBe(false);
+        expect(r.reasons).toEqual(["dns_lookup_failed"]);
+    });
+
+    it("looks up internationalized domains by their ASCII form", async () => {
+        expect((await validateEmailAsync("user@bücher.de", { resolver: stubResolver(zones) })).ok).toBe(true);
+    });
+
+    it("skips the lookup for addresses that are already invalid", async () => {
+        const resolver = stubResolver(zones);
+        const r = await validateEmailAsync("bad@", { resolver });
+        expect(r.reasons).toEqual(["domain_empty"]);
+        expect(resolver.queries).toBe(0);
+    });
+
+    it("caches lookups in the datastore", async () => {
+        const resolver = stubResolver(zones);
+        const store = new MemoryAdapter();
+
+        await validateEmailAsync("one@missing.test", { resolver, store });
+        const queries = resolver.queries;
+        const r = await validateEmailAsync("two@missing.test", { resolver, store });
+
+        expect(r.reasons).toEqual(["no_mail_servers"]);
+        expect(resolver.queries).toBe(queries);
+    });
+
+    it("does not cache DNS failures", async () => {
+        const resolver = stubResolver(zones);
+        const store = new MemoryAdapter();
+
+        await checkMailDomain("broken.test", { resolver, store });
+        await checkMailDomain("broken.test", { resolver, store });
+        expect(resolver.queries).toBe(2);
+    });
+
+    it("expires cached lookups after the TTL", async () => {
+        const resolver = stubResolver(zones);
+        const store = new MemoryAdapter();
+
+        await checkMailDomain("example.com", { resolver, store, cacheTtl: 10 });
+        await new Promise((r) => setTimeout(r, 20));
+        await checkMailDomain("example.com", { resolver, store, cacheTtl: 10 });
+        expect(resolver.queries).toBe(2);
     });
-});
\ No newline at end of file
+});
@@ -12,7 +12,18 @@
  */
 
 import { describe, it, expect } from "vitest";
-import { validateUsername, createUsernameValidator } from "../../../src/helpers/validation/validateUsername";
+import {
+    validateUsername,
+    validateUsernameAsync,
+    createUsernameValidator,
+    claimUsername,
+    releaseUsername,
+    isUsernameClaimed,
+    usernamePreset,
+    USERNAME_PRESETS,
+} from "../../../src/helpers/validation/validateUsername";
+import { RESERVED_USERNAMES, PROFANITY } from "../../../src/helpers/validation/usernameLists";
+import { MemoryAdapter } from "../../../src/helpers/system/datastore/adapters/memoryAdapter";
 
 const baseRules = {
     min: 3,
@@ -94,4 +105,189 @@ describe("validateUsername (rule-driven)", () => {
         expect(r.ok).toBe(true);
         expect(r.reasons).toStrictEqual([]);
     });
-});
\ No newline at end of file
+});
+
+/**
+ * Unit tests for the Unicode-aware checks in validateUsername.
+ */
+describe("validateUsername (unicode)", () => {
+    const strict = { unicodeNormalize: true, allowMixedScript: false, allowInvisible: false, confusables: true };
+
+    it("keeps the Unicode checks off unless the rules turn them on", () => {
+        expect(validateUsername("Ｊｏｈｎ").value).toBe("Ｊｏｈｎ");
+        expect(validateUsername("pаypal").ok).toBe(true);
+        expect(validateUsername("ad\u200Bmin").ok).toBe(true);
+        expect(validateUsername("Admin", { blacklist: ["admin"] }).ok).toBe(true);
+        expect(validateUsername("admin", { blacklist: ["admin"] }).reasons).toStrictEqual(["blacklisted"]);
+    });
+
+    it("counts user-perceived characters for length checks", () => {
+        expect(validateUsername("😀😀", { max: 2 }).ok).toBe(true);
+        expect(validateUsername("👨‍👩‍👧", { min: 1, max: 1 }).ok).toBe(true);
+        expect(validateUsername("José", { max: 4 }).ok).toBe(true);
+    });
+
+    it("applies NFKC normalization", () => {
+        const r = validateUsername("Ｊｏｈｎ", strict);
+        expect(r.ok).toBe(true);
+        expect(r.value).toBe("John");
+    });
+
+    it("rejects mixed scripts unless allowed", () => {
+        expect(validateUsername("pаypal", strict).reasons).toContain("mixed_script");
+        expect(validateUsername("pаypal", { ...strict, allowMixedScript: true }).ok).toBe(true);
+        expect(validateUsername("Иван", strict).ok).toBe(true);
+        expect(validateUsername("山田taro", strict).ok).toBe(true);
+    });
+
+    it("rejects invisible characters", () => {
+        expect(validateUsername("ad\u200Bmin", strict).reasons).toContain("invisible_chars");
+        expect(validateUsername("bob\u202E", strict).reasons).toContain("invisible_chars");
+        expect(validateUsername("👩‍💻", strict).ok).toBe(true);
+    });
+
+    it("catches lookalikes of blacklisted names", () => {
+        const rules = { ...strict, blacklist: ["admin"], allowMixedScript: true };
+        expect(validateUsername("аdmin", rules).reasons).toContain("blacklisted");
+        expect(validateUsername("ÀDMIN", rules).reasons).toContain("blacklisted");
+        expect(validateUsername("аdmin", { ...rules, confusables: false }).ok).toBe(true);
+    });
+
+    it("does not whitelist lookalikes", () => {
+        const rules = { ...strict, whitelist: ["admin"], blacklist: ["admin"], allowMixedScript: true };
+        expect(validateUsername("admin", rules).ok).toBe(true);
+        expect(validateUsername("аdmin", rules).ok).toBe(false);
+    });
+
+    it("rejects names that are taken or look like taken names", () => {
+        const rules = { ...strict, taken: new Set(["moderator", "John"]) };
+        expect(validateUsername("John", rules).reasons).toContain("taken");
+        expect(validateUsername("j0hn", rules).reasons).toContain("taken");
+        expect(validateUsername("rnoderator", rules).reasons).toContain("taken");
+        expect(validateUsername("jane", rules).ok).toBe(true);
+    });
+});
+
+/**
+ * Unit tests for async username validation and uniqueness checks.
+ */
+describe("validateUsernameAsync", () => {
+    it("awaits async custom validators", async () => {
+        const rules = { custom: [async (s) => (s === "banned" ? "banned" : undefined), (s) => (s === "root" ? "reserved" : undefined)] };
+        expect((await validateUsernameAsync("banned", rules)).reasons).toEqual(["banned"]);
+        expect((await validateUsernameAsync("root", rules)).reasons).toEqual(["reserved"]);
+        expect((await validateUsernameAsync("alice", rules)).ok).toBe(true);
+    });
+
+    it("keeps the synchronous rule checks", async () => {
+        const r = await validateUsernameAsync("a", { ...baseRules, custom: [] });
+        expect(r.ok).toBe(false);
+        expect(r.reasons).toContain("too_short");
+    });
+
+    it("reports validators that reject or time out", async () => {
+        const rules = {
+            timeout: 20,
+            custom: [
+                async () => { throw new Error("down"); },
+                () => new Promise(() => {}),
+            ],
+        };
+        const r = await validateUsernameAsync("alice", rules);
+        expect(r.reasons).toEqual(["custom_validator_error", "custom_validator_timeout"]);
+    });
+
+    it("checks uniqueness against claimed names in the datastore", async () => {
+        const store = new MemoryAdapter();
+        const rules = { unique: { store } };
+
+        expect((await validateUsernameAsync("alice", rules)).ok).toBe(true);
+        expect(await claimUsername(store, "alice", { owner: 1 })).toBe(true);
+
+        expect((await validateUsernameAsync("alice", rules)).reasons).toContain("taken");
+        expect((await validateUsernameAsync("ALICE", rules)).reasons).toContain("taken");
+        expect((await validateUsernameAsync("аlice", { ...rules, allowMixedScript: true })).reasons).toContain("taken");
+    });
+
+    it("claims each name only once", async () => {
+        const store = new MemoryAdapter();
+        const results = await Promise.all([claimUsername(store, "bob"), claimUsername(store, "B0B")]);
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect(await isUsernameClaimed(store, "bob")).toBe(true);
+
+        expect(await releaseUsername(store, "bob")).toBe(true);
+        expect(await isUsernameClaimed(store, "bob")).toBe(false);
+    });
+
+    it("skips async checks for whitelisted names", async () => {
+        const store = new MemoryAdapter();
+        await claimUsername(store, "admin");
+        const r = await validateUsernameAsync("admin", { whitelist: ["admin"], unique: { store } });
+        expect(r.ok).toBe(true);
+    });
+
+    it("creates async validators from the factory", async () => {
+        const validate = createUsernameValidator({ custom: [async () => "nope"] }, { async: true });
+        expect((await validate("alice")).reasons).toEqual(["nope"]);
+    });
+});
+
+/**
+ * Unit tests for the username presets and bundled lists.
+ */
+describe("username presets", () => {
+    it("strictAscii allows only plain ASCII names", () => {
+        const rules = USERNAME_PRESETS.strictAscii;
+        expect(validateUsername("john_doe", rules).ok).toBe(true);
+        expect(validateUsername("jöhn", rules).reasons).toContain("invalid_chars");
+        expect(validateUsername("_john", rules).reasons).toContain("bad_start");
+        expect(validateUsername("jo", rules).reasons).toContain("too_short");
+    });
+
+    it("permissiveUnicode allows letters from any script and emoji", () => {
+        const rules = USERNAME_PRESETS.permissiveUnicode;
+        expect(validateUsername("José María", rules).ok).toBe(true);
+        expect(validateUsername("Иван", rules).ok).toBe(true);
+        expect(validateUsername("🔥 dragon 🔥", rules).ok).toBe(true);
+        expect(validateUsername("a  b", rules).reasons).toContain("consecutive: ");
+        expect(validateUsername("Иванjohn", rules).reasons).toContain("mixed_script");
+    });
+
+    it("irc allows IRC nickname characters", () => {
+        const rules = USERNAME_PRESETS.irc;
+        expect(validateUsername("[Guest]", rules).ok).toBe(true);
+        expect(validateUsername("nick^away", rules).ok).toBe(true);
+        expect(validateUsername("9lives", rules).reasons).toContain("bad_start");
+        expect(validateUsername("a".repeat(17), rules).reasons).toContain("too_long");
+    });
+
+    it("blocks reserved names, profanity and their lookalikes", () => {
+        for (const preset of Object.values(USERNAME_PRESETS)) {
+            expect(validateUsername("Moderator", preset).reasons).toContain("blacklisted");
+            expect(validateUsername("r00t", preset).reasons).toContain("blacklisted");
+        }
+
+        expect(RESERVED_USERNAMES).toContain("admin");
+        expect(PROFANITY.length).toBeGreaterThan(0);
+        expect(validateUsername(PROFANITY[0], USERNAME_PRESETS.strictAscii).reasons).toContain("blacklisted");
+    });
+
+    it("does not treat lookalikes of profanity as profanity", () => {
+        expect(validateUsername("click", USERNAME_PRESETS.strictAscii).ok).toBe(true);
+        expect(validateUsername("Clicker", USERNAME_PRESETS.permissiveUnicode).ok).toBe(true);
+        expect(validateUsername("DICK", USERNAME_PRESETS.strictAscii).reasons).toContain("blacklisted");
+    });
+
+    it("merges overrides with a preset", () => {
+        const rules = usernamePreset("strictAscii", { max: 8, blacklist: ["retrobbs"] });
+        expect(validateUsername("retrobbs", rules).reasons).toContain("blacklisted");
+        expect(validateUsername("admin", rules).reasons).toContain("blacklisted");
+        expect(validateUsername("abcdefghi", rules).reasons).toContain("too_long");
+        expect(USERNAME_PRESETS.strictAscii.blacklist).not.toContain("retrobbs");
+    });
+
+    it("rejects unknown presets", () => {
+        expect(() => usernamePreset("nope")).toThrow(TypeError);
+        expect(() => usernamePreset("toString")).toThrow(TypeError);
+    });
+});